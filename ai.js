@@ -0,0 +1,297 @@
+/**
+ * AI Drivers for Neon Drift Racing
+ * Computer-controlled cars that drive the checkpoint circuit
+ *
+ * An AIDriver never moves the car itself. Each physics step it produces the
+ * same {throttle, brake, steer} controls a player would (through an AIInput
+ * provider from input.js), and the Car handles them.
+ */
+
+// Difficulty presets
+//   throttle      - fraction of steps with the accelerator held (0-1)
+//   lookAhead     - how far ahead (px) obstacles are probed
+//   deadzone      - heading error (rad) tolerated before steering
+//   reactionSteps - physics steps between steering decisions
+//   brakeAngle    - heading error (rad) above which the AI brakes for a turn
+//   cornerSpeed   - speed it is willing to carry into such a turn
+const AI_DIFFICULTY = {
+    easy: { label: 'Easy', throttle: 0.7, lookAhead: 140, deadzone: 0.18, reactionSteps: 10, brakeAngle: 1.4, cornerSpeed: 8 },
+    medium: { label: 'Medium', throttle: 0.85, lookAhead: 180, deadzone: 0.1, reactionSteps: 5, brakeAngle: 1.1, cornerSpeed: 11 },
+    hard: { label: 'Hard', throttle: 1.0, lookAhead: 230, deadzone: 0.05, reactionSteps: 2, brakeAngle: 0.9, cornerSpeed: 14 }
+};
+
+// Slowest the AI brakes to for a target inside its turning circle (tire model)
+const AI_TIRE_MIN_CORNER_SPEED = 3;
+
+class AIDriver {
+    /**
+     * @param {string} difficulty - Key of AI_DIFFICULTY ('easy', 'medium', 'hard')
+     */
+    constructor(difficulty) {
+        this.difficulty = AI_DIFFICULTY[difficulty] ? difficulty : 'medium';
+        this.level = AI_DIFFICULTY[this.difficulty];
+
+        // Checkpoint the AI is currently driving to
+        this.targetIndex = 0;
+        // Every checkpoint passed: head for the start line to close the lap
+        this.toStartLine = false;
+
+        // Steering decision, refreshed every level.reactionSteps steps
+        this.steer = 0; // -1 left, 0 straight, +1 right
+        this.brake = false;
+        this.stepsUntilDecision = 0;
+
+        // Throttle duty cycle (deterministic, no randomness so replays match)
+        this.throttleAccumulator = 0;
+
+        // Stuck detection: the car backs away first; sketch.js nudges it
+        // when wantsNudge is set
+        this.stuckMs = 0;
+        this.stuckFrom = null;
+        this.wantsNudge = false;
+        this.reverseMs = 0;
+        this.reversedLast = false; // The last time it was stuck, it backed away
+
+        // After a nudge, coast and turn towards the target for a moment
+        // instead of driving straight back into the wall
+        this.recoverMs = 0;
+        // With the tire model the car can't turn on the spot, so it rolls
+        // back in an arc instead, towards alternate sides on each try
+        this.recoverSide = 1;
+
+        // Head for the pit once damage passes this, and stay until repaired
+        this.pitThreshold = 0.6;
+        this.pitting = false;
+    }
+
+    /**
+     * Decide this step's controls
+     * @param {Car} car - The car being driven
+     * @param {number} checkpointMask - Bitmask of checkpoints already passed this lap
+     * @param {number} dtMs - Physics step in milliseconds
+     * @param {number} requiredCheckpoint - Checkpoint that must come next (ordered mode), or -1
+     * @returns {object} {throttle, brake, steer}
+     */
+    getInput(car, checkpointMask, dtMs, requiredCheckpoint = -1) {
+        let pos = car.position;
+        let heading = car.angle;
+        let speed = car.state.speed;
+
+        if (requiredCheckpoint >= 0) {
+            this.targetIndex = requiredCheckpoint;
+            this.toStartLine = false;
+        } else {
+            this.updateTarget(checkpointMask);
+        }
+
+        // Pit stop: drive to the pit, then sit still while it repairs the car
+        let damage = car.state.damage || 0;
+        if (damage >= this.pitThreshold && PIT_ZONES.length > 0) this.pitting = true;
+        if (this.pitting && damage <= 0) this.pitting = false;
+        if (this.pitting && car.state.inPit) {
+            this.stuckFrom = null; // Standing still here is not being stuck
+            this.stuckMs = 0;
+            this.wantsNudge = false;
+            this.reverseMs = 0;
+            return car.getStopInput();
+        }
+
+        this.updateStuck(pos, dtMs);
+
+        // Back away from whatever the car is stuck on, swinging the nose
+        // towards the target (reversing, the nose turns against the wheels).
+        // With the target dead ahead, beyond the obstacle, swing either way.
+        if (this.reverseMs > 0) {
+            this.reverseMs -= dtMs;
+            let target = this.getDestination() || pos;
+            let error = wrapPi(Math.atan2(target.y - pos.y, target.x - pos.x) - heading);
+            let side = Math.abs(error) > 0.3 ? Math.sign(error) : this.recoverSide;
+            return { throttle: 0, brake: 1, steer: -side };
+        }
+
+        if (this.recoverMs > 0) {
+            this.recoverMs -= dtMs;
+            let target = this.getDestination() || pos;
+            let error = wrapPi(Math.atan2(target.y - pos.y, target.x - pos.x) - heading);
+            let v = car.body.velocity;
+            if (car.physicsModel === 'tire' && v.x * Math.cos(heading) + v.y * Math.sin(heading) < 0) {
+                return { throttle: 0, brake: 0, steer: this.recoverSide };
+            }
+            return { throttle: 0, brake: 0, steer: Math.sign(error) };
+        }
+
+        if (this.stepsUntilDecision <= 0) {
+            this.decide(pos, heading, speed, car);
+            this.stepsUntilDecision = this.level.reactionSteps;
+        }
+        this.stepsUntilDecision--;
+
+        // Hold the accelerator for level.throttle of the steps
+        let throttle = 0;
+        if (!this.brake) {
+            this.throttleAccumulator += this.level.throttle;
+            if (this.throttleAccumulator >= 1) {
+                this.throttleAccumulator -= 1;
+                throttle = 1;
+            }
+        }
+
+        return {
+            throttle: throttle,
+            brake: this.brake ? 1 : 0,
+            steer: this.steer
+        };
+    }
+
+    /**
+     * Pick the next checkpoint in CHECKPOINTS order that hasn't been passed
+     * @param {number} mask - Checkpoint bitmask from race rules
+     */
+    updateTarget(mask) {
+        let n = CHECKPOINTS.length;
+        this.toStartLine = false;
+        if (n === 0) return;
+        for (let k = 0; k < n; k++) {
+            let index = (this.targetIndex + k) % n;
+            if ((mask & (1 << index)) === 0) {
+                this.targetIndex = index;
+                return;
+            }
+        }
+        this.toStartLine = true;
+    }
+
+    /**
+     * Where the AI is driving: the pit during a pit stop, the start line once every
+     * checkpoint is passed, else the target checkpoint
+     * @returns {object|null} {x, y}
+     */
+    getDestination() {
+        if (this.pitting) return PIT_ZONES[0];
+        if (this.toStartLine) return START_LINE;
+        return CHECKPOINTS[this.targetIndex] || null;
+    }
+
+    /**
+     * Choose steering and braking from the target direction plus avoidance
+     */
+    decide(pos, heading, speed, car) {
+        let target = this.getDestination();
+        if (!target) {
+            this.steer = 0;
+            this.brake = false;
+            return;
+        }
+
+        let tx = target.x - pos.x;
+        let ty = target.y - pos.y;
+        let targetDist = Math.hypot(tx, ty) || 1;
+
+        // Desired direction = towards target + push away from hazards
+        let avoid = this.getAvoidance(pos, heading, speed, target);
+        let dx = tx / targetDist + avoid.x;
+        let dy = ty / targetDist + avoid.y;
+
+        let error = wrapPi(Math.atan2(dy, dx) - heading);
+        if (Math.abs(error) < this.level.deadzone) {
+            this.steer = 0;
+        } else {
+            this.steer = error > 0 ? 1 : -1;
+        }
+
+        // Slow down for sharp turns, and for the pit entry
+        this.brake = Math.abs(error) > this.level.brakeAngle && speed > this.level.cornerSpeed;
+        // The tire model can't turn on the spot: slow down while the target is
+        // inside the tightest circle the car can drive, or it would orbit it
+        if (car.physicsModel === 'tire' && speed > AI_TIRE_MIN_CORNER_SPEED &&
+            targetDist < 2 * car.getTurnRadius() * Math.sin(Math.min(Math.abs(error), Math.PI / 2))) {
+            this.brake = true;
+        }
+        if (this.pitting && targetDist < 250 && speed > DAMAGE_CONFIG.pitMaxSpeed) this.brake = true;
+    }
+
+    /**
+     * Steering push away from barriers, turrets and the outer walls
+     * @returns {object} {x, y} vector added to the target direction
+     */
+    getAvoidance(pos, heading, speed, target) {
+        let ax = 0;
+        let ay = 0;
+        let fx = Math.cos(heading);
+        let fy = Math.sin(heading);
+        let probeDist = this.level.lookAhead + speed * 4;
+
+        // Probe three points ahead of the car for CURVED_BARRIERS and chicanes
+        let obstacles = CURVED_BARRIERS.concat(CHICANES);
+        for (let k = 1; k <= 3; k++) {
+            let d = probeDist * k / 3;
+            let px = pos.x + fx * d;
+            let py = pos.y + fy * d;
+            let weight = 2.0 * (1 - (k - 1) / 3);
+
+            for (let o of obstacles) {
+                if (!circleRectOverlap(px, py, 35, o.x, o.y, o.w, o.h, o.a)) continue;
+
+                // Steer to the side of the heading away from the obstacle center
+                let cross = fx * (o.y - pos.y) - fy * (o.x - pos.x);
+                let side = cross > 0 ? -1 : 1;
+                ax += -fy * side * weight;
+                ay += fx * side * weight;
+            }
+        }
+
+        // Keep out of turret trigger zones, unless the checkpoint is inside one
+        for (let tur of TURRETS) {
+            let r = tur.triggerRadius || TURRET_CONFIG.triggerRadius;
+            if (Math.hypot(target.x - tur.x, target.y - tur.y) < r) continue;
+            let ox = pos.x - tur.x;
+            let oy = pos.y - tur.y;
+            let d = Math.hypot(ox, oy);
+            if (d > 0 && d < r) {
+                let push = 0.8 * (1 - d / r);
+                ax += (ox / d) * push;
+                ay += (oy / d) * push;
+            }
+        }
+
+        // Outer walls
+        let margin = 150;
+        if (pos.x < margin) ax += 1;
+        if (pos.x > WORLD_BOUNDS.W - margin) ax -= 1;
+        if (pos.y < margin) ay += 1;
+        if (pos.y > WORLD_BOUNDS.H - margin) ay -= 1;
+
+        return { x: ax, y: ay };
+    }
+
+    /**
+     * React when the car barely moved in the last 1.5 s (e.g. grinding
+     * against a wall): back away, or ask for an unstuck nudge if backing away
+     * didn't help last time
+     * @param {object} pos - Car position
+     * @param {number} dtMs - Physics step in milliseconds
+     */
+    updateStuck(pos, dtMs) {
+        this.wantsNudge = false;
+        if (!this.stuckFrom) this.stuckFrom = { x: pos.x, y: pos.y };
+
+        this.stuckMs += dtMs;
+        if (this.stuckMs < 1500) return;
+
+        let moved = Math.hypot(pos.x - this.stuckFrom.x, pos.y - this.stuckFrom.y);
+        if (moved >= 60) {
+            this.reversedLast = false;
+        } else if (!this.reversedLast) {
+            this.reverseMs = 1000;
+            this.reversedLast = true;
+            this.recoverSide = -this.recoverSide;
+        } else {
+            this.wantsNudge = true;
+            this.recoverMs = 700;
+            this.recoverSide = -this.recoverSide;
+            this.reversedLast = false;
+        }
+        this.stuckMs = 0;
+        this.stuckFrom = { x: pos.x, y: pos.y };
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * Key Bindings for Neon Drift Racing
+ * Remappable per-player and global keys, saved to localStorage,
+ * plus the Controls screen used to change them
+ *
+ * Bindings are stored as keyCodes (what p5's keyIsDown()/keyCode use).
+ * ESC is reserved for pausing and for cancelling a rebind.
+ */
+
+const BINDINGS_STORAGE_KEY = 'keyBindings';
+
+// Actions each player can rebind
+const PLAYER_ACTIONS = [
+    { id: 'up', label: 'Accelerate' },
+    { id: 'down', label: 'Brake' },
+    { id: 'left', label: 'Turn Left' },
+    { id: 'right', label: 'Turn Right' },
+    { id: 'handbrake', label: 'Handbrake' },
+    { id: 'nudge', label: 'Unstuck Nudge' },
+    { id: 'respawn', label: 'Respawn' }
+];
+
+// Actions not tied to a player
+const GLOBAL_ACTIONS = [
+    { id: 'pause', label: 'Pause' },
+    { id: 'particles', label: 'Toggle Effects' },
+    { id: 'watchReplay', label: 'Watch Replay (results)' },
+    { id: 'analysis', label: 'Session Analysis (results)' },
+    { id: 'tuning', label: 'Handling Tuning Panel' }
+];
+
+const DEFAULT_BINDINGS = {
+    players: [
+        { up: 87, down: 83, left: 65, right: 68, handbrake: 16, nudge: 70, respawn: 82 }, // WASD, Shift, F, R
+        { up: 38, down: 40, left: 37, right: 39, handbrake: 32, nudge: 17, respawn: 13 }, // Arrows, Space, Ctrl, Enter
+        { up: 73, down: 75, left: 74, right: 76, handbrake: 85, nudge: 79, respawn: 72 }, // IJKL, U, O, H
+        { up: 104, down: 101, left: 100, right: 102, handbrake: 96, nudge: 103, respawn: 105 } // Numpad 8456, 0, 7, 9
+    ],
+    global: { pause: 80, particles: 69, watchReplay: 86, analysis: 84, tuning: 192 } // P, E, V, T, `
+};
+
+// Keys that can't be bound
+const RESERVED_KEYS = [27]; // ESC
+
+// Readable names for keyCodes that aren't a single letter or digit
+const KEY_NAMES = {
+    8: 'Backspace', 9: 'Tab', 13: 'Enter', 16: 'Shift', 17: 'Ctrl', 18: 'Alt', 20: 'Caps Lock',
+    32: 'Space', 33: 'Page Up', 34: 'Page Down', 35: 'End', 36: 'Home',
+    37: '←', 38: '↑', 39: '→', 40: '↓', 45: 'Insert', 46: 'Delete',
+    186: ';', 187: '=', 188: ',', 189: '-', 190: '.', 191: '/', 192: '`',
+    219: '[', 220: '\\', 221: ']', 222: "'"
+};
+
+// Current bindings (loaded in setup)
+let keyBindings = cloneBindings(DEFAULT_BINDINGS);
+
+/**
+ * Deep copy of a bindings object
+ */
+function cloneBindings(bindings) {
+    return {
+        players: bindings.players.map(p => Object.assign({}, p)),
+        global: Object.assign({}, bindings.global)
+    };
+}
+
+/**
+ * Display name for a keyCode
+ * @param {number} code - keyCode
+ * @returns {string} e.g. 'W', '↑', 'Ctrl'
+ */
+function getKeyName(code) {
+    if (code === null || code === undefined) return '-';
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if ((code >= 48 && code <= 57) || (code >= 65 && code <= 90)) return String.fromCharCode(code);
+    if (code >= 96 && code <= 105) return 'Num ' + (code - 96);
+    if (code >= 112 && code <= 123) return 'F' + (code - 111);
+    return 'Key ' + code;
+}
+
+/**
+ * Human-readable name of a binding slot
+ * @param {object} slot - {player, action} (player is null for global actions)
+ */
+function describeBindingSlot(slot) {
+    let list = slot.player === null ? GLOBAL_ACTIONS : PLAYER_ACTIONS;
+    let action = list.find(a => a.id === slot.action);
+    let label = action ? action.label : slot.action;
+    return slot.player === null ? label : 'Player ' + (slot.player + 1) + ' ' + label;
+}
+
+/**
+ * Every bound slot with its key
+ * @returns {array} [{player, action, code}]
+ */
+function listBindingSlots(bindings) {
+    let slots = [];
+    bindings.players.forEach((keys, player) => {
+        for (let a of PLAYER_ACTIONS) slots.push({ player: player, action: a.id, code: keys[a.id] });
+    });
+    for (let a of GLOBAL_ACTIONS) slots.push({ player: null, action: a.id, code: bindings.global[a.id] });
+    return slots;
+}
+
+/**
+ * Find another slot already using a key
+ * @param {object} bindings - Bindings to search
+ * @param {number} code - keyCode to look for
+ * @param {object} except - Slot to ignore (the one being rebound)
+ * @returns {object|null} Conflicting slot or null
+ */
+function findBindingConflict(bindings, code, except) {
+    return listBindingSlots(bindings).find(s =>
+        s.code === code && !(except && s.player === except.player && s.action === except.action)) || null;
+}
+
+/**
+ * Bind a key to a slot unless it is reserved or already used
+ * @param {object} slot - {player, action}
+ * @param {number} code - keyCode
+ * @returns {string|null} Error message, or null when the key was bound
+ */
+function setKeyBinding(slot, code) {
+    if (RESERVED_KEYS.includes(code)) {
+        return getKeyName(code) + ' is reserved';
+    }
+    let conflict = findBindingConflict(keyBindings, code, slot);
+    if (conflict) {
+        return getKeyName(code) + ' is already used by ' + describeBindingSlot(conflict);
+    }
+    if (slot.player === null) keyBindings.global[slot.action] = code;
+    else keyBindings.players[slot.player][slot.action] = code;
+    saveKeyBindings();
+    return null;
+}
+
+/**
+ * Load saved bindings; missing or invalid entries fall back to defaults
+ */
+function loadKeyBindings() {
+    keyBindings = cloneBindings(DEFAULT_BINDINGS);
+    try {
+        let stored = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY));
+        if (!stored) return;
+        let missing = []; // Actions added since the bindings were saved
+        keyBindings.players.forEach((keys, i) => {
+            let saved = stored.players && stored.players[i];
+            for (let a of PLAYER_ACTIONS) {
+                if (saved && Number.isInteger(saved[a.id])) keys[a.id] = saved[a.id];
+                else missing.push({ player: i, action: a.id });
+            }
+        });
+        for (let a of GLOBAL_ACTIONS) {
+            if (stored.global && Number.isInteger(stored.global[a.id])) keyBindings.global[a.id] = stored.global[a.id];
+            else missing.push({ player: null, action: a.id });
+        }
+
+        // A new action whose default key the player already uses starts unbound
+        for (let slot of missing) {
+            let code = slot.player === null ? keyBindings.global[slot.action] : keyBindings.players[slot.player][slot.action];
+            if (!findBindingConflict(keyBindings, code, slot)) continue;
+            if (slot.player === null) keyBindings.global[slot.action] = null;
+            else keyBindings.players[slot.player][slot.action] = null;
+        }
+
+        // A hand-edited file could bind one key twice; defaults are safer than ambiguity
+        let codes = listBindingSlots(keyBindings).map(s => s.code).filter(c => c !== null);
+        if (new Set(codes).size !== codes.length) {
+            console.warn('Saved key bindings have conflicts; using defaults.');
+            keyBindings = cloneBindings(DEFAULT_BINDINGS);
+        }
+    } catch (error) {
+        console.warn('Could not load key bindings from localStorage:', error);
+    }
+}
+
+function saveKeyBindings() {
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(keyBindings));
+    } catch (error) {
+        console.warn('Could not save key bindings to localStorage:', error);
+    }
+}
+
+function resetKeyBindings() {
+    keyBindings = cloneBindings(DEFAULT_BINDINGS);
+    saveKeyBindings();
+}
+
+/**
+ * Update every element marked with data-binding="p1.respawn" / "global.pause"
+ * (menu hints) to show the current key
+ */
+function refreshBindingLabels() {
+    if (!document.querySelectorAll) return;
+    for (let el of document.querySelectorAll('[data-binding]')) {
+        let [scope, action] = el.dataset.binding.split('.');
+        let code = scope === 'global' ? keyBindings.global[action]
+            : keyBindings.players[parseInt(scope.slice(1), 10) - 1][action];
+        el.textContent = getKeyName(code);
+    }
+}
+
+/* ============================================
+ * CONTROLS SCREEN
+ * ============================================
+ */
+
+// Slot waiting for a key press, or null
+let bindingCapture = null;
+
+/**
+ * Build the bindings table inside #controls-table
+ */
+function renderControlsScreen() {
+    let table = document.getElementById('controls-table');
+    if (!table) return;
+    table.innerHTML = '';
+
+    let addRow = (label, slots) => {
+        let row = document.createElement('div');
+        row.className = 'controls-row';
+        let name = document.createElement('span');
+        name.className = 'controls-action';
+        name.textContent = label;
+        row.appendChild(name);
+
+        for (let slot of slots) {
+            let button = document.createElement('button');
+            button.className = 'controls-key';
+            let capturing = bindingCapture && bindingCapture.player === slot.player &&
+                bindingCapture.action === slot.action;
+            if (capturing) button.classList.add('capturing');
+            button.textContent = capturing ? 'Press a key…' : getKeyName(slot.code);
+            button.addEventListener('click', () => startBindingCapture(slot));
+            row.appendChild(button);
+        }
+        table.appendChild(row);
+    };
+
+    let header = document.createElement('div');
+    header.className = 'controls-row controls-header';
+    header.innerHTML = '<span class="controls-action"></span>' +
+        keyBindings.players.map((keys, player) => '<span>Player ' + (player + 1) + '</span>').join('');
+    table.appendChild(header);
+
+    for (let a of PLAYER_ACTIONS) {
+        addRow(a.label, keyBindings.players.map((keys, player) => ({ player: player, action: a.id, code: keys[a.id] })));
+    }
+    for (let a of GLOBAL_ACTIONS) {
+        addRow(a.label, [{ player: null, action: a.id, code: keyBindings.global[a.id] }]);
+    }
+}
+
+/**
+ * Show a message under the bindings table
+ */
+function setControlsMessage(message, isError) {
+    let el = document.getElementById('controls-message');
+    if (!el) return;
+    el.textContent = message || '';
+    el.className = isError ? 'controls-message error' : 'controls-message';
+}
+
+/**
+ * Wait for the next key press to rebind a slot
+ * @param {object} slot - {player, action}
+ */
+function startBindingCapture(slot) {
+    bindingCapture = { player: slot.player, action: slot.action };
+    setControlsMessage('Press a key for ' + describeBindingSlot(slot) + ' (ESC to cancel)');
+    renderControlsScreen();
+}
+
+/**
+ * Handle a key press while a slot is waiting for one (called from keyPressed)
+ * @param {number} code - keyCode pressed
+ * @returns {boolean} true if the key was consumed by the Controls screen
+ */
+function handleBindingCapture(code) {
+    if (!bindingCapture) return false;
+
+    if (code === 27) {
+        setControlsMessage('');
+    } else {
+        let error = setKeyBinding(bindingCapture, code);
+        if (error) {
+            // Keep waiting so the player can pick another key
+            setControlsMessage(error, true);
+            return true;
+        }
+        setControlsMessage(describeBindingSlot(bindingCapture) + ' set to ' + getKeyName(code));
+        refreshBindingLabels();
+    }
+    bindingCapture = null;
+    renderControlsScreen();
+    return true;
+}
+
+function openControlsScreen() {
+    bindingCapture = null;
+    setControlsMessage('');
+    renderControlsScreen();
+    document.getElementById('start-menu').style.display = 'none';
+    document.getElementById('controls-overlay').style.display = 'flex';
+}
+
+function closeControlsScreen() {
+    bindingCapture = null;
+    document.getElementById('controls-overlay').style.display = 'none';
+    document.getElementById('start-menu').style.display = 'flex';
+}
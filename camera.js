@@ -11,7 +11,7 @@ class Camera {
         this.targetX = x;
         this.targetY = y;
         
-        // Smoothing factor (0-1, higher = more responsive)
+        // Smoothing factor per 60 Hz frame (0-1, higher = more responsive)
         this.smoothing = 0.1;
         
         // Zoom level
@@ -19,10 +19,29 @@ class Camera {
         this.targetZoom = 1.0;
         this.zoomSmoothing = 0.05;
         
-        // Screen shake
+        // Screen shake (duration in milliseconds, decay per 60 Hz frame)
         this.shakeAmount = 0;
         this.shakeDuration = 0;
         this.shakeDecay = 0.9;
+
+        // Screen rectangle this camera draws into (null = whole canvas)
+        this.viewport = null;
+    }
+
+    /**
+     * Draw into part of the canvas (split-screen)
+     * @param {object|null} viewport - {x, y, w, h} in screen pixels, or null for the whole canvas
+     */
+    setViewport(viewport) {
+        this.viewport = viewport;
+    }
+
+    /**
+     * Screen rectangle this camera draws into
+     * @returns {object} {x, y, w, h}
+     */
+    getViewport() {
+        return this.viewport || { x: 0, y: 0, w: width, h: height };
     }
     
     /**
@@ -49,7 +68,7 @@ class Camera {
     
     /**
      * Follow multiple targets (e.g., two players)
-     * Centers camera between all targets
+     * Centers camera between all targets and zooms out to keep them in view
      * @param {array} targets - Array of objects with x and y properties
      */
     followMultiple(targets) {
@@ -67,11 +86,14 @@ class Camera {
             
             this.setTarget(avgX, avgY);
             
-            // Optional: adjust zoom based on distance between targets
-            if (targets.length === 2) {
+            // Adjust zoom based on how spread out the targets are
+            // (for two targets this is simply the distance between them)
+            if (targets.length >= 2) {
+                let xs = targets.map(t => t.x);
+                let ys = targets.map(t => t.y);
                 let dist = Math.hypot(
-                    targets[1].x - targets[0].x,
-                    targets[1].y - targets[0].y
+                    Math.max(...xs) - Math.min(...xs),
+                    Math.max(...ys) - Math.min(...ys)
                 );
                 // Zoom out if players are far apart
                 this.targetZoom = Math.max(0.5, Math.min(1.0, 1000 / (dist + 500)));
@@ -81,19 +103,25 @@ class Camera {
     
     /**
      * Update camera position with smooth interpolation
+     * @param {number} dtMs - Time since the last update in milliseconds
      */
-    update() {
+    update(dtMs = 1000 / 60) {
+        // Scale the per-frame factors so the camera feels the same at any frame rate
+        let frames = dtMs / (1000 / 60);
+        let follow = 1 - Math.pow(1 - this.smoothing, frames);
+        let zoomFollow = 1 - Math.pow(1 - this.zoomSmoothing, frames);
+
         // Smooth movement
-        this.x += (this.targetX - this.x) * this.smoothing;
-        this.y += (this.targetY - this.y) * this.smoothing;
+        this.x += (this.targetX - this.x) * follow;
+        this.y += (this.targetY - this.y) * follow;
         
         // Smooth zoom
-        this.zoom += (this.targetZoom - this.zoom) * this.zoomSmoothing;
+        this.zoom += (this.targetZoom - this.zoom) * zoomFollow;
         
         // Update screen shake
         if (this.shakeDuration > 0) {
-            this.shakeDuration--;
-            this.shakeAmount *= this.shakeDecay;
+            this.shakeDuration -= dtMs;
+            this.shakeAmount *= Math.pow(this.shakeDecay, frames);
         } else {
             this.shakeAmount = 0;
         }
@@ -104,8 +132,17 @@ class Camera {
      * Call this at the start of draw() before drawing world objects
      */
     apply() {
+        let vp = this.getViewport();
         push();
-        translate(width / 2, height / 2);
+
+        // Keep a split-screen view inside its own rectangle
+        if (this.viewport) {
+            drawingContext.beginPath();
+            drawingContext.rect(vp.x, vp.y, vp.w, vp.h);
+            drawingContext.clip();
+        }
+
+        translate(vp.x + vp.w / 2, vp.y + vp.h / 2);
         scale(this.zoom);
         
         // Apply screen shake
@@ -129,9 +166,9 @@ class Camera {
     /**
      * Trigger screen shake effect
      * @param {number} amount - Shake intensity
-     * @param {number} duration - Shake duration in frames
+     * @param {number} duration - Shake duration in milliseconds
      */
-    shake(amount = 10, duration = 10) {
+    shake(amount = 10, duration = 160) {
         this.shakeAmount = Math.max(this.shakeAmount, amount);
         this.shakeDuration = Math.max(this.shakeDuration, duration);
     }
@@ -151,8 +188,9 @@ class Camera {
      * @returns {object} Screen coordinates {x, y}
      */
     worldToScreen(worldX, worldY) {
-        let screenX = (worldX - this.x) * this.zoom + width / 2;
-        let screenY = (worldY - this.y) * this.zoom + height / 2;
+        let vp = this.getViewport();
+        let screenX = (worldX - this.x) * this.zoom + vp.x + vp.w / 2;
+        let screenY = (worldY - this.y) * this.zoom + vp.y + vp.h / 2;
         return { x: screenX, y: screenY };
     }
     
@@ -163,8 +201,9 @@ class Camera {
      * @returns {object} World coordinates {x, y}
      */
     screenToWorld(screenX, screenY) {
-        let worldX = (screenX - width / 2) / this.zoom + this.x;
-        let worldY = (screenY - height / 2) / this.zoom + this.y;
+        let vp = this.getViewport();
+        let worldX = (screenX - vp.x - vp.w / 2) / this.zoom + this.x;
+        let worldY = (screenY - vp.y - vp.h / 2) / this.zoom + this.y;
         return { x: worldX, y: worldY };
     }
     
@@ -174,8 +213,9 @@ class Camera {
      * @returns {object} Bounds {left, right, top, bottom}
      */
     getBounds() {
-        let halfWidth = (width / 2) / this.zoom;
-        let halfHeight = (height / 2) / this.zoom;
+        let vp = this.getViewport();
+        let halfWidth = (vp.w / 2) / this.zoom;
+        let halfHeight = (vp.h / 2) / this.zoom;
         
         return {
             left: this.x - halfWidth,
@@ -3,28 +3,194 @@
  * Person A - Vehicle Physics Implementation
  */
 
+// Drift scoring: points = angle (rad) x speed x seconds x pointsRate, times the combo
+const DRIFT_SCORING = {
+    pointsRate: 10,
+    minPoints: 5,        // Shorter slides score nothing (and don't build the combo)
+    endGraceMs: 200,     // A drift survives wobbles out of the slide this long
+    comboWindowMs: 2000, // Start the next drift within this time to chain the combo
+    maxCombo: 10
+};
+
+// Collision damage (0 = intact, 1 = wrecked)
+const DAMAGE_CONFIG = {
+    minImpact: 2,           // Impact speeds below this are harmless bumps
+    maxHitDamage: 0.35,     // Damage from an impact at maxCollisionSpeed or more
+    impactSpeedLoss: 0.5,   // Fraction of speed lost in a full-strength impact
+    powerLoss: 0.45,        // Engine force (and so top speed) lost at full damage
+    steeringLoss: 0.4,      // Turn rate lost at full damage
+    pitRepairPerSecond: 0.5,
+    pitMaxSpeed: 4          // Cars must slow down below this to be repaired
+};
+
+// Surface zones (placed by track.js, see SURFACE_ZONES)
+const SURFACE_EFFECTS = {
+    ice: { grip: 0.99, traction: 0.5 },   // grip: lateral velocity kept while sliding (vs driftFactor)
+    mud: { frictionAir: 0.15 },           // Body air friction (normally 0.05), slows the car
+    boost: { impulse: 6 },                // Speed added along the car's heading on entry
+    oil: { grip: 0.995, traction: 0.3, spin: 0.25 } // spin: angular velocity (rad/step) on entry
+};
+
+// Collision categories (track bodies keep Matter's default 0x0001): a car in
+// its finish cooldown only hits the track, so the cars still racing drive
+// straight through it
+const TRACK_COLLISION_CATEGORY = 0x0001;
+const CAR_COLLISION_CATEGORY = 0x0002;
+const COOLDOWN_COLLISION_CATEGORY = 0x0004;
+
+// Controls for a car in its finish cooldown: roll to a stop
+const COOLDOWN_INPUT = { throttle: 0, brake: 1, steer: 0, handbrake: 0 };
+
+// Below this speed, brake shifts into reverse and throttle back into drive
+const GEAR_SHIFT_SPEED = 0.3;
+
+// Vehicle physics a match can use (matchSettings.physics in sketch.js):
+// 'tire' is a bicycle model with front and rear tire forces; 'arcade' is the
+// original handling, where steering turns the body directly and grip damps
+// the sideways speed
+const PHYSICS_MODELS = { tire: 'Tire Model', arcade: 'Arcade' };
+
+// Tire model constants (units are px and physics steps, like Matter's velocities)
+const TIRE_MODEL = {
+    axleOffset: 0.35,      // Axle distance from the center of mass, as a fraction of the car's length
+    peakSlip: 0.15,        // Slip angle (rad) where a tire grips hardest
+    slideGrip: 0.7,        // Grip left (vs the peak) once a tire is fully sliding
+    steerFalloffSpeed: 8,  // Speed where the steering lock is halved
+    dragSpeed: 12,         // Air drag per step = frictionAir x speed x speed / dragSpeed
+    rollingDrag: 0.02      // Speed lost per step to rolling resistance
+};
+
+// Handling values every car starts with. A car class or tuning preset (see
+// tuning.js) overrides some of them; the tuning panel edits them live.
+// Some only matter to one of the PHYSICS_MODELS.
+const CAR_HANDLING_DEFAULTS = {
+    // Matter body
+    density: 0.03,
+    frictionAir: 0.05,          // Normal air friction (mud replaces it while the car is in it)
+    restitution: 0.5,
+    // Engine and steering
+    maxSpeed: 40,
+    acceleration: 0.08,
+    turnSpeed: 0.08,
+    maxCollisionSpeed: 10,      // Impact speed that does full damage
+    // Arcade grip: fraction of sideways velocity kept per step while steering above 1.5 speed
+    driftFactor: 0.90,
+    // Tire model: grip, steering and brakes
+    tireGrip: 1.2,              // Most sideways acceleration the tires can give (px/step²)
+    rearGrip: 1.0,              // Rear tire grip vs the front (below 1 the tail slides first)
+    steerLock: 0.5,             // Front wheel angle (rad) at full lock, before the speed falloff
+    weightTransfer: 0.2,        // Load moved onto the front tires at full brakes
+    brakeForce: 0.5,            // Speed taken off per step at full brakes
+    powerOversteer: 0.35,       // Share of the rear grip full throttle uses up
+    // Arcade brakes: body air friction while braking (in place of frictionAir, or mud's if higher)
+    brakeFrictionAir: 0.1,
+    // Handbrake: locked rear wheels lose grip, so the tail swings out
+    handbrakeDriftFactor: 0.98, // Arcade: lateral velocity kept per step (vs driftFactor)
+    handbrakeTurnBoost: 1.5,    // Arcade: extra rotation while the rear is sliding
+    handbrakeGrip: 0.4,         // Tire model: rear grip left with the wheels locked
+    handbrakeDrag: 0.985,       // Speed kept per step
+    // Reverse gear: hold brake at a standstill to back up
+    reverseMaxSpeed: 3,
+    reversePower: 0.5,          // Engine force in reverse (vs acceleration)
+    // Drift detection (slip angle between heading and travel, in rad)
+    coastSlipAngle: 0.3,        // Arcade: coasting above this slip (or drifting) stops holding speed
+    driftMinAngle: 0.5,
+    driftMaxAngle: 1.0,
+    driftMinSpeed: 5
+};
+
+// Handling values that live on the Matter body rather than the car
+const CAR_BODY_HANDLING = ['density', 'frictionAir', 'restitution'];
+
+/**
+ * Build a car model's Matter body with its center of mass at (x, y). A model
+ * with several parts gets one compound body.
+ * @param {object} model - CAR_MODELS entry (cars.js)
+ * @param {object} options - Matter body options (density, frictionAir...)
+ * @returns {Matter.Body} The body; collision pairs report its parts, whose
+ *   parent is this body
+ */
+function createCarBody(x, y, model, options) {
+    let centre = getCarModelCentre(model);
+    let rect = (p, opts) => Matter.Bodies.rectangle(x + p.x - centre.x, y + p.y - centre.y, p.w, p.h, opts);
+    if (model.parts.length === 1) return rect(model.parts[0], options);
+
+    let parts = model.parts.map(p => rect(p, { density: options.density }));
+    let body = Matter.Body.create(Object.assign({}, options, { parts: parts }));
+    Matter.Body.setPosition(body, { x: x, y: y });
+    return body;
+}
+
 function wrapPi(a) {
     // Robust wrap to [-PI, PI]
     return Math.atan2(Math.sin(a), Math.cos(a));
 }
 
+/**
+ * Sideways grip of a tire at a slip angle (a simplified Pacejka curve): it
+ * rises to 1 at TIRE_MODEL.peakSlip, then falls towards slideGrip
+ * @param {number} slip - Slip angle in rad (signed)
+ * @returns {number} -1 to 1, with the sign of the slip
+ */
+function tireGripCurve_(slip) {
+    let shape = 2 - 2 * Math.asin(TIRE_MODEL.slideGrip) / Math.PI;
+    let stiffness = Math.tan(Math.PI / (2 * shape)) / TIRE_MODEL.peakSlip;
+    return Math.sin(shape * Math.atan(stiffness * slip));
+}
+
+/**
+ * Sideways force of one axle's tires (per unit of the car's mass)
+ * @param {number} grip - Most force the axle can give
+ * @param {number} side - Sideways speed of the tires
+ * @param {number} roll - Speed the tires roll along their heading
+ * @param {number} response - Sideways speed one unit of force changes (the
+ *   car both moves and turns)
+ * @returns {number} Force towards the tires' right-hand side; never more
+ *   than it takes to stop the slide in one step
+ */
+function axleForce_(grip, side, roll, response) {
+    let force = -grip * tireGripCurve_(Math.atan2(side, Math.abs(roll)));
+    let stop = Math.abs(side) / response;
+    return Math.max(-stop, Math.min(stop, force));
+}
+
 class Car {
-    constructor(x, y, engine, world, controlKeys) {
+    /**
+     * @param {object} [model] - CAR_MODELS entry (cars.js); the standard car if not given
+     * @param {object} [handling] - Values to use instead of the model's handling
+     */
+    constructor(x, y, engine, world, controlKeys, model, handling) {
+        this.model = model || getCarModel();
+        handling = Object.assign(getCarModelHandling(this.model), handling);
+
         // Physics properties
-        this.body = Matter.Bodies.rectangle(x, y, 50, 30, {
-            density: 0.03,
-            frictionAir: 0.05,
-            restitution: 0.5
+        this.body = createCarBody(x, y, this.model, {
+            density: handling.density,
+            frictionAir: handling.frictionAir,
+            restitution: handling.restitution,
+            collisionFilter: {
+                category: CAR_COLLISION_CATEGORY,
+                mask: 0xFFFFFFFF & ~COOLDOWN_COLLISION_CATEGORY
+            }
         });
+        this.baseFrictionAir = this.body.frictionAir;
 
         Matter.World.add(world, this.body);
 
-        // Car properties
-        this.maxSpeed = 40;
-        this.maxCollisionSpeed = 10;
-        this.acceleration = 0.08;
-        this.turnSpeed = 0.08;
-        this.driftFactor = 0.90;
+        // Key of PHYSICS_MODELS; sketch.js sets the match's before the race starts
+        this.physicsModel = 'tire';
+        // Tire model geometry: distance of each axle from the center of mass,
+        // and the turning inertia per unit of mass of the car's footprint
+        // (Matter's own is four times that, which keeps collisions calm but
+        // would make the car slow to turn)
+        let size = getCarModelSize(this.model);
+        this.axleOffset = size.w * TIRE_MODEL.axleOffset;
+        this.yawInertia = (size.w * size.w + size.h * size.h) / 12;
+
+        // Car properties (maxSpeed, acceleration, turnSpeed, driftFactor...)
+        for (let key of Object.keys(CAR_HANDLING_DEFAULTS)) {
+            if (!CAR_BODY_HANDLING.includes(key)) this[key] = handling[key];
+        }
 
         // State
         this.state = {
@@ -33,35 +199,139 @@ class Car {
             releaseSpeed: 0,
             totalDriftTime: 0,        // Total drift time in milliseconds
             currentDriftStart: 0,      // When current drift started
-            wasDrifting: false         // Previous frame drift state
+            wasDrifting: false,        // Previous frame drift state
+            driftScore: 0,             // Points banked from finished drifts (see onDriftEnd)
+            driftCombo: 1,             // Multiplier for the current/next drift
+            driftPoints: 0,            // Unmultiplied points of the drift in progress
+            driftActive: false,        // A scored drift is in progress (onDriftStart sent)
+            driftGraceMs: 0,           // Time left before a paused slide ends the drift
+            comboTimerMs: 0,           // Time left to start the next drift and keep the combo
+            damage: 0,                 // 0 (intact) to 1 (wrecked), see DAMAGE_CONFIG
+            inPit: false,              // Set by sketch.js while the car is in a pit zone
+            surfaces: { ice: 0, mud: 0, boost: 0, oil: 0 }, // Zones of each type the car is in
+            gear: 'D',                 // 'D' (drive) or 'R' (reverse), see shiftGear
+            cooldown: false            // Finished the race: coasting to a stop (see startCooldown)
         };
 
-        // Controls (WASD for player 1, Arrow keys for player 2)
+        // Drift event listeners {onDriftStart(), onDriftEnd(score, combo)}, set by sketch.js
+        this.driftEvents = null;
+
+        // Key bindings (WASD for player 1, Arrow keys for player 2)
         this.controls = controlKeys || {
             up: 87,      // W
             down: 83,    // S
             left: 65,    // A
-            right: 68    // D
+            right: 68,   // D
+            handbrake: 16 // Shift
         };
 
+        // Where this car's controls come from (keyboard, gamepad, AI, replay...).
+        // See input.js. sketch.js reads it once per physics step via readInput()
+        // so the sampled controls can be recorded before update() uses them.
+        this.input = new KeyboardInput(this.controls);
+
         // Visual trail for drifting
         this.trail = [];
         this.maxTrailLength = 30;
+
+        // Pose before the latest physics step (for render interpolation)
+        this.prevPose = { x: x, y: y, angle: 0 };
+    }
+
+    /**
+     * Current handling values
+     * @returns {object} Every CAR_HANDLING_DEFAULTS key
+     */
+    getHandling() {
+        let handling = {};
+        for (let key of Object.keys(CAR_HANDLING_DEFAULTS)) {
+            handling[key] = CAR_BODY_HANDLING.includes(key) ? this.body[key] : this[key];
+        }
+        handling.frictionAir = this.baseFrictionAir;
+        return handling;
     }
 
-    update() {
-        // Handle input
-        this.handleInput();
+    /**
+     * Change handling values; body values go straight to the Matter body
+     * @param {object} values - Any CAR_HANDLING_DEFAULTS keys (others are ignored)
+     */
+    setHandling(values) {
+        for (let key of Object.keys(values || {})) {
+            let value = values[key];
+            if (!(key in CAR_HANDLING_DEFAULTS) || typeof value !== 'number' || !isFinite(value)) continue;
+            if (key === 'density') {
+                Matter.Body.setDensity(this.body, value);
+            } else if (key === 'frictionAir') {
+                // Mud keeps its own friction until the car drives out
+                this.baseFrictionAir = value;
+                if (!this.onSurface('mud')) this.body.frictionAir = value;
+            } else if (key === 'restitution') {
+                this.body.restitution = value;
+            } else {
+                this[key] = value;
+            }
+        }
+    }
+
+    /**
+     * Remember the current pose before the next physics step
+     */
+    savePreviousPose() {
+        this.prevPose.x = this.body.position.x;
+        this.prevPose.y = this.body.position.y;
+        this.prevPose.angle = this.body.angle;
+    }
+
+    /**
+     * Pose to draw between the previous and the latest physics step
+     * @param {number} alpha - 0 = previous step, 1 = latest step
+     * @returns {object} {x, y, angle}
+     */
+    getRenderPose(alpha) {
+        let p = this.body.position;
+        let prev = this.prevPose;
+        return {
+            x: prev.x + (p.x - prev.x) * alpha,
+            y: prev.y + (p.y - prev.y) * alpha,
+            angle: prev.angle + wrapPi(this.body.angle - prev.angle) * alpha
+        };
+    }
+
+    /**
+     * Replace the provider this car takes its controls from
+     * @param {object} provider - Any input provider from input.js
+     */
+    setInputProvider(provider) {
+        this.input = provider;
+    }
+
+    /**
+     * Sample this car's controls for the next physics step
+     * @param {number} carIndex - Index of the car in the race
+     * @returns {object} {throttle, brake, steer}
+     */
+    readInput(carIndex) {
+        return clampInput(this.input ? this.input.read(this, carIndex) : null);
+    }
+
+    /**
+     * Advance the car by one physics step
+     * @param {object} input - Controls {throttle, brake, steer} for this step
+     * @param {number} dtMs - Step length in milliseconds
+     */
+    update(input, dtMs) {
+        // Handle input (a finished car ignores its driver)
+        this.handleInput(this.state.cooldown ? COOLDOWN_INPUT : this.shiftGear(input || NEUTRAL_INPUT), dtMs);
 
         // Update speed from velocity
         let velocity = this.body.velocity;
         this.state.speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
 
         // Check if drifting (based on angle between velocity and body angle)
-        this.checkDrift();
+        this.checkDrift(dtMs);
 
         // Update drift time tracking
-        this.updateDriftTime();
+        this.updateDriftTime(dtMs);
 
         // Update trail if drifting
         if (this.state.drifting) {
@@ -71,12 +341,65 @@ class Car {
         }
     }
 
-    handleInput() {
+    /**
+     * Change gear at a standstill: brake (without throttle) engages reverse,
+     * throttle goes back to drive. In reverse the brake drives the car
+     * backward and the throttle brakes it.
+     * @param {object} input - Controls {throttle, brake, steer, handbrake}
+     * @returns {object} Controls for handleInput(), with reverse (0-1) as the
+     *   reverse gear's throttle
+     */
+    shiftGear(input) {
+        let stopped = this.state.speed < GEAR_SHIFT_SPEED;
+        if (this.state.gear === 'D' && stopped && input.brake > 0 && !(input.throttle > 0)) {
+            this.state.gear = 'R';
+        } else if (this.state.gear === 'R' && input.throttle > 0) {
+            let v = this.body.velocity;
+            let forward = v.x * Math.cos(this.body.angle) + v.y * Math.sin(this.body.angle);
+            if (stopped || forward > 0) this.state.gear = 'D';
+        }
+
+        if (this.state.gear === 'D') return input;
+        return { throttle: 0, brake: input.throttle, steer: input.steer, handbrake: input.handbrake, reverse: input.brake };
+    }
+
+    /**
+     * Controls that bring the car to a halt without backing up (holding the
+     * brake at a standstill would shift into reverse)
+     * @returns {object} {throttle, brake, steer, handbrake}
+     */
+    getStopInput() {
+        if (this.state.speed < GEAR_SHIFT_SPEED) return NEUTRAL_INPUT;
+        // In reverse the throttle is the brake
+        return this.state.gear === 'R' ? { throttle: 1, brake: 0, steer: 0, handbrake: 0 } : COOLDOWN_INPUT;
+    }
+
+    /**
+     * Apply one step of controls with the car's physics model
+     * @param {object} input - Controls {throttle, brake, steer, handbrake}
+     * @param {number} dtMs - Step length in milliseconds
+     */
+    handleInput(input, dtMs) {
+        if (this.physicsModel === 'arcade') {
+            this.handleArcadeInput(input);
+        } else {
+            this.handleTireInput(input, dtMs);
+        }
+    }
+
+    /**
+     * Arcade handling: steering sets the body's angle, grip damps the sideways
+     * velocity and coasting holds the speed the car had
+     */
+    handleArcadeInput(input) {
         let velocity = this.body.velocity;
         let angle = this.body.angle;
         let force = 0;
 
-        this.frictionAir = 0.05;
+        // Mud drags the car down, and coasting must not restore the lost speed
+        let inMud = this.onSurface('mud');
+        this.body.frictionAir = inMud ? SURFACE_EFFECTS.mud.frictionAir : this.baseFrictionAir;
+        if (inMud) this.state.releaseSpeed = Math.min(this.state.releaseSpeed, this.state.speed);
 
         let carAngle = wrapPi(this.body.angle);
         let velocityAngle = wrapPi(Math.atan2(velocity.y, velocity.x));
@@ -84,23 +407,39 @@ class Car {
 
         let speed = this.state.speed;
 
-        // Acceleration, braking, and coasting
-        if (keyIsDown(this.controls.up)) {
-            force = this.acceleration;
+        // Damage costs engine power (so top speed) and steering
+        let damage = this.state.damage;
+        let surface = this.getSurfaceHandling();
+        let acceleration = this.acceleration * (1 - damage * DAMAGE_CONFIG.powerLoss) * surface.traction;
+        let turnSpeed = this.turnSpeed * (1 - damage * DAMAGE_CONFIG.steeringLoss);
+
+        // Acceleration, braking, and coasting (analog throttle scales the force)
+        if (input.throttle > 0) {
+            force = acceleration * input.throttle;
             this.state.releaseSpeed = this.state.speed;
-        } else if (keyIsDown(this.controls.down)) {
-            this.frictionAir = 0.8;
+        } else if (input.brake > 0) {
+            this.body.frictionAir = Math.max(this.body.frictionAir, this.brakeFrictionAir);
             this.state.releaseSpeed = this.state.speed;
-        } else if (speed > 0) {
-            // todo
-            if (angleDiff > 0.3 || this.state.drifting) {
-                this.frictionAir = 0.8;
-            } else {
-                Matter.Body.setVelocity(this.body, {
-                    x: velocity.x * (this.state.releaseSpeed / speed),
-                    y: velocity.y * (this.state.releaseSpeed / speed)
-                });
-            }
+        } else if (input.reverse > 0) {
+            force = -acceleration * this.reversePower * input.reverse;
+            this.state.releaseSpeed = this.state.speed;
+        } else if (speed > 0 && angleDiff <= this.coastSlipAngle && !this.state.drifting) {
+            // Coasting straight holds the speed; a slide is left to the air friction
+            Matter.Body.setVelocity(this.body, {
+                x: velocity.x * (this.state.releaseSpeed / speed),
+                y: velocity.y * (this.state.releaseSpeed / speed)
+            });
+        }
+
+        // Handbrake scrubs speed (and coasting must not restore it)
+        let handbrake = input.handbrake > 0 && speed > 0.2;
+        if (handbrake) {
+            let v = this.body.velocity;
+            Matter.Body.setVelocity(this.body, {
+                x: v.x * this.handbrakeDrag,
+                y: v.y * this.handbrakeDrag
+            });
+            this.state.releaseSpeed = Math.min(this.state.releaseSpeed, speed * this.handbrakeDrag);
         }
 
         // Apply force in direction car is facing
@@ -111,37 +450,253 @@ class Car {
         }
 
         // Limit max speed
-
-        if (speed > this.maxSpeed) {
+        let maxSpeed = this.state.gear === 'R' ? this.reverseMaxSpeed : this.maxSpeed;
+        if (speed > maxSpeed) {
 
             Matter.Body.setVelocity(this.body, {
-                x: velocity.x * (this.maxSpeed / speed),
-                y: velocity.y * (this.maxSpeed / speed)
+                x: velocity.x * (maxSpeed / speed),
+                y: velocity.y * (maxSpeed / speed)
             });
         }
 
-        // TODO: reduce speed after collision
-
         // Steering
         if (speed > 0.2) {
             //let turnSpeed = this.turnSpeed * (speed / this.maxSpeed); // More speed, more responsive turning
-            if (keyIsDown(this.controls.left)) {
-                Matter.Body.setAngle(this.body, angle - this.turnSpeed);
-            }
-            if (keyIsDown(this.controls.right)) {
-                Matter.Body.setAngle(this.body, angle + this.turnSpeed);
+            // Analog steering turns proportionally; keys give full lock
+            // Backing up, the nose swings the opposite way to the wheels
+            if (input.steer !== 0) {
+                let turn = turnSpeed * (handbrake ? this.handbrakeTurnBoost : 1) * (this.state.gear === 'R' ? -1 : 1);
+                Matter.Body.setAngle(this.body, angle + turn * input.steer);
             }
         }
 
         // Drift mechanics
-        if (keyIsDown(this.controls.left) || keyIsDown(this.controls.right)) {
+        if (input.steer !== 0) {
             if (speed > 1.5) { // Only drift at higher speeds
-                this.applyDrift();
+                let grip = handbrake ? this.handbrakeDriftFactor : this.driftFactor;
+                this.applyDrift(Math.max(grip, surface.grip));
             }
         }
     }
 
-    applyDrift() {
+    /**
+     * Tire model handling (a bicycle model): one front and one rear axle, each
+     * pushing sideways against its slip angle. Braking moves load onto the
+     * front tires, so a car braking into a turn can step its tail out; the
+     * driver catches it by steering into the slide. The car turns only through
+     * its angular velocity, so walls and other cars can stop it turning.
+     * @param {object} input - Controls {throttle, brake, steer, handbrake}
+     * @param {number} dtMs - Step length in milliseconds
+     */
+    handleTireInput(input, dtMs = 1000 / 60) {
+        let body = this.body;
+        let speed = this.state.speed;
+        let damage = this.state.damage;
+        let surface = this.getSurfaceHandling();
+
+        // The drag below replaces Matter's air friction (mud brings more of it)
+        let airFriction = this.onSurface('mud') ? SURFACE_EFFECTS.mud.frictionAir : this.baseFrictionAir;
+        body.frictionAir = 0;
+
+        // Velocity in the car's frame: forward and to the right of the heading
+        let angle = body.angle;
+        let fx = Math.cos(angle);
+        let fy = Math.sin(angle);
+        let v = body.velocity;
+        let forward = v.x * fx + v.y * fy;
+        let lateral = v.y * fx - v.x * fy;
+        let spin = body.angularVelocity;
+
+        // Brakes, locked rear wheels and drag slow the car along its heading
+        let handbrake = input.handbrake > 0 && speed > 0.2;
+        let slowdown = this.brakeForce * surface.traction * input.brake +
+            airFriction * forward * forward / TIRE_MODEL.dragSpeed + TIRE_MODEL.rollingDrag;
+        forward = Math.sign(forward) * Math.max(0, Math.abs(forward) - slowdown);
+        if (handbrake) forward *= this.handbrakeDrag;
+
+        // Engine, through the rear tires (the speed Matter would add for the
+        // same force as the arcade model's; analog throttle scales it)
+        let drive = input.throttle - this.reversePower * (input.reverse || 0);
+        let force = this.acceleration * (1 - damage * DAMAGE_CONFIG.powerLoss) * surface.traction * drive;
+        forward += force / body.mass * dtMs * dtMs;
+
+        // Braking moves load from the rear tires onto the front ones
+        let transfer = input.brake > 0 && forward !== 0 ? this.weightTransfer * input.brake * Math.sign(forward) : 0;
+        let grip = this.tireGrip * surface.traction;
+        let frontGrip = grip * (0.5 + transfer);
+        let rearGrip = grip * (0.5 - transfer) * this.rearGrip * (handbrake ? this.handbrakeGrip : 1);
+        // Driving the rear wheels uses up some of their grip (the friction
+        // circle), so too much throttle in a turn swings the tail out; locked
+        // wheels are sliding already
+        let power = Math.abs(drive) * this.powerOversteer;
+        if (!handbrake) rearGrip *= Math.sqrt(1 - power * power);
+
+        // Less steering lock at speed, but full lock to catch a slide (steering
+        // the way the car is travelling); damage costs some of it
+        let lock = this.steerLock * (1 - damage * DAMAGE_CONFIG.steeringLoss);
+        let catching = input.steer * lateral > 0;
+        let steer = input.steer * lock / (catching ? 1 : 1 + speed / TIRE_MODEL.steerFalloffSpeed);
+        let cos = Math.cos(steer);
+        let sin = Math.sin(steer);
+
+        // Each axle pushes against the sideways speed of its tires
+        let d = this.axleOffset;
+        let inertia = this.yawInertia;
+        let frontSide = cos * (lateral + spin * d) - sin * forward;
+        let frontRoll = cos * forward + sin * (lateral + spin * d);
+        let frontForce = axleForce_(frontGrip, frontSide, frontRoll, 1 + d * d * cos * cos / inertia);
+        let rearSide = lateral - spin * d;
+        let rearForce = axleForce_(rearGrip, rearSide, forward, 1 + d * d / inertia);
+
+        forward -= sin * frontForce;
+        lateral += cos * frontForce + rearForce;
+        spin += d * (cos * frontForce - rearForce) / inertia;
+
+        // Limit max speed
+        let maxSpeed = this.state.gear === 'R' ? this.reverseMaxSpeed : this.maxSpeed;
+        let newSpeed = Math.hypot(forward, lateral);
+        if (newSpeed > maxSpeed) {
+            forward *= maxSpeed / newSpeed;
+            lateral *= maxSpeed / newSpeed;
+        }
+
+        Matter.Body.setVelocity(body, {
+            x: forward * fx - lateral * fy,
+            y: forward * fy + lateral * fx
+        });
+        Matter.Body.setAngularVelocity(body, spin);
+    }
+
+    /**
+     * Tightest circle the tire model can steer at the current speed, if the
+     * tires don't slide (the AI checks its targets against it)
+     * @returns {number} Radius in px
+     */
+    getTurnRadius() {
+        let lock = this.steerLock * (1 - this.state.damage * DAMAGE_CONFIG.steeringLoss);
+        let steer = lock / (1 + this.state.speed / TIRE_MODEL.steerFalloffSpeed);
+        return 2 * this.axleOffset / Math.tan(Math.max(steer, 0.01));
+    }
+
+    /**
+     * Finished the race: stop racing, brake to a halt and let the cars still
+     * racing pass through
+     */
+    startCooldown() {
+        if (this.state.cooldown) return;
+        this.state.cooldown = true;
+        this.state.gear = 'D';
+        if (this.state.driftActive) this.endDrift();
+        this.body.collisionFilter.category = COOLDOWN_COLLISION_CATEGORY;
+        this.body.collisionFilter.mask = TRACK_COLLISION_CATEGORY;
+    }
+
+    /**
+     * Take damage and lose speed from a collision
+     * @param {number} impactSpeed - Closing speed along the contact normal
+     * @returns {number} Damage added (0 for a harmless bump)
+     */
+    takeImpact(impactSpeed) {
+        let range = this.maxCollisionSpeed - DAMAGE_CONFIG.minImpact;
+        let severity = Math.max(0, Math.min(1, (impactSpeed - DAMAGE_CONFIG.minImpact) / range));
+        if (severity <= 0) return 0;
+
+        let before = this.state.damage;
+        this.state.damage = Math.min(1, before + severity * DAMAGE_CONFIG.maxHitDamage);
+
+        // Speed loss from the crash itself
+        let keep = 1 - severity * DAMAGE_CONFIG.impactSpeedLoss;
+        let v = this.body.velocity;
+        Matter.Body.setVelocity(this.body, { x: v.x * keep, y: v.y * keep });
+        this.state.releaseSpeed *= keep;
+
+        return this.state.damage - before;
+    }
+
+    /**
+     * Repair damage
+     * @param {number} amount - Damage to remove (omit to repair fully)
+     */
+    repair(amount) {
+        this.state.damage = amount === undefined ? 0 : Math.max(0, this.state.damage - amount);
+    }
+
+    /**
+     * The car drove onto a surface zone (called from sketch.js onPad). Each
+     * part of a compound car reports its own contact, so this counts them and
+     * only kicks or spins the car when the first one arrives.
+     * @param {string} type - 'ice', 'mud', 'boost' or 'oil'
+     */
+    enterSurface(type) {
+        let surfaces = this.state.surfaces;
+        if (!(type in surfaces)) return;
+        surfaces[type]++;
+        if (surfaces[type] > 1) return;
+        if (type === 'boost') this.applyBoost(SURFACE_EFFECTS.boost.impulse);
+        if (type === 'oil') this.spinOut(SURFACE_EFFECTS.oil.spin);
+    }
+
+    /**
+     * The car left a surface zone
+     * @param {string} type - 'ice', 'mud', 'boost' or 'oil'
+     */
+    exitSurface(type) {
+        let surfaces = this.state.surfaces;
+        if (type in surfaces) surfaces[type] = Math.max(0, surfaces[type] - 1);
+    }
+
+    onSurface(type) {
+        return this.state.surfaces[type] > 0;
+    }
+
+    /**
+     * Grip and engine traction from the slippery surfaces the car is on
+     * @returns {object} {grip, traction} - grip is 0 when the surface doesn't matter
+     */
+    getSurfaceHandling() {
+        let result = { grip: 0, traction: 1 };
+        for (let type of ['ice', 'oil']) {
+            if (!this.onSurface(type)) continue;
+            result.grip = Math.max(result.grip, SURFACE_EFFECTS[type].grip);
+            result.traction = Math.min(result.traction, SURFACE_EFFECTS[type].traction);
+        }
+        return result;
+    }
+
+    /**
+     * Kick the car forward along its heading
+     * @param {number} impulse - Speed to add
+     */
+    applyBoost(impulse) {
+        let angle = this.body.angle;
+        let v = this.body.velocity;
+        let vx = v.x + Math.cos(angle) * impulse;
+        let vy = v.y + Math.sin(angle) * impulse;
+        let speed = Math.hypot(vx, vy);
+        if (speed > this.maxSpeed) {
+            vx *= this.maxSpeed / speed;
+            vy *= this.maxSpeed / speed;
+            speed = this.maxSpeed;
+        }
+        Matter.Body.setVelocity(this.body, { x: vx, y: vy });
+        this.state.releaseSpeed = speed;
+    }
+
+    /**
+     * Send the car spinning (oil slick). It spins the way it was already sliding.
+     * @param {number} rate - Angular velocity in rad per step
+     */
+    spinOut(rate) {
+        let v = this.body.velocity;
+        let slip = wrapPi(Math.atan2(v.y, v.x) - this.body.angle);
+        Matter.Body.setAngularVelocity(this.body, (slip < 0 ? -1 : 1) * rate);
+    }
+
+    /**
+     * Keep part of the sideways velocity (less grip = more slide)
+     * @param {number} factor - Fraction of lateral velocity kept this step
+     */
+    applyDrift(factor = this.driftFactor) {
         // Reduce lateral friction for drift effect
         let velocity = this.body.velocity;
         let angle = this.body.angle;
@@ -160,38 +715,104 @@ class Car {
 
         // Apply drift factor to lateral velocity
         Matter.Body.setVelocity(this.body, {
-            x: forward.x * forwardSpeed + lateralVelocity.x * this.driftFactor,
-            y: forward.y * forwardSpeed + lateralVelocity.y * this.driftFactor
+            x: forward.x * forwardSpeed + lateralVelocity.x * factor,
+            y: forward.y * forwardSpeed + lateralVelocity.y * factor
         });
     }
 
-    checkDrift() {
+    checkDrift(dtMs = 1000 / 60) {
+        let angleDiff = 0;
+
         if (this.state.speed < 2) {
             this.state.drifting = false;
-            return;
+        } else {
+            const v = this.body.velocity;
+
+            // Normalize both angles
+            let carAngle = wrapPi(this.body.angle);
+            let velocityAngle = wrapPi(Math.atan2(v.y, v.x));
+
+            // Shortest unsigned difference in [0, PI]
+            angleDiff = Math.abs(wrapPi(velocityAngle - carAngle));
+
+            //console.log("Angle Diff:", angleDiff.toFixed(2), "Speed:", this.state.speed.toFixed(2));
+
+            this.state.drifting = angleDiff > this.driftMinAngle && angleDiff < this.driftMaxAngle &&
+                this.state.speed > this.driftMinSpeed;
         }
 
-        const v = this.body.velocity;
+        this.updateDriftScore(angleDiff, dtMs);
+    }
 
-        // Normalize both angles
-        let carAngle = wrapPi(this.body.angle);
-        let velocityAngle = wrapPi(Math.atan2(v.y, v.x));
+    /**
+     * Score the drift in progress and send onDriftStart / onDriftEnd
+     * @param {number} angleDiff - Slip angle (rad) this step
+     * @param {number} dtMs - Step length in milliseconds
+     */
+    updateDriftScore(angleDiff, dtMs) {
+        let s = this.state;
+
+        if (s.drifting) {
+            if (!s.driftActive) {
+                s.driftActive = true;
+                s.driftPoints = 0;
+                this.emitDriftEvent('onDriftStart');
+            }
+            s.driftGraceMs = DRIFT_SCORING.endGraceMs;
+            s.driftPoints += angleDiff * s.speed * (dtMs / 1000) * DRIFT_SCORING.pointsRate;
+        } else if (s.driftActive) {
+            s.driftGraceMs -= dtMs;
+            if (s.driftGraceMs <= 0) this.endDrift();
+        } else if (s.comboTimerMs > 0) {
+            // Combo breaks if the next drift doesn't start in time
+            s.comboTimerMs -= dtMs;
+            if (s.comboTimerMs <= 0) s.driftCombo = 1;
+        }
+    }
 
-        // Shortest unsigned difference in [0, PI]
-        let angleDiff = Math.abs(wrapPi(velocityAngle - carAngle));
+    /**
+     * Finish the drift: its points times the combo go to onDriftEnd (which banks
+     * them in state.driftScore), and the combo rises for the next drift
+     */
+    endDrift() {
+        let s = this.state;
+        let points = Math.round(s.driftPoints);
+        let combo = s.driftCombo;
+        let score = 0;
+
+        if (points >= DRIFT_SCORING.minPoints) {
+            score = points * combo;
+            s.driftCombo = Math.min(DRIFT_SCORING.maxCombo, combo + 1);
+            s.comboTimerMs = DRIFT_SCORING.comboWindowMs;
+        }
+
+        s.driftActive = false;
+        s.driftPoints = 0;
+        this.emitDriftEvent('onDriftEnd', score, combo);
+    }
 
-        //console.log("Angle Diff:", angleDiff.toFixed(2), "Speed:", this.state.speed.toFixed(2));
+    /**
+     * Lose the drift in progress and reset the combo (e.g. after hitting a wall)
+     */
+    breakDriftCombo() {
+        this.state.driftPoints = 0;
+        this.state.driftCombo = 1;
+        this.state.comboTimerMs = 0;
+    }
 
-        this.state.drifting = angleDiff > 0.5 && angleDiff < 1 && this.state.speed > 5;
+    emitDriftEvent(name, ...args) {
+        if (this.driftEvents && this.driftEvents[name]) {
+            this.driftEvents[name](...args);
+        }
     }
 
-    updateDriftTime() {
-        // Track drift time accumulation using deltaTime for accuracy
+    updateDriftTime(dtMs) {
+        // Track drift time accumulation in simulated milliseconds
         if (this.state.drifting) {
-            // deltaTime from p5.js gives actual milliseconds since last frame
-            // This makes timing accurate regardless of frame rate
-            if (typeof deltaTime !== 'undefined') {
-                this.state.totalDriftTime += deltaTime;
+            // dtMs is the fixed physics step, so drift time is the same
+            // at any frame rate and when a replay is played back
+            if (typeof dtMs === 'number') {
+                this.state.totalDriftTime += dtMs;
             } else {
                 // Fallback: assume 60 FPS
                 this.state.totalDriftTime += (1000 / 60);
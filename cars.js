@@ -0,0 +1,434 @@
+/**
+ * Car Roster for Neon Drift Racing
+ * The cars players can drive (body shape, handling and neon silhouette), the
+ * picks saved for next time, and the Car Select step before a match
+ *
+ * A model's parts are rectangles {x, y, w, h} around its center, facing +x.
+ * They make up both its Matter body (one compound body) and its silhouette;
+ * lights are drawn over the front. Its handling overrides
+ * CAR_HANDLING_DEFAULTS (car_mech.js).
+ *
+ * A car choice is {model, preset}: a roster id and, optionally, the name of a
+ * handling preset (tuning.js) driven on that model.
+ */
+
+const CAR_CHOICES_STORAGE_KEY = 'carChoices';
+
+// The roster, in the order Car Select cycles through it. The first is the
+// car every race used before there was a choice; AI opponents drive it too.
+const CAR_MODELS = [
+    {
+        id: 'standard',
+        name: 'Standard',
+        description: 'The all-rounder. Nothing to fear, nothing to prove.',
+        parts: [{ x: 0, y: 0, w: 50, h: 30 }],
+        lights: [{ x: 25, y: 0, w: 10, h: 30 }],
+        handling: {}
+    },
+    {
+        id: 'muscle',
+        name: 'Muscle',
+        description: 'Heavy and fast in a straight line. Slow to turn, hard to push around.',
+        parts: [
+            { x: 2, y: 0, w: 62, h: 30 },   // Chassis
+            { x: -20, y: 0, w: 20, h: 36 }  // Wide rear arches
+        ],
+        lights: [{ x: 33, y: 0, w: 8, h: 26 }],
+        handling: {
+            density: 0.045, maxSpeed: 46, acceleration: 0.23, turnSpeed: 0.06,
+            driftFactor: 0.92, maxCollisionSpeed: 14,
+            tireGrip: 1.1, rearGrip: 0.95, weightTransfer: 0.25, brakeForce: 0.4, powerOversteer: 0.5
+        }
+    },
+    {
+        id: 'drifter',
+        name: 'Drifter',
+        description: 'Light and loose. The tail comes out at a touch of the handbrake.',
+        parts: [
+            { x: 2, y: 0, w: 46, h: 26 },   // Body
+            { x: -22, y: 0, w: 6, h: 34 }   // Rear wing
+        ],
+        lights: [{ x: 25, y: 0, w: 8, h: 22 }],
+        handling: {
+            density: 0.022, acceleration: 0.055, turnSpeed: 0.09, driftFactor: 0.95,
+            handbrakeDriftFactor: 0.99, handbrakeTurnBoost: 1.9, driftMinAngle: 0.4, driftMinSpeed: 4,
+            rearGrip: 0.85, steerLock: 0.6, handbrakeGrip: 0.25, powerOversteer: 0.6
+        }
+    },
+    {
+        id: 'kart',
+        name: 'Kart',
+        description: 'Small and grippy. Corners on rails but runs out of speed early.',
+        parts: [
+            { x: 0, y: 0, w: 34, h: 20 },   // Seat and frame
+            { x: 11, y: 0, w: 6, h: 30 },   // Front axle
+            { x: -12, y: 0, w: 8, h: 32 }   // Rear axle
+        ],
+        lights: [{ x: 17, y: 0, w: 4, h: 14 }],
+        handling: {
+            maxSpeed: 8.5, acceleration: 0.1, turnSpeed: 0.11, driftFactor: 0.82,
+            handbrakeDriftFactor: 0.95, maxCollisionSpeed: 8,
+            tireGrip: 1.5, rearGrip: 1.05, steerLock: 0.55, weightTransfer: 0.1, brakeForce: 0.6,
+            powerOversteer: 0.3
+        }
+    }
+];
+
+// Stat bars on Car Select: each handling value shown against the roster's range
+const CAR_STATS = [
+    { label: 'Top Speed', value: (h, model) => getCarModelTopSpeed_(h, model), min: 6, max: 12 },
+    { label: 'Acceleration', value: (h, model) => getCarModelDrive_(h, model), min: 0.3, max: 0.9 },
+    { label: 'Steering', value: h => h.turnSpeed, min: 0.04, max: 0.12 },
+    { label: 'Grip', value: h => 1 - h.driftFactor, min: 0, max: 0.2 },
+    { label: 'Weight', value: (h, model) => h.density * getCarModelArea_(model), min: 20, max: 120 }
+];
+
+// Last pick of each local player
+let carChoices = [];
+
+// Car Select while it is open: {options, picks}, picks[i] an index into
+// options for local player i
+let carSelect = null;
+
+/* ============================================
+ * ROSTER
+ * ============================================
+ */
+
+/**
+ * Roster entry by id
+ * @returns {object} CAR_MODELS entry; the standard car if the id is unknown
+ */
+function getCarModel(id) {
+    return CAR_MODELS.find(model => model.id === id) || CAR_MODELS[0];
+}
+
+/**
+ * A model's handling: the defaults with its own values over them
+ * @returns {object} Every CAR_HANDLING_DEFAULTS key
+ */
+function getCarModelHandling(model) {
+    return Object.assign({}, CAR_HANDLING_DEFAULTS, model.handling);
+}
+
+function getCarModelArea_(model) {
+    return model.parts.reduce((area, p) => area + p.w * p.h, 0);
+}
+
+// Speed full throttle adds per step: acceleration is a force, so a heavier
+// car needs more of it
+function getCarModelDrive_(handling, model) {
+    let mass = handling.density * getCarModelArea_(model);
+    return handling.acceleration / mass * PHYSICS_STEP_MS * PHYSICS_STEP_MS;
+}
+
+// Speed where air friction takes away what the engine adds, unless maxSpeed
+// cuts in first
+function getCarModelTopSpeed_(handling, model) {
+    return Math.min(handling.maxSpeed, getCarModelDrive_(handling, model) / handling.frictionAir);
+}
+
+/**
+ * Box around a model's parts and lights, from its center of mass
+ * @returns {object} {w, h, radius}: size, and the distance to its farthest corner
+ */
+function getCarModelSize(model) {
+    let centre = getCarModelCentre(model);
+    let maxX = 0, maxY = 0;
+    for (let p of model.parts.concat(model.lights)) {
+        maxX = Math.max(maxX, Math.abs(p.x - centre.x) + p.w / 2);
+        maxY = Math.max(maxY, Math.abs(p.y - centre.y) + p.h / 2);
+    }
+    let bodyW = 0, bodyH = 0;
+    for (let p of model.parts) {
+        bodyW = Math.max(bodyW, Math.abs(p.x - centre.x) + p.w / 2);
+        bodyH = Math.max(bodyH, Math.abs(p.y - centre.y) + p.h / 2);
+    }
+    return { w: bodyW * 2, h: bodyH * 2, radius: Math.hypot(maxX, maxY) };
+}
+
+/**
+ * Where Matter puts a model's center of mass (parts share one density).
+ * Car bodies are placed so this point is the car's position.
+ * @returns {object} {x, y} in the model's part coordinates
+ */
+function getCarModelCentre(model) {
+    let area = getCarModelArea_(model);
+    let x = 0, y = 0;
+    for (let p of model.parts) {
+        x += p.x * p.w * p.h / area;
+        y += p.y * p.w * p.h / area;
+    }
+    return { x: x, y: y };
+}
+
+/**
+ * A choice with the model and preset looked up
+ * @param {object} choice - {model, preset}
+ * @returns {object} {model (id), preset (name or null), handling (preset values or null)}
+ */
+function resolveCarChoice(choice) {
+    let preset = choice && choice.preset ? getHandlingPreset(choice.preset) : null;
+    return {
+        model: preset ? getCarModel(preset.model).id : getCarModel(choice && choice.model).id,
+        preset: preset ? preset.name : null,
+        handling: preset ? Object.assign({}, preset.values) : null
+    };
+}
+
+/**
+ * Name of a chosen car, as shown on Car Select and leaderboard entries
+ */
+function getCarChoiceLabel(choice) {
+    return choice && choice.preset ? choice.preset : getCarModel(choice && choice.model).name;
+}
+
+/**
+ * Everything Car Select offers: the roster, then each preset marked for it
+ * @returns {Array} Choices {model, preset}
+ */
+function getCarChoiceOptions() {
+    let options = CAR_MODELS.map(model => ({ model: model.id, preset: null }));
+    for (let preset of handlingPresets) {
+        if (preset.inMenu) options.push({ model: getCarModel(preset.model).id, preset: preset.name });
+    }
+    return options;
+}
+
+/* ============================================
+ * SAVED CHOICES
+ * ============================================
+ */
+
+function loadCarChoices() {
+    try {
+        let stored = JSON.parse(localStorage.getItem(CAR_CHOICES_STORAGE_KEY));
+        if (Array.isArray(stored)) {
+            carChoices = stored.map(choice => ({
+                model: getCarModel(choice && choice.model).id,
+                preset: choice && typeof choice.preset === 'string' ? choice.preset : null
+            }));
+        }
+    } catch (error) {
+        console.warn('Could not load car choices from localStorage:', error);
+    }
+}
+
+function saveCarChoices() {
+    try {
+        localStorage.setItem(CAR_CHOICES_STORAGE_KEY, JSON.stringify(carChoices));
+    } catch (error) {
+        console.warn('Could not save car choices to localStorage:', error);
+    }
+}
+
+/* ============================================
+ * SILHOUETTES
+ * ============================================
+ */
+
+/**
+ * Draw a model, facing right, scaled to fit a canvas
+ * @param {HTMLCanvasElement} canvas - Preview canvas
+ * @param {object} model - CAR_MODELS entry
+ * @param {string} color - Neon body color
+ */
+function drawCarSilhouette(canvas, model, color) {
+    let ctx = canvas.getContext('2d');
+    let size = getCarModelSize(model);
+    let centre = getCarModelCentre(model);
+    let scale = Math.min(canvas.width / (size.radius * 2.4), canvas.height / (size.h * 1.6));
+    let rects = (list) => {
+        for (let p of list) ctx.fillRect(p.x - centre.x - p.w / 2, p.y - centre.y - p.h / 2, p.w, p.h);
+    };
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.scale(scale, scale);
+
+    // White outline around the whole shape, then the body over the seams
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = color;
+    ctx.fillStyle = '#ffffff';
+    for (let p of model.parts) {
+        ctx.fillRect(p.x - centre.x - p.w / 2 - 2, p.y - centre.y - p.h / 2 - 2, p.w + 4, p.h + 4);
+    }
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = color;
+    rects(model.parts);
+    ctx.fillStyle = '#ffff00';
+    rects(model.lights);
+    ctx.restore();
+}
+
+/* ============================================
+ * CAR SELECT SCREEN
+ * ============================================
+ */
+
+function isCarSelectOpen() {
+    return carSelect !== null;
+}
+
+/**
+ * Show Car Select for the local players of the mode being started
+ * @param {number} playerCount - Columns to show
+ */
+function openCarSelectScreen(playerCount) {
+    let options = getCarChoiceOptions();
+    let picks = [];
+    for (let i = 0; i < playerCount; i++) {
+        let saved = carChoices[i] || {};
+        let index = options.findIndex(o => o.model === saved.model && o.preset === (saved.preset || null));
+        picks.push(Math.max(0, index));
+    }
+    carSelect = { options: options, picks: picks };
+
+    renderCarSelectScreen();
+    document.getElementById('start-menu').style.display = 'none';
+    document.getElementById('car-select-overlay').style.display = 'flex';
+}
+
+function closeCarSelectScreen() {
+    carSelect = null;
+    document.getElementById('car-select-overlay').style.display = 'none';
+}
+
+/**
+ * One column per player: silhouette, name, description and stat bars
+ */
+function renderCarSelectScreen() {
+    let list = document.getElementById('car-select-players');
+    if (!list || !carSelect) return;
+    list.innerHTML = '';
+
+    carSelect.picks.forEach((pick, i) => {
+        let choice = carSelect.options[pick];
+        let resolved = resolveCarChoice(choice);
+        let model = getCarModel(resolved.model);
+        let handling = resolved.handling || getCarModelHandling(model);
+        let color = PLAYER_COLORS[i % PLAYER_COLORS.length];
+
+        let column = document.createElement('div');
+        column.className = 'car-select-player';
+        column.style.borderColor = color;
+
+        let title = document.createElement('div');
+        title.className = 'car-select-title';
+        title.style.color = color;
+        title.textContent = 'Player ' + (i + 1);
+        column.appendChild(title);
+
+        let preview = document.createElement('canvas');
+        preview.className = 'car-select-preview';
+        preview.width = 220;
+        preview.height = 110;
+        column.appendChild(preview);
+        drawCarSilhouette(preview, model, color);
+
+        let picker = document.createElement('div');
+        picker.className = 'car-select-picker';
+        let prev = document.createElement('button');
+        prev.className = 'editor-btn';
+        prev.textContent = '◀';
+        prev.addEventListener('click', () => cycleCarChoice(i, -1));
+        let name = document.createElement('span');
+        name.className = 'car-select-name';
+        name.textContent = getCarChoiceLabel(choice);
+        let next = document.createElement('button');
+        next.className = 'editor-btn';
+        next.textContent = '▶';
+        next.addEventListener('click', () => cycleCarChoice(i, 1));
+        picker.appendChild(prev);
+        picker.appendChild(name);
+        picker.appendChild(next);
+        column.appendChild(picker);
+
+        let desc = document.createElement('div');
+        desc.className = 'car-select-desc';
+        desc.textContent = resolved.preset ? 'Tuned ' + model.name + ' (handling preset)' : model.description;
+        column.appendChild(desc);
+
+        for (let stat of CAR_STATS) {
+            let row = document.createElement('div');
+            row.className = 'car-select-stat';
+            let label = document.createElement('span');
+            label.textContent = stat.label;
+            let bar = document.createElement('div');
+            bar.className = 'car-select-bar';
+            let fill = document.createElement('div');
+            let value = (stat.value(handling, model) - stat.min) / (stat.max - stat.min);
+            fill.style.width = Math.round(Math.max(0.05, Math.min(1, value)) * 100) + '%';
+            fill.style.backgroundColor = color;
+            bar.appendChild(fill);
+            row.appendChild(label);
+            row.appendChild(bar);
+            column.appendChild(row);
+        }
+        list.appendChild(column);
+    });
+}
+
+/**
+ * Step one player's pick through the options
+ * @param {number} playerIndex - Local player
+ * @param {number} dir - 1 for the next car, -1 for the previous one
+ */
+function cycleCarChoice(playerIndex, dir) {
+    if (!carSelect) return;
+    let count = carSelect.options.length;
+    carSelect.picks[playerIndex] = (carSelect.picks[playerIndex] + dir + count) % count;
+    renderCarSelectScreen();
+}
+
+/**
+ * Keys on Car Select: each player's left / right change their car, Enter
+ * starts and ESC goes back
+ * @returns {boolean} True if the key was used
+ */
+function handleCarSelectKey(code) {
+    if (!carSelect) return false;
+    let used = false;
+    carSelect.picks.forEach((pick, i) => {
+        let keys = keyBindings.players[i];
+        if (!keys) return;
+        if (code === keys.left) cycleCarChoice(i, -1);
+        else if (code === keys.right) cycleCarChoice(i, 1);
+        else return;
+        used = true;
+    });
+    if (used) return true;
+    if (code === ENTER) {
+        confirmCarSelect();
+        return true;
+    }
+    if (code === ESCAPE) {
+        cancelCarSelect();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Save the picks and start the match
+ */
+function confirmCarSelect() {
+    if (!carSelect) return;
+    let picks = carSelect.picks.map(pick => carSelect.options[pick]);
+    picks.forEach((choice, i) => { carChoices[i] = { model: choice.model, preset: choice.preset }; });
+    saveCarChoices();
+    matchSettings.carChoices = picks.map(resolveCarChoice);
+    closeCarSelectScreen();
+    startGame();
+}
+
+function cancelCarSelect() {
+    closeCarSelectScreen();
+    document.getElementById('start-menu').style.display = 'flex';
+}
+
+function bindCarSelectScreen() {
+    document.getElementById('btn-car-select-start').addEventListener('click', confirmCarSelect);
+    document.getElementById('btn-car-select-back').addEventListener('click', cancelCarSelect);
+}
@@ -0,0 +1,865 @@
+/**
+ * Track Editor for Neon Drift Racing
+ * Lay out an arena with the mouse, test-drive it, and export it as JSON
+ *
+ * The editor works on plain arena data in the arena file format (see
+ * ARENA_FORMAT_VERSION in track.js); nothing is built in Matter until the
+ * arena is test-driven. Surfaces, pits and moving obstacles can be moved,
+ * resized and deleted but only come from an existing layout or imported JSON.
+ *
+ * Mouse: click with a placing tool to add an item, drag an item to move it,
+ * drag its square handle to resize and its round handle to rotate. Dragging
+ * empty space pans the view and the wheel zooms.
+ */
+
+const EDITOR_CONFIG = {
+    gridSize: 25,            // Positions snap to this grid
+    sizeStep: 5,             // Sizes snap to this step
+    angleStep: Math.PI / 12, // Rotation snaps to 15 degrees
+    maxUndo: 100,            // Undo steps kept
+    handleRadius: 8,         // Screen pixels
+    rotateHandleGap: 30,     // Screen pixels between an item and its rotate handle
+    pickTolerance: 4,        // Screen pixels around thin items that still count as a click
+    panSpeed: 12,            // Screen pixels per frame for WASD / arrow panning
+    minZoom: 0.2,
+    maxZoom: 2
+};
+
+// Tools in toolbar order (keys 1-6): 'select' plus one per placeable arena list
+const EDITOR_TOOLS = ['select', 'walls', 'barriers', 'checkpoints', 'turrets', 'spawns'];
+
+// Fields of a newly placed item (besides its position)
+const EDITOR_NEW_ITEMS = {
+    walls: { w: 200, h: 25, a: 0 },
+    barriers: { w: 125, h: 20, a: 0 },
+    checkpoints: { r: 35 },
+    turrets: {},
+    spawns: { angle: 0 }
+};
+
+const EDITOR_ITEM_NAMES = {
+    walls: 'Wall',
+    barriers: 'Barrier',
+    checkpoints: 'Checkpoint',
+    turrets: 'Turret',
+    spawns: 'Spawn',
+    startLine: 'Start Line',
+    surfaces: 'Surface',
+    pits: 'Pit',
+    movers: 'Mover'
+};
+
+// Drawing order; clicks pick in reverse so the item on top wins
+const EDITOR_KINDS = ['pits', 'surfaces', 'walls', 'barriers', 'movers', 'startLine', 'checkpoints', 'turrets', 'spawns'];
+
+/**
+ * Arena with only a start line, the default spawns and the default pit
+ * @returns {object} Arena data
+ */
+function createEmptyArena() {
+    let arena = normalizeArena({ name: 'Custom Arena' });
+    arena.checkpoints = [];
+    return arena;
+}
+
+/**
+ * Check arena data against the file format (validateArenaData() in track.js)
+ * and fill in every default
+ * @param {object} data - Parsed arena JSON
+ * @returns {object} Clean arena data
+ * @throws {Error} Listing every problem, one per line
+ */
+function normalizeArena(data) {
+    let result = validateArenaData(data);
+    if (result.errors.length > 0) throw new Error(result.errors.join('\n'));
+    return result.arena;
+}
+
+/**
+ * Round a value to the nearest multiple of a step
+ */
+function snapTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+class TrackEditor {
+    /**
+     * @param {Camera} camera - Camera the editor view is drawn through
+     */
+    constructor(camera) {
+        this.camera = camera;
+
+        // Arena being edited (set by open()), kept between visits
+        this.arena = null;
+
+        this.tool = 'select';
+        this.snap = true;
+        this.selection = null; // {kind, index} of the selected item
+
+        // Mouse drag in progress: {mode: 'move'|'resize'|'rotate'|'pan', ...}
+        this.drag = null;
+
+        // Undo/redo history as JSON snapshots of the arena
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Latest checkArenaLayout() result
+        this.problems = [];
+
+        this.mouseWorld = { x: 0, y: 0 };
+    }
+
+    /**
+     * Start editing. The first visit starts from the given arena; later
+     * visits carry on with the arena as it was left.
+     * @param {object} arena - Arena data to start from (arena file format)
+     */
+    open(arena) {
+        if (!this.arena) this.arena = normalizeArena(arena);
+        this.drag = null;
+        this.fitView();
+        this.changed();
+    }
+
+    /**
+     * Zoom and center the camera on the whole arena
+     */
+    fitView() {
+        let cam = this.camera;
+        let bounds = this.arena.bounds;
+        let zoom = Math.min(width / bounds.W, height / bounds.H) * 0.9;
+        cam.setViewport(null);
+        cam.x = cam.targetX = bounds.W / 2;
+        cam.y = cam.targetY = bounds.H / 2;
+        cam.zoom = cam.targetZoom = Math.max(EDITOR_CONFIG.minZoom, Math.min(EDITOR_CONFIG.maxZoom, zoom));
+        cam.shakeAmount = 0;
+        cam.shakeDuration = 0;
+    }
+
+    /**
+     * Copy of the arena for loadArenaFromJSON() or export
+     */
+    getArena() {
+        return JSON.parse(this.serialize());
+    }
+
+    /**
+     * True if the arena has no errors (warnings are allowed)
+     */
+    canTestDrive() {
+        return !this.problems.some(p => p.level === 'error');
+    }
+
+    /* ---------- Editing and history ---------- */
+
+    serialize() {
+        return JSON.stringify(this.arena);
+    }
+
+    /**
+     * Make an undo step if the arena changed since a snapshot
+     * @param {string} before - serialize() result from before the change
+     */
+    commit(before) {
+        if (before === this.serialize()) return;
+        this.undoStack.push(before);
+        if (this.undoStack.length > EDITOR_CONFIG.maxUndo) this.undoStack.shift();
+        this.redoStack = [];
+        this.changed();
+    }
+
+    /**
+     * Change the arena as one undo step
+     * @param {function} change - Modifies this.arena
+     */
+    edit(change) {
+        let before = this.serialize();
+        change();
+        this.commit(before);
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(this.serialize());
+        this.arena = JSON.parse(this.undoStack.pop());
+        this.selection = null;
+        this.changed();
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(this.serialize());
+        this.arena = JSON.parse(this.redoStack.pop());
+        this.selection = null;
+        this.changed();
+    }
+
+    /**
+     * Re-check the layout and update the toolbar after any change
+     */
+    changed() {
+        this.validate();
+        this.refreshUI();
+    }
+
+    validate() {
+        this.problems = checkArenaLayout(this.arena);
+    }
+
+    /**
+     * Replace the whole arena (undoable)
+     * @param {object} arena - Arena data, already checked (normalizeArena())
+     */
+    setArena(arena) {
+        this.edit(() => {
+            this.arena = arena;
+            this.selection = null;
+        });
+    }
+
+    /**
+     * Arena as pretty-printed JSON for export
+     */
+    toJSON() {
+        return JSON.stringify(this.arena, null, 2);
+    }
+
+    /**
+     * Load an arena from JSON text (undoable)
+     * @param {string} text - Arena JSON
+     * @throws {Error} If the text isn't valid arena JSON
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not valid JSON: ' + error.message);
+        }
+        this.setArena(normalizeArena(data));
+    }
+
+    rename(name) {
+        this.edit(() => {
+            this.arena.name = String(name || 'Custom Arena').slice(0, 40);
+        });
+    }
+
+    setTool(tool) {
+        if (!EDITOR_TOOLS.includes(tool)) return;
+        this.tool = tool;
+        this.refreshUI();
+    }
+
+    toggleSnap() {
+        this.snap = !this.snap;
+        this.refreshUI();
+    }
+
+    snapPosition(value) {
+        return this.snap ? snapTo(value, EDITOR_CONFIG.gridSize) : Math.round(value);
+    }
+
+    snapSize(value, min) {
+        let size = this.snap ? snapTo(value, EDITOR_CONFIG.sizeStep) : Math.round(value);
+        return Math.max(min, size);
+    }
+
+    snapAngle(angle) {
+        let a = Math.atan2(Math.sin(angle), Math.cos(angle));
+        return this.snap ? snapTo(a, EDITOR_CONFIG.angleStep) : a;
+    }
+
+    /**
+     * Add a new item centered on a point
+     * @returns {number} Index of the new item
+     */
+    addItem(kind, x, y) {
+        let item = Object.assign({ x: x, y: y }, EDITOR_NEW_ITEMS[kind]);
+        this.arena[kind].push(item);
+        return this.arena[kind].length - 1;
+    }
+
+    getItem(selection) {
+        if (!selection) return null;
+        if (selection.kind === 'startLine') return this.arena.startLine;
+        return this.arena[selection.kind][selection.index] || null;
+    }
+
+    deleteSelection() {
+        let sel = this.selection;
+        // There is always exactly one start line
+        if (!sel || sel.kind === 'startLine') return;
+        this.edit(() => {
+            this.arena[sel.kind].splice(sel.index, 1);
+            this.selection = null;
+        });
+    }
+
+    /**
+     * Turn the selected item by a number of angle steps (Q / E)
+     */
+    rotateSelection(steps) {
+        let item = this.getItem(this.selection);
+        if (!item || !this.getShape(this.selection.kind, item).rotate) return;
+        let field = this.selection.kind === 'spawns' || this.selection.kind === 'turrets' ? 'angle' : 'a';
+        this.edit(() => {
+            item[field] = this.snapAngle((item[field] || 0) + steps * EDITOR_CONFIG.angleStep);
+        });
+    }
+
+    /**
+     * Give the selected turret the next of TURRET_TYPES (T)
+     */
+    cycleTurretType() {
+        let item = this.getItem(this.selection);
+        if (!item || this.selection.kind !== 'turrets') return;
+        let types = Object.keys(TURRET_TYPES);
+        this.edit(() => {
+            item.type = types[(types.indexOf(item.type || 'burst') + 1) % types.length];
+        });
+    }
+
+    /* ---------- Geometry ---------- */
+
+    /**
+     * Outline of an item and what can be done to it
+     * @returns {object} {x, y, w, h, a} or {x, y, r, circle: true}, plus resize/rotate flags
+     */
+    getShape(kind, item) {
+        switch (kind) {
+            case 'checkpoints':
+                return { x: item.x, y: item.y, r: item.r, circle: true, resize: true, rotate: false };
+            case 'turrets':
+                return { x: item.x, y: item.y, w: 40, h: 40, a: item.angle || 0, resize: false, rotate: true };
+            case 'spawns':
+                return { x: item.x, y: item.y, w: 50, h: 30, a: item.angle, resize: false, rotate: true };
+            case 'startLine':
+            case 'pits':
+                return { x: item.x, y: item.y, w: item.w, h: item.h, a: 0, resize: true, rotate: false };
+            case 'movers':
+                // A pendulum is picked by its pivot; Q / E turn where it hangs
+                if (item.type === 'pendulum') return { x: item.x, y: item.y, r: 20, circle: true, resize: false, rotate: true };
+                return { x: item.x, y: item.y, w: item.w, h: item.h, a: item.a, resize: true, rotate: true };
+            default:
+                return { x: item.x, y: item.y, w: item.w, h: item.h, a: item.a, resize: true, rotate: true };
+        }
+    }
+
+    /**
+     * World positions of the selected item's handles (null when it has none)
+     * @returns {object} {resize, rotate} each {x, y} or null
+     */
+    getHandles() {
+        let item = this.getItem(this.selection);
+        if (!item) return { resize: null, rotate: null };
+        let s = this.getShape(this.selection.kind, item);
+        if (s.circle) {
+            return { resize: s.resize ? { x: s.x + s.r, y: s.y } : null, rotate: null };
+        }
+        let c = Math.cos(s.a);
+        let sn = Math.sin(s.a);
+        let reach = s.w / 2 + EDITOR_CONFIG.rotateHandleGap / this.camera.zoom;
+        return {
+            resize: s.resize ? { x: s.x + c * s.w / 2 - sn * s.h / 2, y: s.y + sn * s.w / 2 + c * s.h / 2 } : null,
+            rotate: s.rotate ? { x: s.x + c * reach, y: s.y + sn * reach } : null
+        };
+    }
+
+    /**
+     * Topmost item under a world point
+     * @returns {object|null} {kind, index}
+     */
+    pick(x, y) {
+        let tolerance = EDITOR_CONFIG.pickTolerance / this.camera.zoom;
+        for (let k = EDITOR_KINDS.length - 1; k >= 0; k--) {
+            let kind = EDITOR_KINDS[k];
+            let items = kind === 'startLine' ? [this.arena.startLine] : this.arena[kind];
+            for (let i = items.length - 1; i >= 0; i--) {
+                let s = this.getShape(kind, items[i]);
+                let hit = s.circle
+                    ? circlesOverlap(x, y, tolerance, s.x, s.y, s.r)
+                    : circleRectOverlap(x, y, tolerance, s.x, s.y, s.w, s.h, s.a);
+                if (hit) return { kind: kind, index: i };
+            }
+        }
+        return null;
+    }
+
+    /* ---------- Input ---------- */
+
+    /**
+     * @param {number} sx - Mouse screen X
+     * @param {number} sy - Mouse screen Y
+     */
+    mousePressed(sx, sy) {
+        let p = this.camera.screenToWorld(sx, sy);
+        let before = this.serialize();
+
+        // The selected item's handles sit on top of everything
+        let handles = this.getHandles();
+        let grab = EDITOR_CONFIG.handleRadius / this.camera.zoom;
+        for (let mode of ['resize', 'rotate']) {
+            let h = handles[mode];
+            if (h && Math.hypot(p.x - h.x, p.y - h.y) <= grab) {
+                this.drag = { mode: mode, before: before };
+                return;
+            }
+        }
+
+        let hit = this.pick(p.x, p.y);
+        if (!hit && this.tool !== 'select') {
+            // Place a new item, and keep it under the mouse until release
+            hit = { kind: this.tool, index: this.addItem(this.tool, this.snapPosition(p.x), this.snapPosition(p.y)) };
+            this.validate();
+        }
+        if (hit) {
+            let item = this.getItem(hit);
+            this.selection = hit;
+            this.drag = { mode: 'move', before: before, offsetX: item.x - p.x, offsetY: item.y - p.y };
+        } else {
+            this.selection = null;
+            this.drag = { mode: 'pan', lastX: sx, lastY: sy };
+        }
+        this.refreshUI();
+    }
+
+    mouseDragged(sx, sy) {
+        let drag = this.drag;
+        if (!drag) return;
+        let cam = this.camera;
+
+        if (drag.mode === 'pan') {
+            cam.x = cam.targetX -= (sx - drag.lastX) / cam.zoom;
+            cam.y = cam.targetY -= (sy - drag.lastY) / cam.zoom;
+            drag.lastX = sx;
+            drag.lastY = sy;
+            return;
+        }
+
+        let item = this.getItem(this.selection);
+        if (!item) return;
+        let p = cam.screenToWorld(sx, sy);
+        let kind = this.selection.kind;
+        let shape = this.getShape(kind, item);
+
+        if (drag.mode === 'move') {
+            item.x = this.snapPosition(p.x + drag.offsetX);
+            item.y = this.snapPosition(p.y + drag.offsetY);
+        } else if (drag.mode === 'resize' && shape.circle) {
+            item.r = this.snapSize(Math.hypot(p.x - item.x, p.y - item.y), 15);
+        } else if (drag.mode === 'resize') {
+            // Resize around the center, in the item's own (rotated) axes
+            let c = Math.cos(-shape.a);
+            let s = Math.sin(-shape.a);
+            let lx = c * (p.x - item.x) - s * (p.y - item.y);
+            let ly = s * (p.x - item.x) + c * (p.y - item.y);
+            item.w = this.snapSize(Math.abs(lx) * 2, 10);
+            item.h = this.snapSize(Math.abs(ly) * 2, 10);
+        } else if (drag.mode === 'rotate') {
+            let angle = this.snapAngle(Math.atan2(p.y - item.y, p.x - item.x));
+            if (kind === 'spawns' || kind === 'turrets') item.angle = angle;
+            else item.a = angle;
+        }
+        this.validate();
+    }
+
+    mouseReleased() {
+        if (this.drag && this.drag.before !== undefined) this.commit(this.drag.before);
+        this.drag = null;
+    }
+
+    /**
+     * Zoom towards the mouse with the wheel
+     * @param {number} delta - Wheel delta (positive = zoom out)
+     */
+    mouseWheel(delta) {
+        let cam = this.camera;
+        let factor = delta > 0 ? 0.9 : 1.1;
+        cam.setZoom(Math.max(EDITOR_CONFIG.minZoom, Math.min(EDITOR_CONFIG.maxZoom, cam.targetZoom * factor)));
+    }
+
+    /**
+     * Editor keyboard shortcuts
+     * @returns {boolean} True if the key was used
+     */
+    keyPressed(code, pressedKey) {
+        // Keys typed into the name box or the JSON dialog are left alone
+        if (this.isTyping()) return false;
+        if (this.isJSONDialogOpen()) {
+            if (code !== ESCAPE) return false;
+            this.closeJSONDialog();
+            return true;
+        }
+
+        let ctrl = keyIsDown(CONTROL) || keyIsDown(91); // Ctrl, or Cmd on a Mac
+        let k = String(pressedKey).toLowerCase();
+
+        if (ctrl && k === 'z') {
+            if (keyIsDown(SHIFT)) this.redo();
+            else this.undo();
+        } else if (ctrl && k === 'y') {
+            this.redo();
+        } else if (code === DELETE || code === BACKSPACE) {
+            this.deleteSelection();
+        } else if (code === ESCAPE) {
+            this.selection = null;
+            this.setTool('select');
+        } else if (k === 'g') {
+            this.toggleSnap();
+        } else if (k === 'q' || k === 'e') {
+            this.rotateSelection(k === 'q' ? -1 : 1);
+        } else if (k === 't') {
+            this.cycleTurretType();
+        } else if (k >= '1' && k <= String(EDITOR_TOOLS.length)) {
+            this.setTool(EDITOR_TOOLS[parseInt(k, 10) - 1]);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Pan with WASD / arrows and ease the camera
+     * @param {number} dtMs - Frame time in milliseconds
+     */
+    update(dtMs) {
+        let cam = this.camera;
+        if (!this.isTyping() && !(keyIsDown(CONTROL) || keyIsDown(91))) {
+            let pan = EDITOR_CONFIG.panSpeed / cam.zoom;
+            if (keyIsDown(65) || keyIsDown(LEFT_ARROW)) cam.targetX -= pan;
+            if (keyIsDown(68) || keyIsDown(RIGHT_ARROW)) cam.targetX += pan;
+            if (keyIsDown(87) || keyIsDown(UP_ARROW)) cam.targetY -= pan;
+            if (keyIsDown(83) || keyIsDown(DOWN_ARROW)) cam.targetY += pan;
+        }
+        cam.update(dtMs);
+        this.mouseWorld = cam.screenToWorld(mouseX, mouseY);
+    }
+
+    /**
+     * True while a text field has the keyboard
+     */
+    isTyping() {
+        let focus = document.activeElement;
+        return !!focus && (focus.tagName === 'INPUT' || focus.tagName === 'TEXTAREA');
+    }
+
+    /* ---------- Drawing ---------- */
+
+    /**
+     * Draw the arena being edited (inside camera.apply())
+     * @param {object} bounds - Visible area (Camera.getBounds())
+     */
+    drawWorld(bounds) {
+        let W = this.arena.bounds.W;
+        let H = this.arena.bounds.H;
+        push();
+        rectMode(CENTER);
+
+        // Snap grid, when zoomed in enough to see it
+        if (this.snap && this.camera.zoom >= 0.5) {
+            let step = EDITOR_CONFIG.gridSize;
+            stroke(0, 255, 255, 12);
+            strokeWeight(1);
+            for (let x = Math.max(0, Math.floor(bounds.left / step) * step); x <= Math.min(W, bounds.right); x += step) {
+                line(x, Math.max(0, bounds.top), x, Math.min(H, bounds.bottom));
+            }
+            for (let y = Math.max(0, Math.floor(bounds.top / step) * step); y <= Math.min(H, bounds.bottom); y += step) {
+                line(Math.max(0, bounds.left), y, Math.min(W, bounds.right), y);
+            }
+        }
+
+        // Outer walls follow the arena bounds (set in the JSON)
+        noFill();
+        stroke(NEON_COLORS.wall);
+        strokeWeight(4);
+        rect(W / 2, 20, W, 40);
+        rect(W / 2, H - 20, W, 40);
+        rect(20, H / 2, 40, H);
+        rect(W - 20, H / 2, 40, H);
+
+        for (let kind of EDITOR_KINDS) {
+            let items = kind === 'startLine' ? [this.arena.startLine] : this.arena[kind];
+            items.forEach((item, i) => this.drawItem(kind, item, i));
+        }
+
+        this.drawSelection();
+        pop();
+    }
+
+    /**
+     * Draw one item, outlined in red/orange if it has a problem
+     */
+    drawItem(kind, item, index) {
+        let s = this.getShape(kind, item);
+        let problem = this.problems.find(p => p.kind === kind && p.index === index);
+
+        // Surfaces and moving obstacles (where they start) look the same as in a race
+        if (kind === 'surfaces') drawSurfaceZone(item);
+        if (kind === 'movers') drawMover(item, getMoverPose(item, 0), true);
+        push();
+        translate(s.x, s.y);
+        noFill();
+        strokeWeight(3);
+        textAlign(CENTER, CENTER);
+
+        if (kind === 'walls' || kind === 'barriers') {
+            rotate(s.a);
+            stroke(kind === 'walls' ? NEON_COLORS.wall : NEON_COLORS.orange);
+            rect(0, 0, s.w, s.h);
+        } else if (kind === 'pits') {
+            stroke(NEON_COLORS.green);
+            strokeWeight(2);
+            fill(0, 255, 100, 20);
+            rect(0, 0, s.w, s.h, 8);
+            noStroke();
+            fill(NEON_COLORS.green);
+            textSize(22);
+            text('PIT', 0, 0);
+        } else if (kind === 'startLine') {
+            stroke(NEON_COLORS.yellow);
+            fill(255, 255, 0, 60);
+            rect(0, 0, s.w, s.h);
+            noStroke();
+            fill(NEON_COLORS.yellow);
+            textSize(16);
+            text('START', 0, -s.h / 2 - 14);
+        } else if (kind === 'checkpoints') {
+            stroke(NEON_COLORS.cyan);
+            circle(0, 0, s.r * 2);
+            noStroke();
+            fill(NEON_COLORS.cyan);
+            textSize(22);
+            text(index + 1, 0, 0);
+        } else if (kind === 'turrets') {
+            // Trigger radius, so spacing from the spawns is visible
+            stroke(100, 200, 255, 50);
+            strokeWeight(1);
+            circle(0, 0, (item.triggerRadius || TURRET_CONFIG.triggerRadius) * 2);
+            let type = TURRET_TYPES[item.type] || TURRET_TYPES.burst;
+            stroke(type.color);
+            strokeWeight(2);
+            fill(lerpColor(color(type.color), color(0), 0.6));
+            rect(0, 0, s.w, s.h);
+            // Barrel: the way it starts out aiming
+            rotate(s.a);
+            line(0, 0, s.w, 0);
+            rotate(-s.a);
+        } else if (kind === 'spawns') {
+            let c = PLAYER_COLORS[index % PLAYER_COLORS.length];
+            rotate(s.a);
+            stroke(c);
+            rect(0, 0, s.w, s.h, 5);
+            line(s.w / 2 - 12, -8, s.w / 2 - 4, 0);
+            line(s.w / 2 - 12, 8, s.w / 2 - 4, 0);
+            rotate(-s.a);
+            noStroke();
+            fill(c);
+            textSize(14);
+            text('P' + (index + 1), 0, 0);
+        }
+        pop();
+
+        if (problem) {
+            push();
+            noFill();
+            stroke(problem.level === 'error' ? '#ff4444' : NEON_COLORS.orange);
+            strokeWeight(2 / this.camera.zoom);
+            let r = s.circle ? s.r : Math.hypot(s.w, s.h) / 2;
+            circle(s.x, s.y, (r + 10) * 2);
+            pop();
+        }
+    }
+
+    /**
+     * Outline and handles of the selected item
+     */
+    drawSelection() {
+        let item = this.getItem(this.selection);
+        if (!item) return;
+        let s = this.getShape(this.selection.kind, item);
+        let zoom = this.camera.zoom;
+
+        push();
+        noFill();
+        stroke(255);
+        strokeWeight(1.5 / zoom);
+        drawingContext.setLineDash([6 / zoom, 4 / zoom]);
+        if (s.circle) {
+            circle(s.x, s.y, s.r * 2 + 8 / zoom);
+        } else {
+            translate(s.x, s.y);
+            rotate(s.a);
+            rectMode(CENTER);
+            rect(0, 0, s.w + 8 / zoom, s.h + 8 / zoom);
+            rotate(-s.a);
+            translate(-s.x, -s.y);
+        }
+        drawingContext.setLineDash([]);
+
+        let handles = this.getHandles();
+        let size = EDITOR_CONFIG.handleRadius * 2 / zoom;
+        fill(0);
+        if (handles.rotate) {
+            line(s.x, s.y, handles.rotate.x, handles.rotate.y);
+            circle(handles.rotate.x, handles.rotate.y, size);
+        }
+        if (handles.resize) {
+            rectMode(CENTER);
+            rect(handles.resize.x, handles.resize.y, size, size);
+        }
+        pop();
+    }
+
+    /**
+     * Status line and key hints (screen space)
+     */
+    drawOverlay() {
+        let item = this.getItem(this.selection);
+        let status = 'Tool: ' + (this.tool === 'select' ? 'Select' : EDITOR_ITEM_NAMES[this.tool]) +
+            '   Snap: ' + (this.snap ? 'on' : 'off') +
+            '   ' + Math.round(this.mouseWorld.x) + ', ' + Math.round(this.mouseWorld.y);
+        if (item) {
+            let name = EDITOR_ITEM_NAMES[this.selection.kind];
+            if (this.selection.kind !== 'startLine') name += ' ' + (this.selection.index + 1);
+            if (this.selection.kind === 'turrets') name += ' (' + (TURRET_TYPES[item.type] || TURRET_TYPES.burst).label + ')';
+            if (this.selection.kind === 'movers') name += ' (' + MOVER_TYPES[item.type].label + ')';
+            status += '   Selected: ' + name;
+        }
+
+        push();
+        noStroke();
+        textAlign(LEFT, BOTTOM);
+        textSize(14);
+        fill(NEON_COLORS.cyan);
+        text(status, 20, height - 90);
+        fill(200);
+        text('1-6 tools  Drag: move / pan  Q/E rotate  T turret type  Del delete  G snap  Ctrl+Z / Ctrl+Y undo / redo  Wheel zoom',
+            20, height - 70);
+        pop();
+    }
+
+    /* ---------- Toolbar (index.html #editor-ui) ---------- */
+
+    /**
+     * Hook up the toolbar buttons that only change the editor itself
+     */
+    bindUI() {
+        document.querySelectorAll('#editor-toolbar [data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => this.setTool(btn.dataset.tool));
+        });
+        document.getElementById('btn-editor-snap').addEventListener('click', () => this.toggleSnap());
+        document.getElementById('btn-editor-undo').addEventListener('click', () => this.undo());
+        document.getElementById('btn-editor-redo').addEventListener('click', () => this.redo());
+        document.getElementById('btn-editor-new').addEventListener('click', () => this.setArena(createEmptyArena()));
+        document.getElementById('editor-name').addEventListener('change', e => this.rename(e.target.value));
+
+        // Export / import dialog
+        let fileInput = document.getElementById('editor-json-file');
+        document.getElementById('btn-editor-json').addEventListener('click', () => this.openJSONDialog());
+        document.getElementById('btn-editor-json-close').addEventListener('click', () => this.closeJSONDialog());
+        document.getElementById('btn-editor-download').addEventListener('click', () => this.downloadJSON());
+        document.getElementById('btn-editor-import').addEventListener('click', () => this.importFromDialog());
+        document.getElementById('btn-editor-load-file').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            this.readJSONFile(fileInput.files && fileInput.files[0]);
+            fileInput.value = ''; // Picking the same file again still fires 'change'
+        });
+    }
+
+    /**
+     * Show the arena as JSON, ready to copy, download or replace
+     */
+    openJSONDialog() {
+        document.getElementById('editor-json-text').value = this.toJSON();
+        this.setJSONMessage('');
+        document.getElementById('editor-json-overlay').style.display = 'flex';
+    }
+
+    closeJSONDialog() {
+        document.getElementById('editor-json-overlay').style.display = 'none';
+    }
+
+    isJSONDialogOpen() {
+        return document.getElementById('editor-json-overlay').style.display === 'flex';
+    }
+
+    setJSONMessage(message, isError) {
+        let el = document.getElementById('editor-json-message');
+        el.textContent = message;
+        el.className = 'controls-message' + (isError ? ' error' : '');
+    }
+
+    /**
+     * Save the arena as a .json file
+     */
+    downloadJSON() {
+        try {
+            let url = URL.createObjectURL(new Blob([this.toJSON()], { type: 'application/json' }));
+            let link = document.createElement('a');
+            link.href = url;
+            link.download = (this.arena.name.replace(/[^a-z0-9_-]+/gi, '-').toLowerCase() || 'arena') + '.json';
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.warn('Could not download the arena:', error);
+            this.setJSONMessage('Download failed - copy the text instead', true);
+        }
+    }
+
+    /**
+     * Import an arena from a file picked in the dialog
+     * @param {File} file - Chosen .json file
+     */
+    readJSONFile(file) {
+        if (!file) return;
+        let reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('editor-json-text').value = reader.result;
+            this.importFromDialog();
+        };
+        reader.onerror = () => this.setJSONMessage('Could not read ' + file.name, true);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Replace the arena with the dialog's JSON, or explain what is wrong with it
+     */
+    importFromDialog() {
+        try {
+            this.importJSON(document.getElementById('editor-json-text').value);
+            this.closeJSONDialog();
+        } catch (error) {
+            this.setJSONMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Show the current tool, snap, history and layout problems in the toolbar
+     */
+    refreshUI() {
+        document.querySelectorAll('#editor-toolbar [data-tool]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === this.tool);
+        });
+        document.getElementById('btn-editor-snap').textContent = 'Snap: ' + (this.snap ? 'On' : 'Off');
+        document.getElementById('btn-editor-undo').disabled = this.undoStack.length === 0;
+        document.getElementById('btn-editor-redo').disabled = this.redoStack.length === 0;
+        if (this.arena) document.getElementById('editor-name').value = this.arena.name;
+
+        let list = document.getElementById('editor-problems');
+        list.innerHTML = '';
+        if (this.problems.length === 0) {
+            let ok = document.createElement('div');
+            ok.className = 'editor-problem ok';
+            ok.textContent = 'Layout OK';
+            list.appendChild(ok);
+        }
+        for (let problem of this.problems) {
+            let row = document.createElement('div');
+            row.className = 'editor-problem ' + problem.level;
+            row.textContent = (problem.level === 'error' ? '✖ ' : '⚠ ') + problem.message;
+            list.appendChild(row);
+        }
+        document.getElementById('btn-editor-test').disabled = !this.canTestDrive();
+    }
+}
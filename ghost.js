@@ -0,0 +1,112 @@
+/**
+ * Ghost Car System for Neon Drift Racing
+ * Records the car's pose every physics step and replays the best lap as a ghost
+ */
+
+class GhostLap {
+    /**
+     * @param {string} trackKey - Layout key from getTrackLayoutKey()
+     * @param {string} model - CAR_MODELS id of the car being driven
+     */
+    constructor(trackKey, model) {
+        this.storageKey = 'ghost:' + trackKey;
+        this.model = model;
+
+        // Safety cap: 5 minutes at 60 steps/second
+        this.maxFrames = 60 * 60 * 5;
+
+        // Current lap recording, flat [x, y, angle, x, y, angle, ...]
+        this.recording = [];
+        this.overflowed = false;
+
+        // Best lap for this layout: { lapTime, frames, model }
+        this.best = this.load();
+        this.playbackIndex = 0;
+    }
+
+    /**
+     * Start recording a new lap and rewind the ghost
+     */
+    startLap() {
+        this.recording = [];
+        this.overflowed = false;
+        this.playbackIndex = 0;
+    }
+
+    /**
+     * Record one physics step of the car's pose and advance the ghost
+     * @param {number} x - Car x position
+     * @param {number} y - Car y position
+     * @param {number} angle - Car angle in radians
+     */
+    record(x, y, angle) {
+        if (this.recording.length / 3 >= this.maxFrames) {
+            this.overflowed = true;
+        } else {
+            this.recording.push(
+                Math.round(x * 10) / 10,
+                Math.round(y * 10) / 10,
+                Math.round(angle * 1000) / 1000
+            );
+        }
+        this.playbackIndex++;
+    }
+
+    /**
+     * Finish the current lap. Saves the recording if it beats the stored ghost.
+     * @param {number} lapTime - Lap time in seconds
+     * @returns {boolean} True if the recording became the new ghost
+     */
+    finishLap(lapTime) {
+        let isBest = !this.best || lapTime < this.best.lapTime;
+        if (isBest && !this.overflowed && this.recording.length > 0) {
+            this.best = { lapTime: lapTime, frames: this.recording, model: this.model };
+            this.save();
+        } else {
+            isBest = false;
+        }
+        this.startLap();
+        return isBest;
+    }
+
+    /**
+     * Get the ghost pose for the current step of the lap
+     * @returns {object|null} {x, y, angle}, or null when there is no ghost to show
+     */
+    getFrame() {
+        if (!this.best) return null;
+        let frames = this.best.frames;
+        let i = Math.min(this.playbackIndex, frames.length / 3 - 1) * 3;
+        if (i < 0) return null;
+        return { x: frames[i], y: frames[i + 1], angle: frames[i + 2] };
+    }
+
+    /**
+     * @returns {string|undefined} CAR_MODELS id the best lap was driven in
+     *   (ghosts saved before the roster have none: the standard car)
+     */
+    getModel() {
+        return this.best ? this.best.model : undefined;
+    }
+
+    load() {
+        try {
+            let stored = localStorage.getItem(this.storageKey);
+            if (stored === null) return null;
+            let data = JSON.parse(stored);
+            if (!data || !Array.isArray(data.frames) || typeof data.lapTime !== 'number') return null;
+            return data;
+        } catch (error) {
+            console.warn('Could not load ghost from localStorage:', error);
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.best));
+        } catch (error) {
+            console.warn('Could not save ghost to localStorage:', error);
+        }
+    }
+}
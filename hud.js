@@ -28,20 +28,26 @@ class HUD {
 
         // Speed display (top left)
         this.drawSpeed(carState.speed, this.padding, this.padding, this.player1Color);
+        this.drawGear(carState.gear, this.padding + 100, this.padding + 25, this.player1Color);
 
         // Drift time display (below speed)
         this.drawDriftTime(carState.totalDriftTime || 0, carState.drifting,
             this.padding, this.padding + 90, this.player1Color, 'left');
 
+        // Drift score (below drift time)
+        this.drawDriftScore(carState, this.padding, this.padding + 180, this.player1Color, 'left');
+
+        // Damage bar (below drift score)
+        this.drawDamage(carState, this.padding, this.padding + 300, 'left');
+
         // Lap time display (top center)
         this.drawLapTime(lapInfo, width / 2, this.padding);
 
         // Drift indicator (center)
-        /*
-        if (carState.drifting) {
-            this.drawDriftIndicator(width / 2, height - 100, carState.driftCombo || 1);
+        if (carState.driftActive) {
+            this.drawDriftIndicator(width / 2, height - 100, carState.driftCombo || 1,
+                this.player2Color, carState.driftPoints);
         }
-            */
 
         pop();
     }
@@ -59,13 +65,19 @@ class HUD {
 
         // Player 1 (left side)
         this.drawSpeed(car1State.speed, this.padding, this.padding, this.player1Color);
+        this.drawGear(car1State.gear, this.padding + 100, this.padding + 25, this.player1Color);
         this.drawDriftTime(car1State.totalDriftTime || 0, car1State.drifting,
             this.padding, this.padding + 90, this.player1Color, 'left');
+        this.drawDriftScore(car1State, this.padding, this.padding + 240, this.player1Color, 'left');
+        this.drawDamage(car1State, this.padding, this.padding + 360, 'left');
 
         // Player 2 (right side)
         this.drawSpeed(car2State.speed, width - this.padding, this.padding, this.player2Color, 'right');
+        this.drawGear(car2State.gear, width - this.padding - 100, this.padding + 25, this.player2Color, 'right');
         this.drawDriftTime(car2State.totalDriftTime || 0, car2State.drifting,
             width - this.padding, this.padding + 90, this.player2Color, 'right');
+        this.drawDriftScore(car2State, width - this.padding, this.padding + 240, this.player2Color, 'right');
+        this.drawDamage(car2State, width - this.padding, this.padding + 360, 'right');
 
         // Timer display (top center) for two-player mode
         if (timeRemaining !== null) {
@@ -73,13 +85,48 @@ class HUD {
         }
 
         // Drift indicators
-        /*
-        if (car1State.drifting) {
-            this.drawDriftIndicator(width / 4, height - 100, car1State.driftCombo || 1, this.player1Color);
+        if (car1State.driftActive) {
+            this.drawDriftIndicator(width / 4, height - 100, car1State.driftCombo || 1,
+                this.player1Color, car1State.driftPoints);
+        }
+        if (car2State.driftActive) {
+            this.drawDriftIndicator(3 * width / 4, height - 100, car2State.driftCombo || 1,
+                this.player2Color, car2State.driftPoints);
+        }
+
+        pop();
+    }
+
+    /**
+     * Draw one player's HUD inside their split-screen view
+     * @param {object} carState - Car state object with speed, drifting, score, etc.
+     * @param {object} viewport - Player's view {x, y, w, h} in screen pixels
+     * @param {string} color - Player color
+     * @param {string} label - Player name, e.g. 'PLAYER 3'
+     */
+    drawPlayerPanel(carState, viewport, color, label) {
+        push();
+        translate(viewport.x, viewport.y);
+
+        // Name tag (top left of the view)
+        textAlign(LEFT, TOP);
+        textSize(this.fontSize);
+        fill(color);
+        noStroke();
+        this.applyTextGlow(color);
+        text(label, this.padding, this.padding);
+
+        let y = this.padding + 30;
+        this.drawSpeed(carState.speed, this.padding, y, color);
+        this.drawGear(carState.gear, this.padding + 100, y + 25, color);
+        this.drawDriftScore(carState, this.padding, y + 90, color, 'left');
+        this.drawDamage(carState, this.padding, y + 180, 'left');
+
+        // Drift indicator (bottom center of the view)
+        if (carState.driftActive) {
+            this.drawDriftIndicator(viewport.w / 2, viewport.h - 80, carState.driftCombo || 1,
+                color, carState.driftPoints);
         }
-        if (car2State.drifting) {
-            this.drawDriftIndicator(3 * width / 4, height - 100, car2State.driftCombo || 1, this.player2Color);
-        }*/
 
         pop();
     }
@@ -120,6 +167,35 @@ class HUD {
         pop();
     }
 
+    /**
+     * Draw the gear indicator: D, or R in white while reversing
+     * @param {string} gear - 'D' or 'R' (car state)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} color - Display color
+     * @param {string} align - Text alignment ('left' or 'right')
+     */
+    drawGear(gear, x, y, color = '#00ffff', align = 'left') {
+        let label = gear || 'D';
+        let tint = label === 'R' ? '#ffffff' : color;
+        let size = 36;
+        let left = align === 'right' ? x - size : x;
+
+        push();
+        noFill();
+        stroke(tint);
+        strokeWeight(2);
+        this.applyTextGlow(tint);
+        rect(left, y, size, size, 6);
+
+        noStroke();
+        fill(tint);
+        textAlign(CENTER, CENTER);
+        textSize(this.fontSize * 1.3);
+        text(label, left + size / 2, y + size / 2 + 1);
+        pop();
+    }
+
     /**
      * Draw drift time display
      * @param {number} driftTime - Total drift time in milliseconds
@@ -159,6 +235,86 @@ class HUD {
         pop();
     }
 
+    /**
+     * Draw banked drift score and the combo waiting for the next drift
+     * @param {object} carState - Car state (driftScore, driftCombo, comboTimerMs)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} color - Display color
+     * @param {string} align - Text alignment ('left' or 'right')
+     */
+    drawDriftScore(carState, x, y, color = '#00ffff', align = 'left') {
+        push();
+
+        textAlign(align === 'right' ? RIGHT : LEFT, TOP);
+        textSize(this.fontSize);
+
+        // Label
+        fill(150);
+        noStroke();
+        text('DRIFT SCORE', x, y);
+
+        // Score value with glow
+        textSize(this.fontSize * 2);
+        fill(color);
+        this.applyTextGlow(color);
+        text(Math.round(carState.driftScore || 0), x, y + 25);
+
+        // Combo still alive between drifts
+        if (!carState.driftActive && carState.comboTimerMs > 0 && carState.driftCombo > 1) {
+            textSize(this.fontSize * 0.9);
+            fill('#ffaa00');
+            this.applyTextGlow('#ffaa00');
+            text('COMBO x' + carState.driftCombo + ' READY', x, y + 65);
+        }
+
+        pop();
+    }
+
+    /**
+     * Draw the car's damage as a bar (green -> red) with a pit hint
+     * @param {object} carState - Car state (damage, inPit)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} align - Bar anchor ('left' or 'right')
+     */
+    drawDamage(carState, x, y, align = 'left') {
+        let damage = carState.damage || 0;
+        let barW = 140;
+        let barH = 10;
+        let left = align === 'right' ? x - barW : x;
+
+        push();
+
+        textAlign(align === 'right' ? RIGHT : LEFT, TOP);
+        textSize(this.fontSize);
+        fill(150);
+        noStroke();
+        text('DAMAGE ' + Math.round(damage * 100) + '%', x, y);
+
+        // Bar
+        fill(255, 255, 255, 40);
+        rect(left, y + 25, barW, barH, 5);
+        let barColor = lerpColor(color('#00ff00'), color('#ff0000'), damage);
+        fill(barColor);
+        this.applyTextGlow(barColor.toString());
+        let fillW = barW * damage;
+        rect(align === 'right' ? x - fillW : x, y + 25, fillW, barH, 5);
+
+        // Repair hint
+        drawingContext.shadowBlur = 0;
+        textSize(this.fontSize * 0.8);
+        if (carState.inPit && damage > 0) {
+            fill('#00ff00');
+            text('REPAIRING - STAY SLOW', x, y + 42);
+        } else if (damage >= 0.5) {
+            fill('#ffaa00');
+            text('VISIT THE PIT TO REPAIR', x, y + 42);
+        }
+
+        pop();
+    }
+
     /**
      * Draw lap time display
      * @param {object} lapInfo - Lap information (current, last, best)
@@ -221,8 +377,9 @@ class HUD {
      * @param {number} y - Y position
      * @param {number} combo - Combo multiplier
      * @param {string} color - Display color
+     * @param {number} points - Points of the drift in progress (before the combo)
      */
-    drawDriftIndicator(x, y, combo = 1, color = '#ff00ff') {
+    drawDriftIndicator(x, y, combo = 1, color = '#ff00ff', points = 0) {
         push();
 
         // Animate combo scale
@@ -236,6 +393,11 @@ class HUD {
 
         text('DRIFT!', x, y);
 
+        // Running points of this drift
+        textSize(this.fontSize * 1.2);
+        fill(255);
+        text('+' + Math.round(points), x, y - 36 * this.comboScale);
+
         // Combo multiplier
         if (combo > 1) {
             textSize(this.fontSize * 1.5 * this.comboScale);
@@ -358,6 +520,93 @@ class HUD {
         pop();
     }
 
+    /**
+     * Screen rectangle of the replay timeline (also used for mouse scrubbing)
+     * @returns {object} {x, y, w, h}
+     */
+    getReplayBarRect() {
+        return { x: 80, y: height - 110, w: width - 160, h: 10 };
+    }
+
+    /**
+     * Draw replay playback controls: timeline, time, speed and camera mode
+     * @param {object} status - {step, length, stepMs, speed, paused, freeCamera, followIndex, carCount}
+     */
+    drawReplayControls(status) {
+        let bar = this.getReplayBarRect();
+        let progress = status.length > 0 ? status.step / status.length : 0;
+
+        push();
+
+        // "REPLAY" badge
+        textAlign(CENTER, TOP);
+        textSize(this.fontSize * 1.5);
+        fill('#ff0000');
+        this.applyTextGlow('#ff0000', 1.5);
+        text(status.paused ? '❚❚ REPLAY' : '● REPLAY', width / 2, this.padding + 110);
+
+        // Timeline
+        drawingContext.shadowBlur = 0;
+        noStroke();
+        fill(255, 255, 255, 40);
+        rect(bar.x, bar.y, bar.w, bar.h, 5);
+        fill(this.player1Color);
+        this.applyTextGlow(this.player1Color);
+        rect(bar.x, bar.y, bar.w * progress, bar.h, 5);
+        circle(bar.x + bar.w * progress, bar.y + bar.h / 2, 18);
+
+        // Time and speed
+        drawingContext.shadowBlur = 0;
+        textSize(this.fontSize * 0.9);
+        fill(200);
+        textAlign(LEFT, BOTTOM);
+        text(this.formatTime(status.step * status.stepMs) + ' / ' +
+            this.formatTime(status.length * status.stepMs), bar.x, bar.y - 8);
+        textAlign(RIGHT, BOTTOM);
+        let cameraLabel = status.freeCamera ? 'FREE CAM' :
+            (status.followIndex >= 0 ? 'CAM P' + (status.followIndex + 1) : 'CAM ALL');
+        text(status.speed + 'x   ' + cameraLabel, bar.x + bar.w, bar.y - 8);
+
+        // Key help
+        textAlign(CENTER, TOP);
+        fill(150);
+        let followKeys = status.carCount > 1 ? '1-' + status.carCount : '1';
+        text('SPACE play/pause   ←/→ ±5s   [ ] speed   C free cam (WASD, drag, wheel)   ' + followKeys + '/0 follow   ESC exit',
+            width / 2, bar.y + bar.h + 8);
+
+        pop();
+    }
+
+    /**
+     * Draw the on-screen touch buttons (layout from getTouchControlRects())
+     * @param {TouchInput} touchInput - Provider whose held buttons light up
+     */
+    drawTouchControls(touchInput) {
+        let rects = getTouchControlRects();
+        let labels = { left: '◀', right: '▶', brake: 'BRAKE', gas: 'GAS', handbrake: 'DRIFT' };
+
+        push();
+        textAlign(CENTER, CENTER);
+        for (let name in rects) {
+            let r = rects[name];
+            let held = touchInput.held[name];
+            let color = name === 'brake' ? this.player2Color : this.player1Color;
+
+            stroke(color);
+            strokeWeight(2);
+            fill(held ? color + '66' : color + '1a');
+            if (held) this.applyTextGlow(color);
+            rect(r.x, r.y, r.w, r.h, 16);
+
+            drawingContext.shadowBlur = 0;
+            noStroke();
+            fill(255, held ? 255 : 160);
+            textSize(name === 'left' || name === 'right' ? this.fontSize * 2 : this.fontSize);
+            text(labels[name], r.x + r.w / 2, r.y + r.h / 2);
+        }
+        pop();
+    }
+
     /**
      * Draw countdown timer for two-player mode
      * @param {number} timeMs - Time remaining in milliseconds
@@ -375,8 +624,8 @@ class HUD {
         noStroke();
         text('TIME REMAINING', x, y);
 
-        // Calculate remaining time - convert frames to seconds (assuming 60 FPS)
-        let seconds = Math.ceil(timeMs / 60); // Convert frames to seconds
+        // Remaining time in whole seconds
+        let seconds = Math.max(0, Math.ceil(timeMs / 1000));
         let color = seconds <= 10 ? '#ff0000' : '#ffaa00'; // Red when <= 10 seconds
 
         // Timer value with glow      
@@ -399,5 +648,110 @@ class HUD {
 
         pop();
     }
-}
 
+    /**
+     * Draw a racer's live position and lap (lap race format)
+     * @param {object} info - getLapInfo() result {position, lap, raceLaps, finished}
+     * @param {number} carCount - Cars in the race
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} color - Display color
+     * @param {string} align - Text alignment ('left' or 'right')
+     */
+    drawRacePosition(info, carCount, x, y, color = '#00ffff', align = 'left') {
+        push();
+
+        textAlign(align === 'right' ? RIGHT : LEFT, TOP);
+        textSize(this.fontSize);
+        fill(150);
+        noStroke();
+        text('POSITION', x, y);
+
+        textSize(this.fontSize * 2);
+        fill(color);
+        this.applyTextGlow(color);
+        text(info.position + '/' + carCount, x, y + 25);
+
+        textSize(this.fontSize * 0.9);
+        fill(150);
+        noStroke();
+        let lap = Math.min(info.lap + 1, info.raceLaps);
+        text(info.finished ? 'FINISHED' : 'LAP ' + lap + '/' + info.raceLaps, x, y + 65);
+
+        pop();
+    }
+
+    /**
+     * Draw an arrow pointing at the next checkpoint (ordered-checkpoint mode)
+     * @param {number} angle - Direction to the checkpoint (radians, world = screen)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} color - Display color
+     * @param {string} label - Text under the arrow, e.g. 'CP 3'
+     */
+    drawCheckpointArrow(angle, x, y, color, label) {
+        push();
+
+        translate(x, y);
+        push();
+        rotate(angle);
+        fill(color);
+        stroke(color);
+        strokeWeight(2);
+        this.applyTextGlow(color, 1.5);
+        triangle(22, 0, -12, -14, -12, 14);
+        pop();
+
+        textAlign(CENTER, TOP);
+        textSize(this.fontSize * 0.9);
+        fill(150);
+        noStroke();
+        text(label, 0, 28);
+
+        pop();
+    }
+
+    /**
+     * Draw the flashing WRONG WAY warning
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    drawWrongWay(x, y) {
+        if (Math.floor(millis() / 300) % 2 !== 0) return;
+        push();
+
+        textAlign(CENTER, CENTER);
+        textSize(this.fontSize * 2.5);
+        fill('#ff0000');
+        this.applyTextGlow('#ff0000', 3);
+        text('WRONG WAY', x, y);
+
+        pop();
+    }
+
+    /**
+     * Draw a checkpoint split time and its gap to the best lap
+     * @param {object} split - {checkpoint, time, delta} from getLapInfo().lastSplit
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    drawSplit(split, x, y) {
+        push();
+
+        textAlign(CENTER, TOP);
+        textSize(this.fontSize);
+        fill(150);
+        noStroke();
+        text('CP ' + (split.checkpoint + 1) + '  ' + this.formatTime(split.time * 1000), x, y);
+
+        // Green when ahead of the best lap, red when behind
+        if (split.delta !== null) {
+            let color = split.delta <= 0 ? '#00ff00' : '#ff0000';
+            fill(color);
+            this.applyTextGlow(color);
+            text((split.delta <= 0 ? '-' : '+') + Math.abs(split.delta).toFixed(3), x, y + 22);
+        }
+
+        pop();
+    }
+}
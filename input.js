@@ -0,0 +1,244 @@
+/**
+ * Input Providers for Neon Drift Racing
+ * Turn keyboards, gamepads, touch screens, AI drivers and replays into car controls
+ *
+ * Every provider has a read(car, carIndex) method that returns the same
+ * analog control object:
+ *   throttle - 0 (off) to 1 (full)
+ *   brake    - 0 (off) to 1 (full)
+ *   steer    - -1 (full left) to +1 (full right)
+ *   handbrake - 0 (off) or 1 (pulled)
+ * Digital sources (keys, touch buttons, d-pad) simply report 0 or 1.
+ */
+
+// Controls with nothing pressed
+const NEUTRAL_INPUT = { throttle: 0, brake: 0, steer: 0, handbrake: 0 };
+
+// Gamepad tuning (standard mapping: https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_CONFIG = {
+    deadzone: 0.15,   // Stick travel ignored around the center
+    steerAxis: 0,     // Left stick X
+    throttleButtons: [7, 0], // Right trigger, A
+    brakeButtons: [6, 2],    // Left trigger, X
+    handbrakeButtons: [1, 5], // B, right bumper
+    dpadLeft: 14,
+    dpadRight: 15
+};
+
+/**
+ * Clamp a control object into its valid ranges
+ * @param {object} input - {throttle, brake, steer, handbrake}
+ * @returns {object} {throttle, brake, steer, handbrake}
+ */
+function clampInput(input) {
+    if (!input) return Object.assign({}, NEUTRAL_INPUT);
+    return {
+        throttle: Math.max(0, Math.min(1, input.throttle || 0)),
+        brake: Math.max(0, Math.min(1, input.brake || 0)),
+        steer: Math.max(-1, Math.min(1, input.steer || 0)),
+        handbrake: input.handbrake >= 0.5 ? 1 : 0
+    };
+}
+
+/**
+ * Keyboard provider: one set of key codes per car
+ */
+class KeyboardInput {
+    /**
+     * @param {object} controls - Key codes {up, down, left, right}
+     */
+    constructor(controls) {
+        this.controls = controls;
+    }
+
+    read() {
+        let c = this.controls;
+        if (!c) return Object.assign({}, NEUTRAL_INPUT);
+        return {
+            throttle: keyIsDown(c.up) ? 1 : 0,
+            brake: keyIsDown(c.down) ? 1 : 0,
+            steer: (keyIsDown(c.right) ? 1 : 0) - (keyIsDown(c.left) ? 1 : 0),
+            handbrake: c.handbrake && keyIsDown(c.handbrake) ? 1 : 0
+        };
+    }
+}
+
+/**
+ * Gamepad provider (browser Gamepad API) with analog steering and pedals
+ */
+class GamepadInput {
+    /**
+     * @param {number} slot - 0 = first connected pad, 1 = second, ...
+     */
+    constructor(slot) {
+        this.slot = slot;
+    }
+
+    /**
+     * The connected pad for this slot, or null
+     */
+    getPad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+        let pads = Array.from(navigator.getGamepads() || []).filter(p => p && p.connected);
+        return pads[this.slot] || null;
+    }
+
+    get connected() {
+        return this.getPad() !== null;
+    }
+
+    read() {
+        let pad = this.getPad();
+        if (!pad) return Object.assign({}, NEUTRAL_INPUT);
+
+        // Stick with a rescaled deadzone so steering starts smoothly from 0
+        let x = pad.axes[GAMEPAD_CONFIG.steerAxis] || 0;
+        let dz = GAMEPAD_CONFIG.deadzone;
+        let steer = Math.abs(x) <= dz ? 0 : Math.sign(x) * (Math.abs(x) - dz) / (1 - dz);
+
+        // D-pad overrides the stick with full lock
+        if (this.pressed(pad, GAMEPAD_CONFIG.dpadLeft)) steer = -1;
+        if (this.pressed(pad, GAMEPAD_CONFIG.dpadRight)) steer = 1;
+
+        return {
+            throttle: this.buttonValue(pad, GAMEPAD_CONFIG.throttleButtons),
+            brake: this.buttonValue(pad, GAMEPAD_CONFIG.brakeButtons),
+            steer: steer,
+            handbrake: this.buttonValue(pad, GAMEPAD_CONFIG.handbrakeButtons)
+        };
+    }
+
+    /**
+     * Strongest value among a list of buttons (triggers report 0-1)
+     */
+    buttonValue(pad, indices) {
+        let value = 0;
+        for (let i of indices) {
+            let b = pad.buttons[i];
+            if (b) value = Math.max(value, b.value || (b.pressed ? 1 : 0));
+        }
+        return value;
+    }
+
+    pressed(pad, index) {
+        let b = pad.buttons[index];
+        return !!(b && b.pressed);
+    }
+}
+
+/**
+ * Screen rectangles of the on-screen touch buttons
+ * @returns {object} {left, right, brake, gas, handbrake} each {x, y, w, h}
+ */
+function getTouchControlRects() {
+    let size = 110;
+    let gap = 20;
+    let y = height - size - 30;
+    return {
+        left: { x: gap, y: y, w: size, h: size },
+        right: { x: gap * 2 + size, y: y, w: size, h: size },
+        brake: { x: width - (gap + size) * 2, y: y, w: size, h: size },
+        gas: { x: width - gap - size, y: y, w: size, h: size },
+        handbrake: { x: width - gap - size, y: y - gap - size, w: size, h: size }
+    };
+}
+
+/**
+ * Touch provider: on-screen steering and pedal buttons
+ */
+class TouchInput {
+    constructor() {
+        // Buttons are only drawn once the screen has been touched
+        this.active = false;
+        this.held = { left: false, right: false, brake: false, gas: false, handbrake: false };
+    }
+
+    read() {
+        let list = typeof touches !== 'undefined' ? touches : [];
+        if (list.length > 0) this.active = true;
+
+        let rects = getTouchControlRects();
+        for (let name in this.held) {
+            let r = rects[name];
+            this.held[name] = list.some(t =>
+                t.x >= r.x && t.x <= r.x + r.w && t.y >= r.y && t.y <= r.y + r.h);
+        }
+
+        return {
+            throttle: this.held.gas ? 1 : 0,
+            brake: this.held.brake ? 1 : 0,
+            steer: (this.held.right ? 1 : 0) - (this.held.left ? 1 : 0),
+            handbrake: this.held.handbrake ? 1 : 0
+        };
+    }
+}
+
+/**
+ * AI provider: asks an AIDriver for this step's controls
+ */
+class AIInput {
+    /**
+     * @param {AIDriver} driver - Driver that decides the controls
+     */
+    constructor(driver) {
+        this.driver = driver;
+    }
+
+    read(car, carIndex) {
+        let info = raceRules ? raceRules.getLapInfo(carIndex) : null;
+        let mask = info ? info.checkpointMask : 0;
+        // In ordered mode only the next checkpoint counts
+        let required = info && info.strictOrder ? info.nextCheckpoint : -1;
+        return this.driver.getInput(car, mask, PHYSICS_STEP_MS, required);
+    }
+}
+
+/**
+ * Replay provider: plays back a car's recorded controls
+ */
+class ReplayInput {
+    /**
+     * @param {ReplayPlayer} player - Replay being played
+     * @param {number} carIndex - Car whose recording to read
+     */
+    constructor(player, carIndex) {
+        this.player = player;
+        this.carIndex = carIndex;
+    }
+
+    read() {
+        return this.player.getInput(this.player.step, this.carIndex);
+    }
+}
+
+/**
+ * Several providers driving one car (e.g. keyboard + gamepad + touch).
+ * Pedals take the strongest value; steering takes the largest deflection.
+ */
+class CombinedInput {
+    /**
+     * @param {array} providers - Providers to merge
+     */
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    read(car, carIndex) {
+        let result = Object.assign({}, NEUTRAL_INPUT);
+        for (let provider of this.providers) {
+            let input = provider.read(car, carIndex);
+            result.throttle = Math.max(result.throttle, input.throttle);
+            result.brake = Math.max(result.brake, input.brake);
+            result.handbrake = Math.max(result.handbrake, input.handbrake);
+            if (Math.abs(input.steer) > Math.abs(result.steer)) result.steer = input.steer;
+        }
+        return result;
+    }
+
+    /**
+     * First merged provider of a given class, if any
+     */
+    find(type) {
+        return this.providers.find(p => p instanceof type) || null;
+    }
+}
@@ -0,0 +1,624 @@
+/**
+ * Local Leaderboards for Neon Drift Racing
+ * Top-10 tables per track and mode saved to localStorage, the initials they
+ * are signed with, and the Leaderboards screen with JSON export / import
+ *
+ * Tables are stored by layout key (getTrackLayoutKey()), then by mode
+ * (LEADERBOARD_MODES) and board (LEADERBOARD_BOARDS):
+ *   { version, tracks: { [key]: { name, modes: { [mode]: { [board]: [entry] } } } } }
+ * An entry is {id, initials, car, value, date}, car being the name of the car
+ * driven (getCarChoiceLabel(); entries from before the roster have none). The
+ * wins board keeps one entry per initials whose value is their win count and
+ * whose date and car are from their latest win.
+ */
+
+const LEADERBOARD_STORAGE_KEY = 'leaderboards';
+const LEADERBOARD_INITIALS_STORAGE_KEY = 'leaderboardInitials';
+// Single checkpoint record kept for every track before there were leaderboards
+const LEGACY_CHECKPOINT_SCORE_STORAGE_KEY = 'bestCheckpointScore';
+const LEADERBOARD_FORMAT_VERSION = 1;
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_CAR_NAME_LENGTH = 24; // Longest car name kept from an import (a preset name)
+
+// Tracks kept that aren't in the library (random seeds, custom arenas); the
+// one played least recently goes first
+const LEADERBOARD_TRACK_LIMIT = 50;
+
+// Boards shown for each mode, in order
+const LEADERBOARD_MODES = {
+    single: { label: 'Single Player', boards: ['bestLap', 'checkpoints', 'driftTime'] },
+    multiplayer: { label: 'Multiplayer', boards: ['checkpoints', 'wins', 'bestLap', 'driftTime'] },
+    race: { label: 'Lap Race', boards: ['bestLap', 'wins', 'driftTime'] }
+};
+
+// Values: bestLap in seconds, checkpoints a count, driftTime in seconds over
+// the match, wins a count per initials
+const LEADERBOARD_BOARDS = {
+    bestLap: { label: 'Best Lap', lowerWins: true, format: value => hud.formatTime(value * 1000) },
+    checkpoints: { label: 'Checkpoints', format: value => String(value) },
+    driftTime: { label: 'Drift Time', format: value => value.toFixed(1) + 's' },
+    wins: { label: 'Wins', format: value => String(value) }
+};
+
+let leaderboards = {};
+
+// Initials last used by each local player
+let playerInitials = ['P1', 'P2', 'P3', 'P4'];
+
+// Entries from the match on the results screen, so its initials fields can
+// re-sign them: {key, mode, entries: [{board, playerIndex, id}]}, where a
+// wins item also notes the initials and car the win was counted for
+let lastLeaderboardSubmission = null;
+
+/* ============================================
+ * STORAGE
+ * ============================================
+ */
+
+function loadLeaderboards() {
+    try {
+        let stored = JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY));
+        if (stored && stored.tracks && typeof stored.tracks === 'object') leaderboards = stored.tracks;
+    } catch (error) {
+        console.warn('Could not load leaderboards from localStorage:', error);
+    }
+    try {
+        let stored = JSON.parse(localStorage.getItem(LEADERBOARD_INITIALS_STORAGE_KEY));
+        if (Array.isArray(stored)) {
+            stored.forEach((initials, i) => {
+                initials = normalizeInitials(initials);
+                if (initials && i < playerInitials.length) playerInitials[i] = initials;
+            });
+        }
+    } catch (error) {
+        console.warn('Could not load initials from localStorage:', error);
+    }
+}
+
+function saveLeaderboards() {
+    try {
+        localStorage.setItem(LEADERBOARD_STORAGE_KEY,
+            JSON.stringify({ version: LEADERBOARD_FORMAT_VERSION, tracks: leaderboards }));
+    } catch (error) {
+        console.warn('Could not save leaderboards to localStorage:', error);
+    }
+}
+
+/**
+ * Move the checkpoint record saved before leaderboards into the single-player
+ * table of the track the game opens on, signed with player 1's initials, and
+ * drop the old key so it is only imported once
+ * @param {string} key - Layout key (getTrackLayoutKey())
+ * @param {string} name - Track name, used if the track has no tables yet
+ */
+function importLegacyCheckpointScore(key, name) {
+    try {
+        let stored = localStorage.getItem(LEGACY_CHECKPOINT_SCORE_STORAGE_KEY);
+        if (stored === null) return;
+        let score = parseInt(stored, 10) || 0;
+        if (score > 0) {
+            let boards = getLeaderboardBoards_(key, name, 'single');
+            let entries = boards.checkpoints || (boards.checkpoints = []);
+            entries.push({ id: createLeaderboardEntryId_(), initials: playerInitials[0], value: score, date: new Date().toISOString() });
+            rankLeaderboard_(entries, 'checkpoints');
+            saveLeaderboards();
+        }
+        localStorage.removeItem(LEGACY_CHECKPOINT_SCORE_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not import bestCheckpointScore from localStorage:', error);
+    }
+}
+
+function savePlayerInitials() {
+    try {
+        localStorage.setItem(LEADERBOARD_INITIALS_STORAGE_KEY, JSON.stringify(playerInitials));
+    } catch (error) {
+        console.warn('Could not save initials to localStorage:', error);
+    }
+}
+
+/**
+ * Up to three capital letters or digits
+ * @returns {string|null} Initials, or null if none are left
+ */
+function normalizeInitials(text) {
+    let initials = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+    return initials || null;
+}
+
+/* ============================================
+ * TABLES
+ * ============================================
+ */
+
+/**
+ * One board's entries, best first
+ * @param {string} key - Layout key (getTrackLayoutKey())
+ * @param {string} mode - LEADERBOARD_MODES id
+ * @param {string} board - LEADERBOARD_BOARDS id
+ * @returns {Array} Entries {id, initials, car, value, date}
+ */
+function getLeaderboard(key, mode, board) {
+    let tables = leaderboards[key];
+    let boards = tables && tables.modes && tables.modes[mode];
+    return (boards && boards[board]) || [];
+}
+
+/**
+ * Top value of a board
+ * @returns {number|null} Best value, or null if the board is empty
+ */
+function getLeaderboardBest(key, mode, board) {
+    let entries = getLeaderboard(key, mode, board);
+    return entries.length > 0 ? entries[0].value : null;
+}
+
+/**
+ * Name shown with the loaded track's tables
+ */
+function getLeaderboardTrackName() {
+    if (!track) return '';
+    return track.seed === null ? track.name : 'Seed ' + track.seed;
+}
+
+/**
+ * The boards of a track and mode, created if missing. Re-inserting moves the
+ * track to the back of the pruning order.
+ * @param {string} name - Track name, used if the track has none yet
+ */
+function getLeaderboardBoards_(key, name, mode) {
+    let tables = leaderboards[key] || { name: name, modes: {} };
+    if (!tables.name) tables.name = name;
+    delete leaderboards[key];
+    leaderboards[key] = tables;
+
+    let others = Object.keys(leaderboards).filter(k => !getLibraryTrackByKey(k));
+    for (let i = 0; i < others.length - LEADERBOARD_TRACK_LIMIT; i++) delete leaderboards[others[i]];
+
+    if (!tables.modes[mode]) tables.modes[mode] = {};
+    return tables.modes[mode];
+}
+
+/**
+ * Sort a board best first and drop what falls off the bottom. Ties keep the
+ * earlier result ahead.
+ */
+function rankLeaderboard_(entries, board) {
+    let sign = LEADERBOARD_BOARDS[board].lowerWins ? 1 : -1;
+    entries.sort((a, b) => sign * (a.value - b.value) || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    entries.length = Math.min(entries.length, LEADERBOARD_SIZE);
+    return entries;
+}
+
+function createLeaderboardEntryId_() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Count a win for some initials
+ * @returns {object} Their wins entry
+ */
+function addLeaderboardWin_(boards, initials, date, car) {
+    let entries = boards.wins || (boards.wins = []);
+    let entry = entries.find(e => e.initials === initials);
+    if (entry) {
+        entry.value++;
+        entry.date = date;
+        entry.car = car;
+    } else {
+        entry = { id: createLeaderboardEntryId_(), initials: initials, car: car, value: 1, date: date };
+        entries.push(entry);
+    }
+    rankLeaderboard_(entries, 'wins');
+    return entry;
+}
+
+/**
+ * Take a win back (when the winner changes their initials)
+ */
+function removeLeaderboardWin_(boards, initials) {
+    let entries = boards.wins || [];
+    let index = entries.findIndex(e => e.initials === initials);
+    if (index < 0) return;
+    entries[index].value--;
+    if (entries[index].value <= 0) entries.splice(index, 1);
+    rankLeaderboard_(entries, 'wins');
+}
+
+/**
+ * Add a finished match to the track's tables, signed with each player's
+ * current initials
+ * @param {string} key - Layout key (getTrackLayoutKey())
+ * @param {string} name - Track name to show with the tables
+ * @param {string} mode - LEADERBOARD_MODES id
+ * @param {Array} results - One per local player: {playerIndex, car, bestLap,
+ *   checkpoints, driftTime, won}; a missing or zero value is not entered
+ * @returns {object} The submission (also kept in lastLeaderboardSubmission)
+ */
+function submitLeaderboardResults(key, name, mode, results) {
+    let boards = getLeaderboardBoards_(key, name, mode);
+    let date = new Date().toISOString();
+    let submission = { key: key, mode: mode, entries: [] };
+
+    for (let result of results) {
+        let initials = playerInitials[result.playerIndex] || 'P' + (result.playerIndex + 1);
+        for (let board of LEADERBOARD_MODES[mode].boards) {
+            if (board === 'wins') {
+                if (!result.won) continue;
+                let entry = addLeaderboardWin_(boards, initials, date, result.car);
+                submission.entries.push({ board: board, playerIndex: result.playerIndex, id: entry.id, initials: initials, car: result.car });
+                continue;
+            }
+            let value = result[board];
+            if (typeof value !== 'number' || !(value > 0)) continue;
+            let entry = { id: createLeaderboardEntryId_(), initials: initials, car: result.car, value: value, date: date };
+            let entries = boards[board] || (boards[board] = []);
+            entries.push(entry);
+            rankLeaderboard_(entries, board);
+            submission.entries.push({ board: board, playerIndex: result.playerIndex, id: entry.id });
+        }
+    }
+
+    saveLeaderboards();
+    lastLeaderboardSubmission = submission;
+    return submission;
+}
+
+/**
+ * Re-sign the last submitted match's entries for one player, and remember
+ * the initials for next time
+ * @param {number} playerIndex - Local player
+ * @param {string} text - New initials (normalized first)
+ * @returns {boolean} True if the initials were accepted
+ */
+function setPlayerInitials(playerIndex, text) {
+    let initials = normalizeInitials(text);
+    if (!initials) return false;
+    playerInitials[playerIndex] = initials;
+    savePlayerInitials();
+
+    let submission = lastLeaderboardSubmission;
+    if (!submission || !leaderboards[submission.key]) return true;
+    let boards = leaderboards[submission.key].modes[submission.mode] || {};
+    for (let item of submission.entries) {
+        if (item.playerIndex !== playerIndex) continue;
+        if (item.board === 'wins') {
+            if (item.initials === initials) continue;
+            removeLeaderboardWin_(boards, item.initials);
+            item.id = addLeaderboardWin_(boards, initials, new Date().toISOString(), item.car).id;
+            item.initials = initials;
+        } else {
+            // An entry that has since dropped off the board stays gone
+            let entry = (boards[item.board] || []).find(e => e.id === item.id);
+            if (entry) entry.initials = initials;
+        }
+    }
+    saveLeaderboards();
+    return true;
+}
+
+/* ============================================
+ * EXPORT / IMPORT
+ * ============================================
+ */
+
+/**
+ * Every table as JSON, for another machine to import
+ */
+function exportLeaderboardsJSON() {
+    return JSON.stringify({
+        version: LEADERBOARD_FORMAT_VERSION,
+        exported: new Date().toISOString(),
+        tracks: leaderboards
+    }, null, 2);
+}
+
+/**
+ * Merge exported tables into ours. Entries already here (same id) are not
+ * added twice; a wins entry keeps the higher of the two counts, so importing
+ * the same file again changes nothing.
+ * @param {string|object} data - exportLeaderboardsJSON() output
+ * @returns {number} Entries added or raised
+ * @throws {Error} If the data isn't a leaderboard export
+ */
+function importLeaderboardsJSON(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            throw new Error('Leaderboard file is not valid JSON (' + error.message + ')');
+        }
+    }
+    if (!data || typeof data !== 'object' || !data.tracks || typeof data.tracks !== 'object') {
+        throw new Error('This is not a leaderboard export (no "tracks" found)');
+    }
+    if (data.version > LEADERBOARD_FORMAT_VERSION) {
+        throw new Error('These leaderboards use format version ' + data.version +
+            ', but this game only reads up to version ' + LEADERBOARD_FORMAT_VERSION);
+    }
+
+    let changed = 0;
+    for (let key of Object.keys(data.tracks)) {
+        let tables = data.tracks[key];
+        if (!tables || !tables.modes || typeof tables.modes !== 'object') continue;
+        let name = typeof tables.name === 'string' ? tables.name : '';
+        for (let mode of Object.keys(LEADERBOARD_MODES)) {
+            let incoming = tables.modes[mode];
+            if (!incoming || typeof incoming !== 'object') continue;
+            for (let board of LEADERBOARD_MODES[mode].boards) {
+                let entries = (Array.isArray(incoming[board]) ? incoming[board] : [])
+                    .map(readLeaderboardEntry_).filter(entry => entry);
+                if (entries.length === 0) continue;
+
+                let boards = getLeaderboardBoards_(key, name, mode);
+                let list = boards[board] || (boards[board] = []);
+                for (let entry of entries) {
+                    let match = board === 'wins'
+                        ? list.find(e => e.initials === entry.initials)
+                        : list.find(e => e.id === entry.id);
+                    if (!match) {
+                        list.push(entry);
+                        changed++;
+                    } else if (board === 'wins' && entry.value > match.value) {
+                        match.value = entry.value;
+                        if (entry.date > match.date) match.date = entry.date;
+                        changed++;
+                    }
+                }
+                rankLeaderboard_(list, board);
+            }
+        }
+    }
+
+    saveLeaderboards();
+    return changed;
+}
+
+/**
+ * A clean copy of an imported entry
+ * @returns {object|null} Entry, or null if it is unusable
+ */
+function readLeaderboardEntry_(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    let initials = normalizeInitials(entry.initials);
+    let date = new Date(entry.date);
+    if (!initials || typeof entry.value !== 'number' || !(entry.value > 0) || !isFinite(entry.value) || isNaN(date)) {
+        return null;
+    }
+    let clean = {
+        id: typeof entry.id === 'string' && entry.id ? entry.id : createLeaderboardEntryId_(),
+        initials: initials,
+        value: entry.value,
+        date: date.toISOString()
+    };
+    let car = typeof entry.car === 'string' ? entry.car.trim().slice(0, LEADERBOARD_CAR_NAME_LENGTH) : '';
+    if (car) clean.car = car;
+    return clean;
+}
+
+/* ============================================
+ * DISPLAY
+ * ============================================
+ */
+
+/**
+ * Draw a track's boards for one mode into a container
+ * @param {HTMLElement} container - Emptied first
+ * @param {string} key - Layout key
+ * @param {string} mode - LEADERBOARD_MODES id
+ * @param {Array} [highlight] - Entry ids to mark as new
+ */
+function renderLeaderboardTables(container, key, mode, highlight) {
+    container.innerHTML = '';
+    for (let board of LEADERBOARD_MODES[mode].boards) {
+        let info = LEADERBOARD_BOARDS[board];
+        let table = document.createElement('div');
+        table.className = 'leaderboard-board';
+        let title = document.createElement('div');
+        title.className = 'leaderboard-title';
+        title.textContent = info.label;
+        table.appendChild(title);
+
+        let entries = getLeaderboard(key, mode, board);
+        if (entries.length === 0) {
+            let empty = document.createElement('div');
+            empty.className = 'leaderboard-empty';
+            empty.textContent = 'No entries yet';
+            table.appendChild(empty);
+        }
+        entries.forEach((entry, i) => {
+            let row = document.createElement('div');
+            row.className = 'leaderboard-row' + (highlight && highlight.includes(entry.id) ? ' new' : '');
+            for (let value of [i + 1, entry.initials, entry.car || '', info.format(entry.value), entry.date.slice(0, 10)]) {
+                let cell = document.createElement('span');
+                cell.textContent = value;
+                row.appendChild(cell);
+            }
+            table.appendChild(row);
+        });
+        container.appendChild(table);
+    }
+}
+
+/**
+ * Initials fields and tables on the results screen, for the match just
+ * submitted
+ */
+function renderResultsLeaderboard() {
+    let submission = lastLeaderboardSubmission;
+    let panel = document.getElementById('gameover-leaderboard');
+    if (!panel) return;
+    panel.style.display = submission ? 'block' : 'none';
+    if (!submission) return;
+
+    let fields = document.getElementById('leaderboard-initials');
+    fields.innerHTML = '';
+    let players = [...new Set(submission.entries.map(item => item.playerIndex))];
+    cars.forEach((car, i) => {
+        if (car.ai) return;
+        let label = document.createElement('label');
+        label.style.color = getCarColor(i);
+        label.textContent = getCarName(i) + ' ';
+        let input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 3;
+        input.spellcheck = false;
+        input.value = playerInitials[i] || '';
+        input.title = players.includes(i) ? 'Initials for your leaderboard entries' : 'Initials for next time';
+        input.addEventListener('change', () => {
+            // Blank or unusable initials put the previous ones back
+            setPlayerInitials(i, input.value);
+            renderResultsLeaderboard();
+        });
+        // Enter hands the keyboard back to the R / V / M shortcuts
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') input.blur();
+        });
+        label.appendChild(input);
+        fields.appendChild(label);
+    });
+
+    document.getElementById('gameover-leaderboard-title').textContent =
+        LEADERBOARD_MODES[submission.mode].label + ' · ' + (leaderboards[submission.key] || {}).name;
+    renderLeaderboardTables(document.getElementById('gameover-leaderboard-tables'),
+        submission.key, submission.mode, submission.entries.map(item => item.id));
+}
+
+/* ============================================
+ * LEADERBOARDS SCREEN
+ * ============================================
+ */
+
+/**
+ * Fill the track and mode pickers, then show the chosen tables
+ * @param {string} [key] - Track to show (defaults to the current pick, then the loaded track)
+ */
+function renderLeaderboardScreen(key) {
+    let trackSelect = document.getElementById('leaderboard-track');
+    let modeSelect = document.getElementById('leaderboard-mode');
+    if (!trackSelect || !modeSelect) return;
+
+    // Library tracks first, in library order, then everything else played
+    let options = TRACK_LIBRARY.map(entry => ({ key: getLibraryTrackKey(entry), name: entry.arena.name }));
+    let currentKey = typeof getTrackLayoutKey === 'function' && track ? getTrackLayoutKey() : null;
+    let extra = Object.keys(leaderboards).filter(k => !options.some(o => o.key === k));
+    if (currentKey && !options.some(o => o.key === currentKey) && !extra.includes(currentKey)) extra.push(currentKey);
+    for (let k of extra) {
+        let name = leaderboards[k] ? leaderboards[k].name : getLeaderboardTrackName();
+        options.push({ key: k, name: name + (k === currentKey ? ' (current)' : '') });
+    }
+
+    key = key || trackSelect.value || currentKey || options[0].key;
+    trackSelect.innerHTML = '';
+    for (let option of options) {
+        let el = document.createElement('option');
+        el.value = option.key;
+        el.textContent = option.name;
+        trackSelect.appendChild(el);
+    }
+    trackSelect.value = key;
+
+    if (modeSelect.children.length === 0) {
+        for (let mode of Object.keys(LEADERBOARD_MODES)) {
+            let el = document.createElement('option');
+            el.value = mode;
+            el.textContent = LEADERBOARD_MODES[mode].label;
+            modeSelect.appendChild(el);
+        }
+    }
+    let mode = LEADERBOARD_MODES[modeSelect.value] ? modeSelect.value : 'single';
+    renderLeaderboardTables(document.getElementById('leaderboard-tables'), key, mode);
+}
+
+function setLeaderboardMessage(message, isError) {
+    let el = document.getElementById('leaderboard-message');
+    if (!el) return;
+    el.textContent = message || '';
+    el.className = isError ? 'controls-message error' : 'controls-message';
+}
+
+/**
+ * Show or hide the export / import box, filled with the current tables
+ */
+function toggleLeaderboardJSON() {
+    let panel = document.getElementById('leaderboard-json-panel');
+    let open = panel.style.display !== 'block';
+    panel.style.display = open ? 'block' : 'none';
+    if (open) document.getElementById('leaderboard-json-text').value = exportLeaderboardsJSON();
+    setLeaderboardMessage('');
+}
+
+/**
+ * Save every table as a .json file
+ */
+function downloadLeaderboards() {
+    try {
+        let url = URL.createObjectURL(new Blob([exportLeaderboardsJSON()], { type: 'application/json' }));
+        let link = document.createElement('a');
+        link.href = url;
+        link.download = 'neon-drift-leaderboards.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.warn('Could not download the leaderboards:', error);
+        setLeaderboardMessage('Download failed - copy the text instead', true);
+    }
+}
+
+/**
+ * Merge the JSON in the export / import box
+ */
+function importLeaderboardsFromScreen() {
+    try {
+        let changed = importLeaderboardsJSON(document.getElementById('leaderboard-json-text').value);
+        setLeaderboardMessage(changed > 0 ? 'Merged ' + changed + ' new score' + (changed === 1 ? '' : 's') : 'Nothing new to merge');
+        renderLeaderboardScreen();
+    } catch (error) {
+        setLeaderboardMessage(error.message, true);
+    }
+}
+
+/**
+ * Import a leaderboard file picked on the screen
+ * @param {File} file - Chosen .json file
+ */
+function readLeaderboardFile(file) {
+    if (!file) return;
+    let reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('leaderboard-json-text').value = reader.result;
+        importLeaderboardsFromScreen();
+    };
+    reader.onerror = () => setLeaderboardMessage('Could not read ' + file.name, true);
+    reader.readAsText(file);
+}
+
+function bindLeaderboardScreen() {
+    let fileInput = document.getElementById('leaderboard-json-file');
+    document.getElementById('btn-leaderboards').addEventListener('click', openLeaderboardScreen);
+    document.getElementById('btn-leaderboards-back').addEventListener('click', closeLeaderboardScreen);
+    document.getElementById('leaderboard-track').addEventListener('change', e => renderLeaderboardScreen(e.target.value));
+    document.getElementById('leaderboard-mode').addEventListener('change', () => renderLeaderboardScreen());
+    document.getElementById('btn-leaderboards-json').addEventListener('click', toggleLeaderboardJSON);
+    document.getElementById('btn-leaderboards-download').addEventListener('click', downloadLeaderboards);
+    document.getElementById('btn-leaderboards-import').addEventListener('click', importLeaderboardsFromScreen);
+    document.getElementById('btn-leaderboards-load-file').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        readLeaderboardFile(fileInput.files && fileInput.files[0]);
+        fileInput.value = ''; // Picking the same file again still fires 'change'
+    });
+}
+
+function openLeaderboardScreen() {
+    setLeaderboardMessage('');
+    document.getElementById('leaderboard-json-panel').style.display = 'none';
+    document.getElementById('leaderboard-track').value = '';
+    renderLeaderboardScreen();
+    document.getElementById('start-menu').style.display = 'none';
+    document.getElementById('leaderboard-overlay').style.display = 'flex';
+}
+
+function closeLeaderboardScreen() {
+    document.getElementById('leaderboard-overlay').style.display = 'none';
+    document.getElementById('start-menu').style.display = 'flex';
+}
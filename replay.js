@@ -0,0 +1,160 @@
+/**
+ * Replay System for Neon Drift Racing
+ * Records every car's control inputs per fixed physics step and plays them back
+ *
+ * A replay does not store positions. It stores the track seed/layout, the
+ * inputs of each car for every step and the one-off actions (nudge, respawn,
+ * handling changes from the tuning panel).
+ * Feeding the same inputs into the same fixed-step simulation rebuilds the race.
+ */
+
+// Playback speeds selectable during a replay
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Analog controls are packed into one number per car per step, one byte each:
+//   bits 0-7 throttle (0-255), bits 8-15 brake (0-255),
+//   bits 16-23 steer (1-255, 128 = straight), bit 24 handbrake
+// Full lock and full pedal encode exactly, so digital inputs replay bit-exact.
+
+/**
+ * Pack a control object into a number
+ * @param {object} input - {throttle, brake, steer, handbrake}
+ * @returns {number} Packed controls
+ */
+function encodeInput(input) {
+    let c = clampInput(input);
+    let throttle = Math.round(c.throttle * 255);
+    let brake = Math.round(c.brake * 255);
+    let steer = Math.round(c.steer * 127) + 128;
+    return throttle | (brake << 8) | (steer << 16) | (c.handbrake << 24);
+}
+
+/**
+ * Unpack a number from encodeInput() into a control object
+ * @param {number} packed - Packed controls
+ * @returns {object} {throttle, brake, steer, handbrake}
+ */
+function decodeInput(packed) {
+    if (!packed) return Object.assign({}, NEUTRAL_INPUT);
+    return {
+        throttle: (packed & 255) / 255,
+        brake: ((packed >> 8) & 255) / 255,
+        steer: (((packed >> 16) & 255) - 128) / 127,
+        handbrake: (packed >> 24) & 1
+    };
+}
+
+/**
+ * Round controls to what a replay can store, so the live race simulates
+ * exactly the values that get recorded
+ * @param {object} input - {throttle, brake, steer}
+ * @returns {object} {throttle, brake, steer}
+ */
+function quantizeInput(input) {
+    return decodeInput(encodeInput(input));
+}
+
+class ReplayRecorder {
+    /**
+     * @param {object} info - {mode, settings, carCount, stepMs, layout}
+     */
+    constructor(info) {
+        this.replay = {
+            version: 2,
+            mode: info.mode,
+            settings: info.settings || {}, // Match options (e.g. AI count) needed to rebuild the cars
+            carCount: info.carCount,
+            stepMs: info.stepMs,
+            layout: info.layout,     // From getTrackLayout(): seed, key and object lists
+            frames: [],              // frames[step * carCount + carIndex] = encodeInput() value
+            actions: []              // [{ step, car, type }], plus values for a 'handling' change
+        };
+        this.step = 0;
+    }
+
+    /**
+     * Record the inputs and actions used for one physics step
+     * @param {array} inputs - One input object per car
+     * @param {array} actions - Actions applied this step [{car, type, values}]
+     */
+    recordStep(inputs, actions) {
+        for (let i = 0; i < this.replay.carCount; i++) {
+            this.replay.frames.push(encodeInput(inputs[i]));
+        }
+        for (let a of actions || []) {
+            let action = { step: this.step, car: a.car, type: a.type };
+            if (a.values) action.values = Object.assign({}, a.values);
+            this.replay.actions.push(action);
+        }
+        this.step++;
+    }
+
+    /**
+     * @returns {object} The replay recorded so far
+     */
+    getReplay() {
+        return this.replay;
+    }
+}
+
+class ReplayPlayer {
+    /**
+     * @param {object} replay - Replay object from ReplayRecorder.getReplay()
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.length = Math.floor(replay.frames.length / replay.carCount);
+
+        // Group actions by step for quick lookup
+        this.actionsByStep = {};
+        for (let a of replay.actions) {
+            (this.actionsByStep[a.step] = this.actionsByStep[a.step] || []).push(a);
+        }
+
+        // Playback state
+        this.step = 0;
+        this.paused = false;
+        this.speedIndex = REPLAY_SPEEDS.indexOf(1);
+        this.freeCamera = false;
+        this.followIndex = 0;
+    }
+
+    get speed() {
+        return REPLAY_SPEEDS[this.speedIndex];
+    }
+
+    get finished() {
+        return this.step >= this.length;
+    }
+
+    /**
+     * A car's recorded controls at a given step
+     * @param {number} step - Step index
+     * @param {number} carIndex - Car index
+     * @returns {object} {throttle, brake, steer}
+     */
+    getInput(step, carIndex) {
+        return decodeInput(this.replay.frames[step * this.replay.carCount + carIndex] || 0);
+    }
+
+    /**
+     * Actions (nudge, respawn) recorded at a given step
+     * @param {number} step - Step index
+     * @returns {array} [{car, type}]
+     */
+    getActions(step) {
+        return this.actionsByStep[step] || [];
+    }
+
+    /**
+     * Change playback speed by one notch
+     * @param {number} dir - +1 faster, -1 slower
+     */
+    changeSpeed(dir) {
+        this.speedIndex = Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, this.speedIndex + dir));
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+}
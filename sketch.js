@@ -18,8 +18,22 @@
  * GAME STATE VARIABLES
  * ============================================
  */
-let gameState = 'menu'; // 'menu', 'playing', 'paused', 'gameOver'
-let gameMode = 'single'; // 'single' or 'two-player'
+let gameState = 'menu'; // 'menu', 'playing', 'paused', 'gameOver', 'replay', 'editor'
+let gameMode = 'single'; // 'single' or 'two-player' (local multiplayer, 2-4 players)
+
+// Options picked on the start menu
+let matchSettings = {
+    aiCount: 0, // AI opponents in single-player
+    aiDifficulty: 'medium', // Key of AI_DIFFICULTY (ai.js)
+    checkpointOrder: 'any', // 'any', or 'strict' (only the next checkpoint in order counts)
+    raceLaps: 0, // Laps in a race to the finish; 0 = open practice / 60s checkpoint contest
+    playerCount: 2, // Local players in multiplayer (2-4)
+    splitScreen: 'off', // Two players: 'off' (shared camera), 'vertical' or 'horizontal' split
+    physics: 'tire', // Key of PHYSICS_MODELS (car_mech.js), for every car in the match
+    carChoices: [] // Per local player from Car Select: {model, preset, handling} (see resolveCarChoice() in cars.js)
+};
+
+const SPLIT_DISPLAY_MS = 3000; // How long a checkpoint split stays on the HUD
 
 /* ============================================
  * CORE SYSTEMS
@@ -27,13 +41,43 @@ let gameMode = 'single'; // 'single' or 'two-player'
  */
 let camera; // Camera system for following cars
 let hud; // HUD system for displaying game info
+let trackEditor; // Track editor (see editor.js)
+
+/* ============================================
+ * TRACK EDITOR TEST DRIVE
+ * ============================================
+ */
+let editorTestDrive = false; // Racing the editor's arena; leaving the race goes back to the editor
+let editorReturnLayout = null; // Layout (getTrackLayout()) that was loaded before the editor opened
+
+/* ============================================
+ * SPLIT-SCREEN (2-4 local players)
+ * ============================================
+ */
+const SPLIT_SCREEN_MIN_PLAYERS = 3; // Fewer players share one zoomed camera unless matchSettings.splitScreen is set
+// Two-player split-screen switches on and off with the distance between the cars
+// (with a gap between the two so it doesn't flicker at the threshold)
+const TWO_PLAYER_SPLIT = {
+    splitDistance: 1100, // Split once the cars are this far apart (shared zoom would be ~0.6)
+    joinDistance: 800 // Share one camera again once they are this close
+};
+let playerCameras = []; // One camera per local player (multiplayer)
+let views = []; // What is drawn this frame: [{camera, carIndex}] (carIndex -1 = shared view)
+let twoPlayerSplit = false; // Two-player split currently showing
 
 /* ============================================
  * TWO-PLAYER MODE TIMER
  * ============================================
  */
-let twoPlayerTimer = 3600; // 60 seconds * 60 FPS = 3600 frames
-let twoPlayerMaxTime = 3600;
+let twoPlayerTimer = 60000; // Simulated milliseconds left (60 seconds)
+let twoPlayerMaxTime = 60000;
+
+/* ============================================
+ * LAP RACE (matchSettings.raceLaps > 0)
+ * ============================================
+ */
+const RACE_FINISH_TIMEOUT_MS = 20000; // The race ends this long after the winner finishes
+let raceEndAtMs = null; // Simulated time the race ends, once someone has finished
 
 /* ============================================
  * MATTER.JS PHYSICS ENGINE
@@ -45,6 +89,34 @@ let Bodies = Matter.Bodies;
 let engine;
 let world;
 
+/* ============================================
+ * FIXED-STEP SIMULATION
+ * ============================================
+ */
+// Physics always advances in steps of exactly PHYSICS_STEP_MS, no matter how
+// often draw() runs. This is what makes input replays deterministic.
+const PHYSICS_STEP_MS = 1000 / 60;
+const MAX_FRAME_MS = 250; // Ignore huge gaps (e.g. tab in background)
+let physicsAccumulator = 0; // Unsimulated time carried to the next frame
+let simTimeMs = 0; // Simulated time since the race started
+let simStep = 0; // Physics steps since the race started
+let pendingCarActions = []; // Nudge/respawn/handling requests for the next step: {car, type, values}
+
+/* ============================================
+ * REPLAY SYSTEM (see replay.js)
+ * ============================================
+ */
+let replayRecorder = null; // Records the current race
+let replayPlayer = null; // Plays back a replay while gameState === 'replay'
+let lastReplay = null; // Most recent finished recording
+let touchInput = null; // On-screen touch controls (see input.js), kept across races
+
+/* ============================================
+ * TELEMETRY (see telemetry.js)
+ * ============================================
+ */
+let telemetryRecorder = null; // Samples the local players' cars; kept after the race for analysis
+
 /* ============================================
  * GAME OBJECTS
  * ============================================
@@ -52,6 +124,7 @@ let world;
 let cars = []; // Array of car objects
 let track = null; // Track data from Person B's buildTrack()
 let raceRules = null; // Race rules and collision handlers from Person B
+let ghost = null; // Best-lap ghost for single-player (see ghost.js)
 let lapInfo = {
     currentLap: 1,
     currentTime: 0,
@@ -78,11 +151,8 @@ let showParticles = false; // Toggle for particle effects
  * CHECKPOINT SYSTEM
  * ============================================
  */
-// Track which checkpoints each player has activated
-let checkpointActivations = {
-    player1: new Array(6).fill(false),
-    player2: new Array(6).fill(false)
-};
+// Track which checkpoints each player has activated (one array per car)
+let checkpointActivations = [];
 let checkpointEffects = []; // Visual effects for activated checkpoints
 let checkpointCooldowns = {}; // Use an object map for faster lookups
 let alertCooldowns = {}; // Use an object map
@@ -95,8 +165,10 @@ let checkpointCounter = [0, 0];
 
 // Person B - Bilal: Single-player checkpoint counter and high-score tracking
 let singlePlayerCheckpointCount = 0; // Current session checkpoint count for single-player
-let bestCheckpointScore = 0; // Best checkpoint score from localStorage (updates during gameplay)
-let lastSessionDisplayedScore = 0; // Score from previous session (loaded at start, never changes during current session)
+let bestCheckpointScore = 0; // Track's single-player checkpoint record (updates during gameplay)
+
+// Set once a match's results are on the leaderboards (see recordMatchResults())
+let matchResultsRecorded = false;
 
 // Person B - Bilal: Track last meaningful movement direction per car (for unstuck nudge)
 let lastMovementDir = []; // Array of {x, y} unit vectors
@@ -111,7 +183,24 @@ const NEON_COLORS = {
     magenta: '#ff00ff',
     yellow: '#ffff00',
     green: '#00ff00',
-    wall: '#ff006f'
+    wall: '#ff006f',
+    orange: '#ff8800',
+    blue: '#3d8bff'
+};
+
+// Colors for local players, in player order
+const PLAYER_COLORS = [NEON_COLORS.cyan, NEON_COLORS.magenta, NEON_COLORS.yellow, NEON_COLORS.blue];
+const PLAYER_COLOR_NAMES = ['Cyan', 'Magenta', 'Yellow', 'Blue'];
+
+// Colors for AI opponents, in spawn order
+const AI_COLORS = ['#ff8800', '#aaff00', '#ffffff'];
+
+// Neon colors for surface zones (see SURFACE_ZONES in track.js)
+const SURFACE_COLORS = {
+    ice: '#aaf6ff',
+    mud: '#c87533',
+    boost: '#ffaa00',
+    oil: '#aa00ff'
 };
 
 /* ============================================
@@ -151,18 +240,35 @@ function setup() {
     world = engine.world;
     world.gravity.y = 0;
 
+    // Race timing (laps, penalties, turret sprays) runs on simulated time
+    if (typeof setRaceClock === 'function') {
+        setRaceClock(() => simTimeMs);
+    }
+
     // Initialize core systems
     camera = new Camera(0, 0);
     hud = new HUD();
+    touchInput = new TouchInput();
 
     initializePools();
 
-    // Person B - Bilal: Load best checkpoint score from localStorage
-    loadBestCheckpointScore();
+    // Leaderboards and players' initials (leaderboards.js)
+    loadLeaderboards();
+
+    // Handling presets (tuning.js) and each player's last car (cars.js)
+    loadHandlingPresets();
+    loadCarChoices();
+
+    // User key bindings (Controls screen)
+    loadKeyBindings();
+    refreshBindingLabels();
 
     // Setup menu button event listeners
     setupMenuSystem();
 
+    trackEditor = new TrackEditor(camera);
+    trackEditor.bindUI();
+
     // Initialize track system (Person B's buildTrack function)
     initializeTrack();
 }
@@ -182,58 +288,42 @@ function draw() {
     }
 
     if (gameState === 'playing') {
-        // Ensure physics engine is running
-        if (engine && engine.world) {
-            Engine.update(engine);
-        } else {
-            // Failsafe in case engine is lost
-            if (typeof Engine !== 'undefined') {
-                engine = Engine.create();
-                world = engine.world;
-                world.gravity.y = 0;
-            }
-        }
+        // Advance physics and game logic in fixed steps
+        runSimulation(deltaTime);
 
         // Update camera to follow car(s)
         updateCameraFollow();
-        if (camera) {
-            camera.update();
-        }
+        updateCameras(Math.min(deltaTime, MAX_FRAME_MS));
 
-        // Update all game logic (physics, timers, checkpoints, turrets)
-        updateGameLogic();
+        // Draw world, then HUD overlay
+        drawWorld();
+        drawHUD();
+        drawCheckpointEffects();
+        drawCheckpointStatus();
 
-        // Apply camera transformation and draw world
-        if (camera) {
-            camera.apply();
-        }
-        drawNeonGrid();
-        drawTrack();
-        drawAllSkidMarks();
-        updateAndDrawParticles();
-        drawCars();
-        if (camera) {
-            camera.unapply();
+        // On-screen buttons appear once the player touches the screen
+        if (hud && touchInput && touchInput.active && gameMode === 'single') {
+            hud.drawTouchControls(touchInput);
         }
 
-        // Draw HUD overlay
+    } else if (gameState === 'replay') {
+        // Feed recorded inputs through the same fixed-step simulation
+        updateReplay();
+        updateReplayCamera();
+        updateCameras(Math.min(deltaTime, MAX_FRAME_MS));
+
+        drawWorld();
         drawHUD();
         drawCheckpointEffects();
-        drawCheckpointStatus();
+        if (hud && replayPlayer) {
+            hud.drawReplayControls(getReplayStatus());
+        }
 
     } else if (gameState === 'gameOver') {
         // Game Over screen (frozen game state)
-        if (camera) {
-            camera.apply();
-        }
-        drawNeonGrid();
-        drawTrack();
-        drawAllSkidMarks();
-        updateAndDrawParticles(); // Particles can still fade out
-        drawCars();
-        if (camera) {
-            camera.unapply();
-        }
+        // The simulation is stopped, so let effects fade out in real time
+        updateEffects(Math.min(deltaTime, MAX_FRAME_MS));
+        drawWorld();
 
         // Draw HUD with final scores
         drawHUD();
@@ -241,36 +331,370 @@ function draw() {
         drawCheckpointStatus();
         // Game Over overlay is shown via HTML/CSS
 
+    } else if (gameState === 'editor') {
+        // Track editor: the arena being edited, not the built track
+        trackEditor.update(Math.min(deltaTime, MAX_FRAME_MS));
+        let bounds = camera.getBounds();
+        camera.apply();
+        drawNeonGrid(bounds);
+        trackEditor.drawWorld(bounds);
+        camera.unapply();
+        trackEditor.drawOverlay();
+
     } else if (gameState === 'menu' || gameState === 'paused') {
         // Show animated menu background effect
         drawMenuBackground();
     }
 }
 
+/**
+ * Draw the world through every view: the shared camera, or one
+ * view per player in split-screen
+ */
+function drawWorld() {
+    if (!camera) return;
+    updateViews();
+    for (let view of views) {
+        drawWorldView(view.camera);
+    }
+    if (views.length > 1) drawSplitDividers();
+}
+
+/**
+ * Draw the world through one camera: grid, track, effects and cars
+ * @param {Camera} cam - Camera (and viewport) to draw through
+ */
+function drawWorldView(cam) {
+    // Anything outside the camera's view is skipped
+    let bounds = cam.getBounds();
+    cam.apply();
+    drawNeonGrid(bounds);
+    drawTrack(bounds);
+    drawAllSkidMarks(bounds);
+    drawParticles(bounds);
+    drawGhostCar();
+    drawCars(bounds);
+    cam.unapply();
+}
+
+/**
+ * Whether a world-space circle overlaps the visible area (for culling)
+ * @param {object} bounds - Camera.getBounds() result, or null to draw everything
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} radius - How far the object reaches from its center
+ */
+function isInView(bounds, x, y, radius = 0) {
+    if (!bounds) return true;
+    return x + radius >= bounds.left && x - radius <= bounds.right &&
+        y + radius >= bounds.top && y - radius <= bounds.bottom;
+}
+
+/**
+ * Neon lines between split-screen views
+ */
+function drawSplitDividers() {
+    push();
+    stroke(NEON_COLORS.cyan);
+    strokeWeight(3);
+    drawingContext.shadowBlur = 10;
+    drawingContext.shadowColor = NEON_COLORS.cyan;
+    if (views.some(v => v.camera.getViewport().x > 0)) line(width / 2, 0, width / 2, height);
+    if (views.some(v => v.camera.getViewport().y > 0)) line(0, height / 2, width, height / 2);
+    drawingContext.shadowBlur = 0;
+    pop();
+}
+
+/* ============================================
+ * SPLIT-SCREEN VIEWS
+ * ============================================
+ */
+
+/**
+ * Whether each local player gets their own view. A replay only splits while
+ * following everyone (not a single car or the free camera).
+ */
+function isSplitScreen() {
+    if (gameMode !== 'two-player') return false;
+    if (playerCameras.length < SPLIT_SCREEN_MIN_PLAYERS && !twoPlayerSplit) return false;
+    if (gameState === 'replay' && replayPlayer) {
+        return !replayPlayer.freeCamera && replayPlayer.followIndex < 0;
+    }
+    return true;
+}
+
+/**
+ * Two players with a split-screen option: split when the cars drift far
+ * apart, share one camera again when they come back together
+ */
+function updateTwoPlayerSplit() {
+    if (matchSettings.splitScreen === 'off' || playerCameras.length !== 2 || cars.length < 2) {
+        twoPlayerSplit = false;
+        return;
+    }
+    let a = cars[0].position;
+    let b = cars[1].position;
+    let distance = Math.hypot(b.x - a.x, b.y - a.y);
+
+    if (!twoPlayerSplit && distance > TWO_PLAYER_SPLIT.splitDistance) {
+        twoPlayerSplit = true;
+        // Start each half at the shared zoom and ease in from there
+        for (let cam of playerCameras) cam.zoom = camera.zoom;
+    } else if (twoPlayerSplit && distance < TWO_PLAYER_SPLIT.joinDistance) {
+        twoPlayerSplit = false;
+    }
+}
+
+/**
+ * Areas of the canvas for split-screen, in player order: two halves
+ * (side by side or stacked, see matchSettings.splitScreen) or four quadrants
+ * @returns {array} [{x, y, w, h}]
+ */
+function getSplitViewports() {
+    if (playerCameras.length === 2) {
+        if (matchSettings.splitScreen === 'horizontal') {
+            return [
+                { x: 0, y: 0, w: width, h: height / 2 },
+                { x: 0, y: height / 2, w: width, h: height / 2 }
+            ];
+        }
+        return [
+            { x: 0, y: 0, w: width / 2, h: height },
+            { x: width / 2, y: 0, w: width / 2, h: height }
+        ];
+    }
+
+    let w = width / 2;
+    let h = height / 2;
+    return [
+        { x: 0, y: 0, w: w, h: h },
+        { x: w, y: 0, w: w, h: h },
+        { x: 0, y: h, w: w, h: h },
+        { x: w, y: h, w: w, h: h }
+    ];
+}
+
+/**
+ * Decide this frame's views. With three players the spare quadrant
+ * shows the shared camera following the whole field.
+ */
+function updateViews() {
+    updateTwoPlayerSplit();
+    if (!isSplitScreen()) {
+        camera.setViewport(null);
+        views = [{ camera: camera, carIndex: -1 }];
+        return;
+    }
+    let viewports = getSplitViewports();
+    views = playerCameras.map((cam, i) => {
+        cam.setViewport(viewports[i]);
+        return { camera: cam, carIndex: i };
+    });
+    if (views.length < viewports.length) {
+        camera.setViewport(viewports[views.length]);
+        views.push({ camera: camera, carIndex: -1 });
+    }
+}
+
+/**
+ * Screen rectangle showing a car in split-screen, or null when the screen is shared
+ * @param {number} carIndex - Car to look up
+ */
+function getCarViewport(carIndex) {
+    let view = views.find(v => v.carIndex === carIndex);
+    return view && views.length > 1 ? view.camera.getViewport() : null;
+}
+
+/**
+ * Advance the shared camera and every player's camera
+ * @param {number} dtMs - Time since the last frame in milliseconds
+ */
+function updateCameras(dtMs) {
+    if (camera) camera.update(dtMs);
+    for (let cam of playerCameras) cam.update(dtMs);
+}
+
+/**
+ * Shake the camera showing a car: its own view in split-screen, else the shared camera
+ * @param {number} carIndex - Car the shake belongs to
+ * @param {number} amount - Shake intensity
+ * @param {number} duration - Shake duration in milliseconds
+ */
+function shakeCamera(carIndex, amount, duration) {
+    let cam = isSplitScreen() && playerCameras[carIndex] ? playerCameras[carIndex] : camera;
+    if (cam) cam.shake(amount, duration);
+}
+
+/**
+ * How far (0-1) rendering is between the last two physics steps
+ */
+function getRenderAlpha() {
+    return Math.max(0, Math.min(1, physicsAccumulator / PHYSICS_STEP_MS));
+}
+
+/**
+ * Run as many fixed physics steps as the elapsed frame time allows
+ * @param {number} frameMs - Real time since the last frame
+ */
+function runSimulation(frameMs) {
+    physicsAccumulator += Math.min(frameMs, MAX_FRAME_MS);
+
+    while (physicsAccumulator >= PHYSICS_STEP_MS && gameState === 'playing') {
+        let inputs = sampleCarInputs();
+        let actions = pendingCarActions;
+        pendingCarActions = [];
+
+        if (replayRecorder) {
+            replayRecorder.recordStep(inputs, actions);
+        }
+        stepSimulation(inputs, actions);
+        physicsAccumulator -= PHYSICS_STEP_MS;
+    }
+}
+
+/**
+ * Advance the whole game by exactly one physics step
+ * @param {array} inputs - One input object per car
+ * @param {array} actions - Nudge/respawn/handling actions for this step
+ */
+function stepSimulation(inputs, actions) {
+    if (!engine) return;
+
+    applyCarActions(actions);
+
+    // Remember poses so rendering can interpolate between steps
+    for (let car of cars) {
+        if (car && car.body) car.savePreviousPose();
+    }
+
+    simTimeMs += PHYSICS_STEP_MS;
+    simStep++;
+    // Bars, gates and pendulums move on the race clock
+    updateMovers(track, Matter);
+    Engine.update(engine, PHYSICS_STEP_MS);
+
+    // Update all game logic (cars, timers, checkpoints, turrets)
+    updateGameLogic(inputs);
+
+    let telemetry = getLiveTelemetry();
+    if (telemetry) telemetry.recordStep(inputs, simTimeMs);
+
+    // Age skid marks and particles in simulated time
+    updateEffects(PHYSICS_STEP_MS);
+}
+
+/**
+ * Read every car's input provider once for the next physics step.
+ * Values are rounded to replay precision so recording and playback match.
+ * @returns {array} One {throttle, brake, steer} object per car
+ */
+function sampleCarInputs() {
+    return cars.map((car, i) => {
+        let input = quantizeInput(car.readInput(i));
+        if (car.ai && car.ai.wantsNudge) queueCarAction(i, 'nudge');
+        return input;
+    });
+}
+
+/**
+ * Give each car its input provider: recorded controls during a replay,
+ * the AI for opponents, and keyboard + gamepad (+ touch for a solo player)
+ * for humans. Player N uses the Nth connected gamepad.
+ */
+function assignInputProviders() {
+    let humanIndex = 0;
+    cars.forEach((car, i) => {
+        if (gameState === 'replay' && replayPlayer) {
+            car.setInputProvider(new ReplayInput(replayPlayer, i));
+        } else if (car.ai) {
+            car.setInputProvider(new AIInput(car.ai));
+        } else {
+            let providers = [new KeyboardInput(car.controls), new GamepadInput(humanIndex)];
+            if (gameMode === 'single') providers.push(touchInput);
+            car.setInputProvider(new CombinedInput(providers));
+            humanIndex++;
+        }
+    });
+}
+
+/**
+ * Queue a nudge/respawn so it happens on a step boundary (and is recorded)
+ * @param {number} carIndex - Car to act on
+ * @param {string} type - 'nudge' or 'respawn'
+ */
+function queueCarAction(carIndex, type) {
+    if (gameState !== 'playing' || !cars[carIndex]) return;
+    pendingCarActions.push({ car: carIndex, type: type });
+}
+
+/**
+ * Change a car's handling from the tuning panel. It applies right away, even
+ * while paused, and is queued as well so the replay has it on this step
+ * (applying it again there changes nothing).
+ * @param {number} carIndex - Car to change
+ * @param {object} values - Handling values to set (see CAR_HANDLING_DEFAULTS)
+ */
+function changeCarHandling(carIndex, values) {
+    if ((gameState !== 'playing' && gameState !== 'paused') || !cars[carIndex]) return;
+    cars[carIndex].setHandling(values);
+    pendingCarActions.push({ car: carIndex, type: 'handling', values: values });
+}
+
+/**
+ * Apply queued or replayed car actions
+ */
+function applyCarActions(actions) {
+    for (let action of actions || []) {
+        if (action.type === 'nudge') unstuckNudge(action.car);
+        else if (action.type === 'respawn') respawnPlayer(action.car);
+        else if (action.type === 'handling') applyHandlingAction(action);
+    }
+}
+
+function applyHandlingAction(action) {
+    let car = cars[action.car];
+    if (!car) return;
+    car.setHandling(action.values);
+    let telemetry = getLiveTelemetry();
+    if (telemetry) telemetry.noteHandling(action.car, action.values, simTimeMs);
+}
+
 /**
  * Update camera to follow active car(s)
  */
 function updateCameraFollow() {
     if (!camera) return;
-    if (cars.length === 1) {
-        camera.follow(cars[0].position);
-    } else if (cars.length === 2 && gameMode === 'two-player') {
-        camera.followMultiple([cars[0].position, cars[1].position]);
+    let alpha = getRenderAlpha();
+    if (gameMode === 'single' && cars.length > 0) {
+        // Follow the player, never the AI opponents
+        camera.follow(cars[0].getRenderPose(alpha));
+    } else if (cars.length >= 2 && gameMode === 'two-player') {
+        camera.followMultiple(cars.map(car => car.getRenderPose(alpha)));
+        // Split-screen: each player's camera follows their own car
+        playerCameras.forEach((cam, i) => cam.follow(cars[i].getRenderPose(alpha)));
     }
 }
 
 /**
  * Update game logic each frame
  */
-function updateGameLogic() {
+function updateGameLogic(inputs) {
     // Update lap timer
-    lapInfo.currentTime += deltaTime;
+    lapInfo.currentTime += PHYSICS_STEP_MS;
 
-    // Person B - Bilal: Two-player mode countdown timer
-    if (gameMode === 'two-player') {
-        twoPlayerTimer -= 1;
+    // Lap race: over when everyone has finished or the finish timeout runs out
+    if (matchSettings.raceLaps > 0 && raceRules &&
+        (raceRules.isRaceOver() || (raceEndAtMs !== null && simTimeMs >= raceEndAtMs))) {
+        if (gameState !== 'replay') showRaceResults();
+        return;
+    }
+
+    // Person B - Bilal: Two-player mode countdown timer (simulated ms)
+    if (gameMode === 'two-player' && !matchSettings.raceLaps) {
+        twoPlayerTimer -= PHYSICS_STEP_MS;
         if (twoPlayerTimer <= 0) {
-            showGameOver();
+            // A replay simply stops at its last recorded step
+            if (gameState !== 'replay') showGameOver();
             return;
         }
     }
@@ -279,7 +703,13 @@ function updateGameLogic() {
     for (let i = 0; i < cars.length; i++) {
         let car = cars[i];
         if (!car || !car.body) continue;
-        car.update();
+        car.update(inputs ? inputs[i] : null, PHYSICS_STEP_MS);
+
+        // Pit zones repair cars that slow down inside them
+        car.state.inPit = getPitZoneIndex(car.position.x, car.position.y) >= 0;
+        if (car.state.inPit && car.state.speed < DAMAGE_CONFIG.pitMaxSpeed) {
+            car.repair(DAMAGE_CONFIG.pitRepairPerSecond * PHYSICS_STEP_MS / 1000);
+        }
 
         // Person B - Bilal: Track last meaningful movement direction for unstuck nudge
         if (car.body.velocity) {
@@ -292,13 +722,18 @@ function updateGameLogic() {
         }
     }
 
-    if (frameCount % 3 === 0) {
+    // Record this physics step for the best-lap ghost
+    if (ghost && cars[0] && cars[0].body) {
+        ghost.record(cars[0].position.x, cars[0].position.y, cars[0].angle);
+    }
+
+    if (simStep % 3 === 0) {
         for (let i = 0; i < cars.length; i++) {
             let car = cars[i];
             if (car.state && car.state.drifting && car.trail && car.trail.length > 1) {
                 let lastPoint = car.trail[car.trail.length - 1];
                 let secondLastPoint = car.trail[car.trail.length - 2];
-                let carColor = i === 0 ? NEON_COLORS.cyan : NEON_COLORS.magenta;
+                let carColor = getCarColor(i);
 
                 // "Borrow" a skidmark from the pool
                 borrowSkidMark(
@@ -315,7 +750,7 @@ function updateGameLogic() {
                             lerp(lastPoint.y, secondLastPoint.y, Math.random()),
                             (Math.random() - 0.5) * 1,
                             (Math.random() - 0.5) * 1,
-                            30, carColor
+                            500, carColor
                         );
                     }
                 }
@@ -324,7 +759,7 @@ function updateGameLogic() {
     }
 
     // Update checkpoint visual effects (fade timers)
-    updateCheckpointEffects();
+    updateCheckpointEffects(PHYSICS_STEP_MS);
 
     // Person B - Bilal: Update turret system
     if (track && track.turrets && track.turretData && track.turretState && cars.length > 0) {
@@ -338,7 +773,9 @@ function updateGameLogic() {
                 track.turrets,
                 carBodies,
                 Matter,
-                borrowParticle // Pass the borrow function
+                borrowParticle, // Pass the borrow function
+                onTurretPush,
+                world // Cannons fire their balls into it
             );
         }
     }
@@ -357,6 +794,8 @@ function drawHUD() {
         let car1State = cars[0].state || {};
         car1State.totalDriftTime = cars[0].getCurrentDriftTime ? cars[0].getCurrentDriftTime() : (car1State.totalDriftTime || 0);
         hud.drawSinglePlayer(car1State, lapInfo);
+    } else if (isSplitScreen()) {
+        drawSplitScreenHUD();
     } else if (gameMode === 'two-player' && cars.length >= 2) {
         let player1LapInfo = raceRules ? raceRules.getLapInfo(0) : lapInfo;
         let player2LapInfo = raceRules ? raceRules.getLapInfo(1) : lapInfo;
@@ -369,18 +808,105 @@ function drawHUD() {
         hud.drawTwoPlayer(
             car1State,
             car2State,
-            twoPlayerTimer
+            matchSettings.raceLaps ? null : twoPlayerTimer
         );
     }
+    drawRaceGuidance();
+    drawRacePositions();
+}
+
+/**
+ * Split-screen: each player's panel inside their view, and the
+ * checkpoint contest countdown where the views meet
+ */
+function drawSplitScreenHUD() {
+    for (let view of views) {
+        if (view.carIndex < 0) continue;
+        let car = cars[view.carIndex];
+        hud.drawPlayerPanel(car.state || {}, view.camera.getViewport(), getCarColor(view.carIndex),
+            getCarName(view.carIndex).toUpperCase());
+    }
+
+    if (!matchSettings.raceLaps) {
+        push();
+        rectMode(CENTER);
+        fill(10, 5, 20, 220);
+        stroke(NEON_COLORS.cyan);
+        strokeWeight(2);
+        rect(width / 2, height / 2, 220, 80, 10);
+        pop();
+        hud.drawTimer(twoPlayerTimer, width / 2, height / 2 - 32);
+    }
+}
+
+/**
+ * Lap race: each player's live position and lap
+ */
+function drawRacePositions() {
+    if (!hud || !raceRules || !matchSettings.raceLaps) return;
+
+    for (let i = 0; i < cars.length; i++) {
+        if (cars[i].ai) continue;
+        let info = raceRules.getLapInfo(i);
+        let x = width / 2 + 140;
+        let y = hud.padding;
+        let align = 'left';
+        let vp = getCarViewport(i);
+        if (vp) {
+            // Top right of the player's own view
+            x = vp.x + vp.w - hud.padding;
+            y = vp.y + hud.padding;
+            align = 'right';
+        } else if (gameMode === 'two-player') {
+            x = i === 0 ? width / 2 - 120 : width / 2 + 120;
+            align = i === 0 ? 'right' : 'left';
+        }
+        hud.drawRacePosition(info, cars.length, x, y, getCarColor(i), align);
+    }
+}
+
+/**
+ * Ordered-checkpoint mode: each player's arrow to the next checkpoint,
+ * the WRONG WAY warning and the latest split time
+ */
+function drawRaceGuidance() {
+    if (!hud || !raceRules || matchSettings.checkpointOrder !== 'strict') return;
+
+    for (let i = 0; i < cars.length; i++) {
+        if (cars[i].ai) continue;
+        let info = raceRules.getLapInfo(i);
+        let x = gameMode === 'single' ? width / 2 : (i === 0 ? width * 0.3 : width * 0.7);
+        let y = gameMode === 'single' ? hud.padding + 130 : hud.padding + 40;
+        let warningX = gameMode === 'single' ? width / 2 : x;
+        let warningY = height * 0.4;
+        let vp = getCarViewport(i);
+        if (vp) {
+            x = warningX = vp.x + vp.w / 2;
+            y = vp.y + hud.padding + 40;
+            warningY = vp.y + vp.h * 0.4;
+        }
+
+        let target = info.nextCheckpoint >= 0 ? CHECKPOINTS[info.nextCheckpoint] : START_LINE;
+        let pos = cars[i].position;
+        let label = info.nextCheckpoint >= 0 ? 'CP ' + (info.nextCheckpoint + 1) : 'START LINE';
+        hud.drawCheckpointArrow(Math.atan2(target.y - pos.y, target.x - pos.x), x, y, getCarColor(i), label);
+
+        if (info.lastSplit && simTimeMs - info.lastSplit.at < SPLIT_DISPLAY_MS) {
+            hud.drawSplit(info.lastSplit, x, y + 60);
+        }
+        if (info.wrongWay) {
+            hud.drawWrongWay(warningX, warningY);
+        }
+    }
 }
 
 /**
  * Draw neon grid background
+ * @param {object} bounds - Visible area to fill (Camera.getBounds())
  */
-function drawNeonGrid() {
+function drawNeonGrid(bounds) {
     push();
 
-    let bounds = camera.getBounds();
     let startX = Math.floor(bounds.left / NEON_GRID_SIZE) * NEON_GRID_SIZE;
     let startY = Math.floor(bounds.top / NEON_GRID_SIZE) * NEON_GRID_SIZE;
     let endX = Math.ceil(bounds.right / NEON_GRID_SIZE) * NEON_GRID_SIZE;
@@ -408,8 +934,9 @@ function drawNeonGrid() {
 
 /**
  * Draw track boundaries with neon glow
+ * @param {object} bounds - Visible area (Camera.getBounds()); anything outside is skipped
  */
-function drawTrack() {
+function drawTrack(bounds = null) {
     if (!track) return;
 
     push();
@@ -426,6 +953,7 @@ function drawTrack() {
         let angle = wall.angle;
         let width = wall.bounds.max.x - wall.bounds.min.x;
         let height = wall.bounds.max.y - wall.bounds.min.y;
+        if (!isInView(bounds, pos.x, pos.y, Math.hypot(width, height) / 2)) continue;
 
         push();
         translate(pos.x, pos.y);
@@ -435,15 +963,58 @@ function drawTrack() {
         pop();
     }
 
-    // --- Draw start line ---
+    // --- Draw moving obstacles ---
+    for (let i = 0; i < (track.movers || []).length; i++) {
+        let body = track.movers[i];
+        let m = track.moverData[i];
+        // A pendulum is seen from its pivot to its ball
+        let at = m.type === 'pendulum' ? m : body.position;
+        let reach = m.type === 'pendulum' ? m.length + m.r : Math.hypot(m.w, m.h) / 2;
+        if (!isInView(bounds, at.x, at.y, reach)) continue;
+        drawMover(m, { x: body.position.x, y: body.position.y, a: body.angle });
+    }
+
+    // --- Draw pit zones ---
+    stroke(NEON_COLORS.green);
+    strokeWeight(2);
+    drawingContext.shadowColor = NEON_COLORS.green;
+    for (let pit of PIT_ZONES) {
+        if (!isInView(bounds, pit.x, pit.y, Math.hypot(pit.w, pit.h) / 2)) continue;
+        push();
+        translate(pit.x, pit.y);
+        rectMode(CENTER);
+        fill(0, 255, 100, 20);
+        rect(0, 0, pit.w, pit.h, 8);
+        noStroke();
+        fill(NEON_COLORS.green);
+        textAlign(CENTER, CENTER);
+        textSize(22);
+        text('PIT', 0, 0);
+        pop();
+    }
+    noFill();
+
+    // --- Draw surface zones ---
+    for (let zone of track.padData || []) {
+        if (!isInView(bounds, zone.x, zone.y, Math.hypot(zone.w, zone.h) / 2)) continue;
+        drawSurfaceZone(zone);
+    }
+
+    // --- Draw start boxes (one per local player) ---
     stroke(NEON_COLORS.yellow);
     strokeWeight(3);
     drawingContext.shadowColor = NEON_COLORS.yellow;
     push();
-    translate(400, 500);
     rectMode(CENTER);
-    rect(0, 0, 100, 70);
-    if (gameMode === 'two-player') rect(1200, 0, 100, 70);
+    let startBoxes = gameMode === 'two-player' ? cars.filter(c => !c.ai).length : 1;
+    for (let i = 0; i < startBoxes; i++) {
+        let sp = getStartPosition(i);
+        push();
+        translate(sp.x, sp.y);
+        rotate(sp.angle || 0);
+        rect(0, 0, 100, 70);
+        pop();
+    }
     pop();
 
     // --- Draw checkpoints ---
@@ -451,7 +1022,8 @@ function drawTrack() {
         let checkpoint = track.checkpoints[i];
         let pos = checkpoint.position;
         let radius = checkpoint.circleRadius || 35;
-        let isActivated = checkpointActiveUntil && checkpointActiveUntil[i] && millis() < checkpointActiveUntil[i];
+        if (!isInView(bounds, pos.x, pos.y, radius)) continue;
+        let isActivated = checkpointActiveUntil && checkpointActiveUntil[i] && simTimeMs < checkpointActiveUntil[i];
 
         if (isActivated) {
             stroke('#00ff00');
@@ -465,6 +1037,17 @@ function drawTrack() {
             drawingContext.shadowColor = NEON_COLORS.cyan;
         }
         circle(pos.x, pos.y, radius * 2);
+
+        // Ordered mode numbers the checkpoints so the route is readable
+        if (matchSettings.checkpointOrder === 'strict') {
+            push();
+            noStroke();
+            fill(isActivated ? '#00ff00' : NEON_COLORS.cyan);
+            textAlign(CENTER, CENTER);
+            textSize(24);
+            text(i + 1, pos.x, pos.y);
+            pop();
+        }
     }
 
     // --- Draw turrets ---
@@ -476,66 +1059,265 @@ function drawTrack() {
             if (!turret || !turData) continue;
 
             let pos = turret.position;
+            let type = TURRET_TYPES[turData.type] || TURRET_TYPES.burst;
+            let aim = turState.aim ? turState.aim[i] : 0;
+            let range = turData.range || TURRET_CONFIG.forceRadius;
+            let firing = turState.activeSprays && turState.activeSprays[i];
+            // A firing jet reaches far beyond the turret
+            let reach = firing && type === TURRET_TYPES.jet ? range : (turData.sprayRadius || 120) * 2;
+            if (!isInView(bounds, pos.x, pos.y, reach)) continue;
             let glow = turState.glowIntensity && turState.glowIntensity[i] ? turState.glowIntensity[i] : 0;
+            let c = color(type.color);
 
             // Draw pulsing glow
             if (glow > 0) {
                 push();
                 noFill();
-                stroke(100, 200, 255, glow * 120);
+                stroke(red(c), green(c), blue(c), glow * 120);
                 strokeWeight(3);
                 drawingContext.shadowBlur = glow * 25;
-                drawingContext.shadowColor = 'rgba(100, 200, 255, ' + (glow * 0.8) + ')';
+                drawingContext.shadowColor = type.color;
                 circle(pos.x, pos.y, 60 + glow * 20);
                 pop();
             }
 
+            // Telegraph: turning turrets show where they are about to fire
+            if (type.turnRate && turState.phase && turState.phase[i] === 'telegraph') {
+                push();
+                stroke(red(c), green(c), blue(c), 60 + glow * 150);
+                strokeWeight(2);
+                drawingContext.setLineDash([12, 10]);
+                line(pos.x, pos.y, pos.x + Math.cos(aim) * 400, pos.y + Math.sin(aim) * 400);
+                drawingContext.setLineDash([]);
+                pop();
+            }
+
             // Draw turret base
             push();
             translate(pos.x, pos.y);
-            stroke('#00aaff');
+            stroke(type.color);
             strokeWeight(2);
-            fill('#0066aa');
+            fill(lerpColor(c, color(0), 0.6));
             drawingContext.shadowBlur = 10 + glow * 15;
-            drawingContext.shadowColor = glow > 0 ? '#00ffff' : '#00aaff';
+            drawingContext.shadowColor = type.color;
             rectMode(CENTER);
             rect(0, 0, 40, 40);
-            fill('#00ffff'); // Center indicator
+            if (type.turnRate) {
+                // Barrel
+                rotate(aim);
+                fill(type.color);
+                rectMode(CORNER);
+                rect(0, -5, 30, 10, 2);
+            }
+            fill(type.color); // Center indicator
             noStroke();
             circle(0, 0, 8);
             pop();
 
             // --- Draw Turret Spray Area ---
             // (Particle drawing is now handled by the global updateAndDrawParticles loop)
-            if (turState.activeSprays && turState.activeSprays[i]) {
+            if (firing) {
                 push();
                 noFill();
-                stroke(100, 200, 255, 60);
+                stroke(red(c), green(c), blue(c), 60);
                 strokeWeight(2);
                 drawingContext.shadowBlur = 10;
-                drawingContext.shadowColor = 'rgba(100, 200, 255, 0.3)';
+                drawingContext.shadowColor = type.color;
                 let sprayRange = turData.sprayRadius || 120;
-                for (let r = sprayRange * 0.3; r <= sprayRange; r += sprayRange * 0.2) {
-                    circle(pos.x, pos.y, r * 2);
+                if (type === TURRET_TYPES.jet) {
+                    fill(red(c), green(c), blue(c), 25);
+                    arc(pos.x, pos.y, range * 2, range * 2, aim - type.cone / 2, aim + type.cone / 2, PIE);
+                } else if (type === TURRET_TYPES.vacuum) {
+                    // Rings closing in on the turret
+                    for (let k = 0; k < 3; k++) {
+                        let t = 1 - ((frameCount * 0.02 + k / 3) % 1);
+                        circle(pos.x, pos.y, sprayRange * 4 * t);
+                    }
+                } else if (type === TURRET_TYPES.burst) {
+                    for (let r = sprayRange * 0.3; r <= sprayRange; r += sprayRange * 0.2) {
+                        circle(pos.x, pos.y, r * 2);
+                    }
                 }
                 pop();
             }
         }
+
+        // Cannon balls in flight
+        for (let shot of track.turretState.shots || []) {
+            let type = TURRET_TYPES.cannon;
+            let p = shot.body.position;
+            if (!isInView(bounds, p.x, p.y, type.shotRadius)) continue;
+            push();
+            stroke('#ffffff');
+            strokeWeight(2);
+            fill(type.color);
+            drawingContext.shadowBlur = 15;
+            drawingContext.shadowColor = type.color;
+            circle(p.x, p.y, type.shotRadius * 2);
+            pop();
+        }
     }
 
     drawingContext.shadowBlur = 0;
     pop();
 }
 
+/**
+ * Draw one moving obstacle in its own neon color
+ * @param {object} m - {type, x, y, ...} from MOVERS
+ * @param {object} pose - {x, y, a} where it is now (for a pendulum, its ball)
+ * @param {boolean} showPath - Also mark out how it moves (track editor)
+ */
+function drawMover(m, pose, showPath = false) {
+    let c = MOVER_TYPES[m.type].color;
+    let glass = color(c);
+    glass.setAlpha(40);
+
+    push();
+    stroke(c);
+    strokeWeight(3);
+    drawingContext.shadowBlur = 15;
+    drawingContext.shadowColor = c;
+
+    if (showPath) {
+        // Dashed outline of everywhere it goes
+        push();
+        noFill();
+        strokeWeight(1);
+        drawingContext.setLineDash([8, 8]);
+        if (m.type === 'bar') {
+            circle(m.x, m.y, Math.hypot(m.w, m.h));
+        } else if (m.type === 'pendulum') {
+            arc(m.x, m.y, m.length * 2, m.length * 2, m.a - m.swing, m.a + m.swing);
+        } else if (m.type === 'gate') {
+            translate(m.x + Math.cos(m.a) * m.travel, m.y + Math.sin(m.a) * m.travel);
+            rotate(m.a);
+            rectMode(CENTER);
+            rect(0, 0, m.w, m.h);
+        }
+        drawingContext.setLineDash([]);
+        pop();
+    }
+
+    if (m.type === 'pendulum') {
+        // Chain from the pivot to the ball
+        strokeWeight(2);
+        line(m.x, m.y, pose.x, pose.y);
+        fill(c);
+        circle(m.x, m.y, 10);
+        strokeWeight(3);
+        fill(glass);
+        circle(pose.x, pose.y, m.r * 2);
+        pop();
+        return;
+    }
+
+    let hw = m.w / 2;
+    let hh = m.h / 2;
+    translate(pose.x, pose.y);
+    rotate(pose.a);
+    rectMode(CENTER);
+    fill(glass);
+    if (m.type === 'bar') {
+        rect(0, 0, m.w, m.h, Math.min(hh, 12));
+        noStroke();
+        fill(c);
+        circle(0, 0, Math.min(m.w, m.h) * 0.6); // Hub
+    } else if (m.type === 'gate') {
+        // Warning stripes across it
+        rect(0, 0, m.w, m.h);
+        strokeWeight(2);
+        for (let x = -hw + 15; x <= hw - 15; x += 25) {
+            line(x - 6, hh, x + 6, -hh);
+        }
+    } else {
+        // Crate: a box with a cross brace
+        rect(0, 0, m.w, m.h, 3);
+        strokeWeight(1.5);
+        line(-hw, -hh, hw, hh);
+        line(hw, -hh, -hw, hh);
+    }
+    pop();
+}
+
+/**
+ * Draw one surface zone in its own neon style
+ * @param {object} zone - {type, x, y, w, h, a} from SURFACE_ZONES
+ */
+function drawSurfaceZone(zone) {
+    let c = SURFACE_COLORS[zone.type] || NEON_COLORS.cyan;
+    let hw = zone.w / 2;
+    let hh = zone.h / 2;
+
+    push();
+    translate(zone.x, zone.y);
+    rotate(zone.a);
+    rectMode(CENTER);
+    stroke(c);
+    strokeWeight(2);
+    drawingContext.shadowBlur = 12;
+    drawingContext.shadowColor = c;
+
+    if (zone.type === 'ice') {
+        // Frosted sheet with glinting streaks
+        fill(170, 246, 255, 30);
+        rect(0, 0, zone.w, zone.h, 12);
+        strokeWeight(1);
+        for (let i = -2; i <= 2; i++) {
+            let x = i * zone.w / 6;
+            line(x - 12, hh * 0.5, x + 12, -hh * 0.5);
+        }
+    } else if (zone.type === 'mud') {
+        // Dark puddle with bubbles
+        fill(90, 50, 15, 150);
+        rect(0, 0, zone.w, zone.h, 30);
+        noFill();
+        strokeWeight(1);
+        for (let i = 0; i < 5; i++) {
+            circle((i - 2) * hw * 0.35, ((i % 2) - 0.5) * hh * 0.6, 10 + (i % 3) * 6);
+        }
+    } else if (zone.type === 'boost') {
+        // Chevrons running along the pad's direction
+        fill(255, 170, 0, 30);
+        rect(0, 0, zone.w, zone.h, 6);
+        let phase = (millis() / 400) % 1;
+        noFill();
+        strokeWeight(3);
+        for (let i = 0; i < 3; i++) {
+            let x = -hw * 0.6 + (i + phase) * hw * 0.4;
+            stroke(255, 170, 0, 255 * (1 - Math.abs(x) / hw));
+            line(x - 8, -hh * 0.5, x + 8, 0);
+            line(x + 8, 0, x - 8, hh * 0.5);
+        }
+    } else if (zone.type === 'oil') {
+        // Black slick with a rainbow sheen
+        fill(15, 0, 30, 200);
+        ellipse(0, 0, zone.w, zone.h);
+        noFill();
+        strokeWeight(1.5);
+        stroke('#00ffaa');
+        ellipse(-hw * 0.15, -hh * 0.1, zone.w * 0.55, zone.h * 0.4);
+        stroke(NEON_COLORS.magenta);
+        ellipse(hw * 0.1, hh * 0.15, zone.w * 0.35, zone.h * 0.25);
+    }
+    pop();
+}
+
 /**
  * Draw cars with neon glow effects
+ * @param {object} bounds - Visible area (Camera.getBounds()); cars outside are skipped
  */
-function drawCars() {
+function drawCars(bounds = null) {
+    let alpha = getRenderAlpha();
     push();
     for (let i = 0; i < cars.length; i++) {
         let car = cars[i];
-        let carColor = i === 0 ? NEON_COLORS.cyan : NEON_COLORS.magenta;
+        let pose = car.getRenderPose(alpha);
+        if (!isInView(bounds, pose.x, pose.y, getCarModelSize(car.model).radius)) continue;
+        let carColor = getCarColor(i);
 
+        // Finished cars fade out of the way of the cars still racing
+        drawingContext.globalAlpha = car.state.cooldown ? 0.35 : 1;
         drawingContext.shadowBlur = 20;
         drawingContext.shadowColor = carColor;
 
@@ -544,23 +1326,185 @@ function drawCars() {
         strokeWeight(2);
 
         push();
-        translate(car.position.x, car.position.y);
-        rotate(car.angle);
-        rectMode(CENTER);
-        rect(0, 0, 50, 30); // Body
-        fill(255, 255, 0);
-        rect(25, 0, 10, 30); // Headlights
+        translate(pose.x, pose.y);
+        rotate(pose.angle);
+        drawCarShape(car.model, color(255, 255, 0));
+        if (car.state.gear === 'R') drawReverseLights(car.model);
+        drawCarDamage(car.state.damage || 0, car.model);
+        pop();
+    }
+    drawingContext.globalAlpha = 1;
+    drawingContext.shadowBlur = 0;
+    pop();
+}
+
+/**
+ * Draw a car model around its center of mass, facing +x (called inside the
+ * car's transform). The body uses the current fill and stroke.
+ * @param {object} model - CAR_MODELS entry (cars.js)
+ * @param {p5.Color} lightColor - Fill for the headlights
+ */
+function drawCarShape(model, lightColor) {
+    let centre = getCarModelCentre(model);
+    let rects = (list) => {
+        for (let p of list) rect(p.x - centre.x, p.y - centre.y, p.w, p.h);
+    };
+    rectMode(CENTER);
+    rects(model.parts);
+    if (model.parts.length > 1) {
+        // Paint over the outlines where the parts overlap, so only the silhouette is outlined
+        push();
+        noStroke();
+        rects(model.parts);
         pop();
     }
+    fill(lightColor);
+    rects(model.lights);
+}
+
+/**
+ * White reverse lights on the back corners of the car (called inside the
+ * car's transform)
+ * @param {object} model - CAR_MODELS entry the car is built from
+ */
+function drawReverseLights(model) {
+    let centre = getCarModelCentre(model);
+    let rear = model.parts.reduce((a, b) => (b.x - b.w / 2 < a.x - a.w / 2 ? b : a));
+    let x = rear.x - rear.w / 2 - centre.x + 2;
+    push();
+    drawingContext.shadowBlur = 10;
+    drawingContext.shadowColor = '#ffffff';
+    noStroke();
+    fill(255);
+    rectMode(CENTER);
+    rect(x, rear.y - centre.y - rear.h / 3, 4, rear.h / 5);
+    rect(x, rear.y - centre.y + rear.h / 3, 4, rear.h / 5);
+    pop();
+}
+
+/**
+ * Dents and cracks over the car body (called inside the car's transform)
+ * @param {number} damage - 0 (intact) to 1 (wrecked)
+ * @param {object} model - CAR_MODELS entry the car is built from
+ */
+function drawCarDamage(damage, model) {
+    if (damage <= 0) return;
+
+    push();
+    drawingContext.shadowBlur = 0;
+    let centre = getCarModelCentre(model);
+    let rects = (list) => {
+        for (let p of list) rect(p.x - centre.x, p.y - centre.y, p.w, p.h);
+    };
+
+    // Darken the paint as damage builds up
+    noStroke();
+    fill(0, 0, 0, damage * 150);
+    rects(model.parts);
+
+    // One more crack for every quarter of damage (laid out on the 50x30 standard car)
+    stroke(255, 255, 255, 200);
+    strokeWeight(1.5);
+    let size = getCarModelSize(model);
+    let sx = size.w / 50;
+    let sy = size.h / 30;
+    let cracks = [
+        [-18, -10, -8, -2, -12, 6],
+        [10, -12, 4, -4, 12, 2],
+        [-4, 8, 6, 2, 2, 12],
+        [-22, 4, -14, 0, -20, -6]
+    ];
+    for (let k = 0; k < Math.ceil(damage * cracks.length); k++) {
+        let c = cracks[k];
+        line(c[0] * sx, c[1] * sy, c[2] * sx, c[3] * sy);
+        line(c[2] * sx, c[3] * sy, c[4] * sx, c[5] * sy);
+    }
+
+    // Broken headlights flicker when badly damaged
+    if (damage > 0.6 && Math.floor(millis() / 120) % 2 === 0) {
+        noStroke();
+        fill(0, 0, 0, 200);
+        rects(model.lights);
+    }
+    pop();
+}
+
+/**
+ * Display name for a car: 'Player 1', 'Player 2', 'AI 1', ...
+ */
+function getCarName(index) {
+    let car = cars[index];
+    if (car && car.ai) return 'AI ' + cars.slice(0, index + 1).filter(c => c.ai).length;
+    return 'Player ' + (index + 1);
+}
+
+/**
+ * Neon color for a car: PLAYER_COLORS for players, AI_COLORS for AI
+ */
+function getCarColor(index) {
+    let car = cars[index];
+    if (car && car.ai) {
+        let aiIndex = cars.filter(c => !c.ai).length;
+        return AI_COLORS[(index - aiIndex) % AI_COLORS.length];
+    }
+    return PLAYER_COLORS[index % PLAYER_COLORS.length];
+}
+
+/**
+ * Draw the best-lap ghost as a translucent outline (it has no physics body)
+ */
+function drawGhostCar() {
+    if (!ghost) return;
+    let frame = ghost.getFrame();
+    if (!frame) return;
+
+    push();
+    translate(frame.x, frame.y);
+    rotate(frame.angle);
+    drawingContext.shadowBlur = 10;
+    drawingContext.shadowColor = NEON_COLORS.cyan;
+    fill(255, 255, 255, 40);
+    stroke(0, 255, 255, 110);
+    strokeWeight(2);
+    drawCarShape(getCarModel(ghost.getModel()), color(255, 255, 0, 60));
     drawingContext.shadowBlur = 0;
     pop();
 }
 
+/**
+ * Age skid marks and move/age particles
+ * @param {number} dtMs - Elapsed time in milliseconds
+ */
+function updateEffects(dtMs) {
+    for (let i = 0; i < skidMarkPool.length; i++) {
+        let mark = skidMarkPool[i];
+        if (!mark.active) continue;
+        mark.lifetime -= dtMs;
+        if (mark.lifetime <= 0) {
+            mark.active = false; // "Return" to pool
+        }
+    }
+
+    // Particle velocities are in pixels per physics step
+    let stepScale = dtMs / PHYSICS_STEP_MS;
+    for (let i = 0; i < particlePool.length; i++) {
+        let p = particlePool[i];
+        if (!p.active) continue;
+        p.x += p.vx * stepScale;
+        p.y += p.vy * stepScale;
+        p.lifetime -= dtMs;
+        if (p.lifetime <= 0) {
+            p.active = false; // "Return" to pool
+        }
+    }
+}
+
 /**
  * Draw all persistent skid marks
- * Iterates the pool and draws only active marks.
+ * Iterates the pool and draws only active marks in view.
+ * @param {object} bounds - Visible area (Camera.getBounds())
  */
-function drawAllSkidMarks() {
+function drawAllSkidMarks(bounds = null) {
     push();
     noFill();
 
@@ -570,6 +1514,7 @@ function drawAllSkidMarks() {
     for (let i = 0; i < skidMarkPool.length; i++) {
         let mark = skidMarkPool[i];
         if (!mark.active) continue; // Skip inactive marks
+        if (!isInView(bounds, mark.x1, mark.y1, 20)) continue;
 
         let alpha = (mark.lifetime / mark.maxLifetime);
 
@@ -582,21 +1527,17 @@ function drawAllSkidMarks() {
         strokeWeight(3);
         line(mark.x1 - 5, mark.y1, mark.x2 - 5, mark.y2);
         line(mark.x1 + 5, mark.y1, mark.x2 + 5, mark.y2);
-
-        mark.lifetime--;
-        if (mark.lifetime <= 0) {
-            mark.active = false; // "Return" to pool
-        }
     }
     drawingContext.shadowBlur = 0;
     pop();
 }
 
 /**
- * Update and draw all particle effects 
- * Iterates the pool and draws only active particles.
+ * Draw all particle effects (they move in updateEffects)
+ * Iterates the pool and draws only active particles in view.
+ * @param {object} bounds - Visible area (Camera.getBounds())
  */
-function updateAndDrawParticles() {
+function drawParticles(bounds = null) {
     push();
 
     // drawingContext.shadowBlur = 10;
@@ -605,13 +1546,8 @@ function updateAndDrawParticles() {
     for (let i = 0; i < particlePool.length; i++) {
         let p = particlePool[i];
         if (!p.active) continue; // Skip inactive
+        if (!isInView(bounds, p.x, p.y, 5)) continue;
 
-        // Update
-        p.x += p.vx;
-        p.y += p.vy;
-        p.lifetime--;
-
-        // Draw
         let alpha = p.lifetime / p.maxLifetime;
         let c = color(p.color);
         // if (drawingContext.shadowBlur > 0) {
@@ -619,11 +1555,6 @@ function updateAndDrawParticles() {
         // }
         stroke(red(c) - 50, green(c) - 50, blue(c) - 50, alpha * 255);
         point(p.x, p.y);
-
-        // "Return" to pool
-        if (p.lifetime <= 0) {
-            p.active = false;
-        }
     }
     drawingContext.shadowBlur = 0;
     pop();
@@ -651,38 +1582,132 @@ function drawMenuBackground() {
  */
 function initializeTrack() {
     if (typeof buildTrack === 'function') {
-        track = buildTrack(Matter, world);
+        loadTrackRecords();
+        loadTrackSelection();
+        // Person B - Bilal: ?seed=... in the URL replays a shared layout
+        let urlSeed = readSeedFromURL();
+        selectTrack(urlSeed !== null ? { id: 'seed', seed: urlSeed } : trackSelection);
+        // A checkpoint record from before leaderboards lands on the opening track
+        importLegacyCheckpointScore(getTrackLayoutKey(), getLeaderboardTrackName());
     } else {
         console.error("buildTrack() function not found. Is track.js loaded?");
     }
 }
 
+/**
+ * Read the track seed from the page URL (?seed=12345), or null if none
+ */
+function readSeedFromURL() {
+    try {
+        let params = new URLSearchParams(window.location.search);
+        return params.get('seed');
+    } catch (error) {
+        console.warn('Could not read seed from URL:', error);
+        return null;
+    }
+}
+
+/**
+ * Show the current track seed (and a shareable link) on the pause menu.
+ * A loaded arena has no seed, so it shows its name instead.
+ */
+function updateSeedDisplay() {
+    if (!track) return;
+    let seedValue = document.getElementById('track-seed-value');
+    let seedLink = document.getElementById('track-seed-link');
+    let custom = track.seed === null;
+    let library = custom && getLibraryTrackByKey(getTrackLayoutKey());
+    if (seedValue) seedValue.textContent = library ? track.name : custom ? track.name + ' (custom arena)' : track.seed;
+    if (seedLink) {
+        seedLink.href = custom ? '#' : '?seed=' + track.seed;
+        seedLink.style.display = custom ? 'none' : '';
+    }
+}
+
+/**
+ * Load a layout from getTrackLayout() (a seed, or a whole loaded arena)
+ * unless it is the one already built
+ * @param {object} layout - getTrackLayout() result
+ */
+function loadTrackLayout(layout) {
+    if (track && getTrackLayoutKey() === layout.key) return;
+    // Both builders replace the previous track's bodies
+    track = layout.arena
+        ? loadArenaFromJSON(layout.arena, Matter, world)
+        : buildTrack(Matter, world, layout.seed);
+    updateSeedDisplay();
+}
+
+/**
+ * Build the track matches will use: a library arena, or a random or seeded layout
+ * @param {object} choice - {id} with a TRACK_LIBRARY id or 'random', or {id: 'seed', seed}
+ */
+function selectTrack(choice) {
+    let entry = getLibraryTrack(choice.id);
+    if (entry) {
+        track = loadArenaFromJSON(entry.arena, Matter, world);
+    } else {
+        track = buildTrack(Matter, world, choice.id === 'seed' ? choice.seed : null);
+    }
+    trackSelection = {
+        id: entry ? entry.id : choice.id === 'seed' ? 'seed' : 'random',
+        seed: track.seed,
+        layout: getTrackLayout(),
+        arena: getArenaData()
+    };
+    updateSeedDisplay();
+    updateTrackButtonLabel();
+}
+
 /**
  * Initialize game objects (cars, race rules, etc.)
  */
 function initializeGame() {
-    // Clear existing cars
-    for (let car of cars) {
-        if (car.body) {
-            World.remove(world, car.body);
-        }
-    }
+    // Start every race on a fresh engine so a replay sees the same world
+    resetPhysicsWorld();
 
     let startPositions = getStartPositions();
+    // Players drive the car picked on Car Select, AI the standard car. A
+    // preset's handling is kept in the settings so a replay rebuilds the same cars.
+    let createPlayerCar = (i, sp) => {
+        let choice = matchSettings.carChoices[i] || {};
+        return new Car(sp.x, sp.y, engine, world, Object.assign({}, keyBindings.players[i]),
+            getCarModel(choice.model), choice.handling || undefined);
+    };
     if (gameMode === 'single') {
-        let car = new Car(startPositions[0].x, startPositions[0].y, engine, world, {
-            up: 87, down: 83, left: 65, right: 68 // WASD
-        });
+        let car = createPlayerCar(0, startPositions[0]);
         cars = [car];
+
+        // AI opponents line up behind and beside the player
+        for (let a = 0; a < matchSettings.aiCount; a++) {
+            let sp = getStartPosition(cars.length);
+            let aiCar = new Car(sp.x, sp.y, engine, world, null);
+            aiCar.ai = new AIDriver(matchSettings.aiDifficulty);
+            cars.push(aiCar);
+        }
     } else {
-        let car1 = new Car(startPositions[0].x, startPositions[0].y, engine, world, {
-            up: 87, down: 83, left: 65, right: 68 // WASD
-        });
-        let car2 = new Car(startPositions[1].x, startPositions[1].y, engine, world, {
-            up: UP_ARROW, down: DOWN_ARROW, left: LEFT_ARROW, right: RIGHT_ARROW
-        });
-        cars = [car1, car2];
+        // Local multiplayer: each player has their own keys, spawn point and color
+        cars = [];
+        for (let i = 0; i < matchSettings.playerCount; i++) {
+            let sp = getStartPosition(i);
+            cars.push(createPlayerCar(i, sp));
+        }
     }
+    assignInputProviders();
+
+    // Arena spawns can face any way; cars are built facing right
+    cars.forEach((car, i) => {
+        car.physicsModel = matchSettings.physics;
+        let angle = getStartPosition(i).angle;
+        if (!angle) return;
+        Matter.Body.setAngle(car.body, angle);
+        car.savePreviousPose();
+    });
+
+    // Every local player gets a camera for split-screen, starting on their car
+    playerCameras = gameMode === 'two-player' ?
+        cars.map(car => new Camera(car.position.x, car.position.y)) : [];
+    twoPlayerSplit = false;
 
     // Setup race rules and collision detection
     let carBodies = cars.map((car, index) => {
@@ -690,11 +1715,27 @@ function initializeGame() {
         return car.body;
     });
 
+    // Cars report drifts through the vehicle physics callbacks below
+    cars.forEach((car, index) => {
+        car.driftEvents = {
+            onDriftStart: () => onDriftStart(index),
+            onDriftEnd: (score, combo) => onDriftEnd(index, score, combo)
+        };
+    });
+
     if (typeof attachRaceRules === 'function') {
         raceRules = attachRaceRules(Matter, engine, carBodies, {
             onCheckpoint: onCheckpoint,
             onLap: onLap,
             onWallHit: onWallHit,
+            onCarHit: onCarHit,
+            onPad: onPad,
+            onFinish: onFinish,
+        }, {
+            // Single-player laps (AI included) end on the last checkpoint
+            lapOnLastCheckpoint: gameMode === 'single',
+            strictOrder: matchSettings.checkpointOrder === 'strict',
+            raceLaps: matchSettings.raceLaps
         });
     } else {
         console.error("attachRaceRules() function not found. Is track.js loaded?");
@@ -704,23 +1745,83 @@ function initializeGame() {
     // Reset lap info
     lapInfo = { currentLap: 1, currentTime: 0, lastTime: null, bestTime: null };
 
+    // Ghosts are stored per layout, so a ghost never shows on a different arena
+    ghost = null;
+    if (gameMode === 'single' && gameState !== 'replay' && typeof GhostLap === 'function' && typeof getTrackLayoutKey === 'function') {
+        ghost = new GhostLap(getTrackLayoutKey(), cars[0].model.id);
+    }
+
+    // Record this race so it can be watched back
+    replayRecorder = null;
+    if (gameState !== 'replay' && typeof ReplayRecorder === 'function') {
+        replayRecorder = new ReplayRecorder({
+            mode: gameMode,
+            settings: Object.assign({}, matchSettings),
+            carCount: cars.length,
+            stepMs: PHYSICS_STEP_MS,
+            layout: getTrackLayout()
+        });
+    }
+
+    // Telemetry for the Session Analysis screen; a replay keeps the last live session
+    if (gameState !== 'replay' && typeof TelemetryRecorder === 'function') {
+        let players = [];
+        cars.forEach((car, i) => {
+            if (!car.ai) players.push({ index: i, name: getCarName(i), color: getCarColor(i), car: car });
+        });
+        telemetryRecorder = new TelemetryRecorder({
+            track: getLeaderboardTrackName(),
+            layoutKey: getTrackLayoutKey(),
+            mode: gameMode,
+            stepMs: PHYSICS_STEP_MS,
+            arena: getArenaData(),
+            cars: players
+        });
+    }
+
     // Reset checkpoint system
     let cpCount = (track && track.checkpoints) ? track.checkpoints.length : 6;
-    checkpointActivations.player1 = new Array(cpCount).fill(false);
-    checkpointActivations.player2 = new Array(cpCount).fill(false);
+    checkpointActivations = cars.map(() => new Array(cpCount).fill(false));
     checkpointActiveUntil = new Array(cpCount).fill(0);
-    checkpointCounter = [0, 0];
+    checkpointCounter = new Array(cars.length).fill(0);
     singlePlayerCheckpointCount = 0;
+    bestCheckpointScore = getLeaderboardBest(getTrackLayoutKey(), 'single', 'checkpoints') || 0;
+    matchResultsRecorded = false;
     checkpointEffects = [];
     checkpointCooldowns = {};
     alertCooldowns = {};
     lastMovementDir = new Array(cars.length).fill({ x: 0, y: 1 });
 
-    // Reset two-player timer
-    twoPlayerTimer = twoPlayerMaxTime;
+    // Reset two-player timer
+    twoPlayerTimer = twoPlayerMaxTime;
+    raceEndAtMs = null;
+
+    // Reset pools
+    resetPools();
+
+    // The tuning panel edits the new cars (and closes for a replay)
+    refreshTuningPanel();
+}
+
+/**
+ * Replace the physics engine with a fresh one holding only the track.
+ * Also resets the simulation clock and the per-race track state.
+ */
+function resetPhysicsWorld() {
+    engine = Engine.create();
+    world = engine.world;
+    world.gravity.y = 0;
+
+    if (track) {
+        // Before adding the bodies: it gives the moving obstacles new ones
+        resetTrackState(track);
+        World.add(world, getTrackBodies(track));
+    }
 
-    // Reset pools
-    resetPools();
+    physicsAccumulator = 0;
+    simTimeMs = 0;
+    simStep = 0;
+    pendingCarActions = [];
 }
 
 /**
@@ -728,14 +1829,20 @@ function initializeGame() {
  */
 function setupMenuSystem() {
     // Bind all button clicks
+    // Both go through Car Select, which calls startGame()
     document.getElementById('btn-single').addEventListener('click', () => {
         gameMode = 'single';
-        startGame();
+        openCarSelectScreen(1);
     });
     document.getElementById('btn-two-player').addEventListener('click', () => {
         gameMode = 'two-player';
-        startGame();
+        readMatchSettings();
+        openCarSelectScreen(matchSettings.playerCount);
     });
+    bindCarSelectScreen();
+    document.getElementById('btn-tracks').addEventListener('click', openTrackSelectScreen);
+    document.getElementById('btn-track-select-back').addEventListener('click', closeTrackSelectScreen);
+    bindLeaderboardScreen();
     document.getElementById('btn-instructions').addEventListener('click', () => {
         document.getElementById('start-menu').style.display = 'none';
         document.getElementById('instructions-overlay').style.display = 'flex';
@@ -748,9 +1855,28 @@ function setupMenuSystem() {
         document.getElementById('instructions-overlay').style.display = 'none';
         document.getElementById('start-menu').style.display = 'flex';
     });
+    document.getElementById('btn-controls').addEventListener('click', openControlsScreen);
+    document.getElementById('btn-controls-back').addEventListener('click', closeControlsScreen);
+    document.getElementById('btn-controls-reset').addEventListener('click', () => {
+        resetKeyBindings();
+        refreshBindingLabels();
+        setControlsMessage('Controls reset to defaults');
+        renderControlsScreen();
+    });
     document.getElementById('btn-resume').addEventListener('click', resumeGame);
     document.getElementById('btn-restart').addEventListener('click', restartGame);
     document.getElementById('btn-menu').addEventListener('click', returnToMenu);
+    document.getElementById('btn-replay').addEventListener('click', watchReplay);
+    document.getElementById('btn-last-replay').addEventListener('click', () => startReplay(lastReplay));
+    document.getElementById('btn-analysis').addEventListener('click', () => openSessionAnalysis('pause-menu'));
+    document.getElementById('btn-last-analysis').addEventListener('click', () => openSessionAnalysis('start-menu'));
+    bindTelemetryScreen();
+    bindTuningPanel();
+
+    // Track editor
+    document.getElementById('btn-editor').addEventListener('click', openEditor);
+    document.getElementById('btn-editor-test').addEventListener('click', testDriveArena);
+    document.getElementById('btn-editor-exit').addEventListener('click', closeEditor);
 
     // Game over buttons (need to be bound)
     let btnRestartGO = document.getElementById('btn-restart-gameover');
@@ -767,12 +1893,39 @@ function setupMenuSystem() {
  * Start the game
  */
 function startGame() {
+    readMatchSettings();
+    // Replays and the editor may have left another layout built
+    if (!editorTestDrive) loadTrackLayout(trackSelection.layout);
     document.getElementById('start-menu').style.display = 'none';
     document.getElementById('instructions-overlay').style.display = 'none';
     gameState = 'playing';
     initializeGame();
 }
 
+/**
+ * Read the match options from the start menu
+ */
+function readMatchSettings() {
+    let aiCount = document.getElementById('opt-ai-count');
+    let aiDifficulty = document.getElementById('opt-ai-difficulty');
+    let checkpointOrder = document.getElementById('opt-checkpoint-order');
+    let raceLaps = document.getElementById('opt-race-laps');
+    let playerCount = document.getElementById('opt-player-count');
+    let splitScreen = document.getElementById('opt-split-screen');
+    let physics = document.getElementById('opt-physics');
+    if (aiCount) matchSettings.aiCount = parseInt(aiCount.value, 10) || 0;
+    if (aiDifficulty && AI_DIFFICULTY[aiDifficulty.value]) matchSettings.aiDifficulty = aiDifficulty.value;
+    if (checkpointOrder) matchSettings.checkpointOrder = checkpointOrder.value === 'strict' ? 'strict' : 'any';
+    if (raceLaps) matchSettings.raceLaps = Math.max(0, parseInt(raceLaps.value, 10) || 0);
+    if (playerCount) {
+        matchSettings.playerCount = Math.max(2, Math.min(keyBindings.players.length, parseInt(playerCount.value, 10) || 2));
+    }
+    if (splitScreen) {
+        matchSettings.splitScreen = ['vertical', 'horizontal'].includes(splitScreen.value) ? splitScreen.value : 'off';
+    }
+    if (physics && PHYSICS_MODELS[physics.value]) matchSettings.physics = physics.value;
+}
+
 /**
  * Pause the game
  */
@@ -795,6 +1948,7 @@ function resumeGame() {
  * Restart the game
  */
 function restartGame() {
+    recordMatchResults();
     gameState = 'playing';
     document.getElementById('pause-menu').style.display = 'none';
     document.getElementById('gameover-menu').style.display = 'none';
@@ -811,13 +1965,358 @@ function restartGame() {
 }
 
 /**
- * Return to main menu
+ * Return to main menu (or to the editor from a test drive)
  */
 function returnToMenu() {
+    recordMatchResults();
+    closeTuningPanel();
+    if (editorTestDrive) {
+        openEditor();
+        return;
+    }
     gameState = 'menu';
+    replayPlayer = null;
     document.getElementById('pause-menu').style.display = 'none';
     document.getElementById('gameover-menu').style.display = 'none';
     document.getElementById('start-menu').style.display = 'flex';
+    document.getElementById('btn-last-replay').style.display = lastReplay ? 'block' : 'none';
+    document.getElementById('btn-last-analysis').style.display = telemetryRecorder ? 'block' : 'none';
+}
+
+/* ============================================
+ * TRACK EDITOR
+ * ============================================
+ */
+
+/**
+ * Open the track editor (from the main menu, or back from a test drive)
+ */
+function openEditor() {
+    if (editorTestDrive) {
+        // Put back the layout the menus were using
+        editorTestDrive = false;
+        loadTrackLayout(editorReturnLayout);
+    } else {
+        editorReturnLayout = getTrackLayout();
+    }
+    updateMenuButtonLabel();
+
+    gameState = 'editor';
+    replayPlayer = null;
+    document.getElementById('start-menu').style.display = 'none';
+    document.getElementById('pause-menu').style.display = 'none';
+    document.getElementById('gameover-menu').style.display = 'none';
+    document.getElementById('editor-ui').style.display = 'block';
+
+    // A new editing session starts from the layout that was loaded
+    trackEditor.open(getArenaData());
+}
+
+/**
+ * Leave the editor for the main menu
+ */
+function closeEditor() {
+    trackEditor.closeJSONDialog();
+    document.getElementById('editor-ui').style.display = 'none';
+    resetCameraView();
+    returnToMenu();
+}
+
+/**
+ * Race the arena being edited: single player, with the start menu's options
+ */
+function testDriveArena() {
+    trackEditor.validate();
+    if (!trackEditor.canTestDrive()) return;
+
+    try {
+        track = loadArenaFromJSON(trackEditor.getArena(), Matter, world);
+    } catch (error) {
+        console.warn('Could not load the arena:', error);
+        return;
+    }
+    updateSeedDisplay();
+    editorTestDrive = true;
+    updateMenuButtonLabel();
+
+    trackEditor.closeJSONDialog();
+    document.getElementById('editor-ui').style.display = 'none';
+    resetCameraView();
+    gameMode = 'single';
+    startGame();
+}
+
+/**
+ * The pause menu's way out leads back to the editor during a test drive
+ */
+function updateMenuButtonLabel() {
+    document.getElementById('btn-menu').textContent =
+        editorTestDrive ? '← Back to Editor' : '← Back to Main Menu';
+}
+
+/**
+ * Undo the editor's zoom and pan before racing
+ */
+function resetCameraView() {
+    camera.setViewport(null);
+    camera.zoom = camera.targetZoom = 1;
+}
+
+/* ============================================
+ * SESSION ANALYSIS
+ * ============================================
+ */
+
+/**
+ * The recorder for the race being driven (none while a replay plays back, so
+ * playback never adds to the last live session)
+ * @returns {TelemetryRecorder|null}
+ */
+function getLiveTelemetry() {
+    return gameState === 'replay' ? null : telemetryRecorder;
+}
+
+/**
+ * Open the Session Analysis screen for the current or last race
+ * @param {string} returnTo - Id of the menu to hide until the screen is closed
+ */
+function openSessionAnalysis(returnTo) {
+    if (telemetryRecorder) openTelemetryScreen(telemetryRecorder.getSession(), returnTo);
+}
+
+/* ============================================
+ * REPLAY PLAYBACK
+ * ============================================
+ */
+
+/**
+ * Stop recording the current race and watch it from the start
+ */
+function watchReplay() {
+    recordMatchResults();
+    if (replayRecorder) {
+        lastReplay = replayRecorder.getReplay();
+        replayRecorder = null;
+    }
+    startReplay(lastReplay);
+}
+
+/**
+ * Enter the replay state for a recorded race
+ * @param {object} replay - Replay object from ReplayRecorder
+ */
+function startReplay(replay) {
+    if (!replay || replay.frames.length === 0) return;
+
+    // Rebuild the recorded layout if a different arena is loaded
+    loadTrackLayout(replay.layout);
+    if (getTrackLayoutKey() !== replay.layout.key) {
+        console.warn('Replay was recorded on a different layout; playback may not match.');
+    }
+
+    document.getElementById('start-menu').style.display = 'none';
+    document.getElementById('pause-menu').style.display = 'none';
+    document.getElementById('gameover-menu').style.display = 'none';
+
+    gameMode = replay.mode;
+    matchSettings = Object.assign({}, matchSettings, replay.settings);
+    gameState = 'replay';
+    replayPlayer = new ReplayPlayer(replay);
+    // Split-screen matches play back split-screen, the way they were raced
+    if (gameMode === 'two-player' &&
+        (matchSettings.playerCount >= SPLIT_SCREEN_MIN_PLAYERS || matchSettings.splitScreen !== 'off')) {
+        replayPlayer.followIndex = -1;
+    }
+    initializeGame();
+}
+
+/**
+ * Run the recorded steps due this frame (scaled by playback speed)
+ */
+function updateReplay() {
+    if (!replayPlayer) return;
+
+    if (!replayPlayer.paused) {
+        physicsAccumulator += Math.min(deltaTime, MAX_FRAME_MS) * replayPlayer.speed;
+    }
+    while (physicsAccumulator >= PHYSICS_STEP_MS && !replayPlayer.finished) {
+        stepReplay();
+        physicsAccumulator -= PHYSICS_STEP_MS;
+    }
+    if (replayPlayer.finished) {
+        replayPlayer.paused = true;
+        physicsAccumulator = 0;
+    }
+}
+
+/**
+ * Simulate one recorded step
+ */
+function stepReplay() {
+    let step = replayPlayer.step;
+    stepSimulation(sampleCarInputs(), replayPlayer.getActions(step));
+    replayPlayer.step++;
+}
+
+/**
+ * Jump to a step. Going backwards re-simulates from the start.
+ * @param {number} targetStep - Step to jump to
+ */
+function seekReplay(targetStep) {
+    if (!replayPlayer) return;
+    targetStep = Math.max(0, Math.min(replayPlayer.length, Math.round(targetStep)));
+
+    if (targetStep < replayPlayer.step) {
+        initializeGame();
+        replayPlayer.step = 0;
+    }
+    while (replayPlayer.step < targetStep) {
+        stepReplay();
+    }
+    physicsAccumulator = 0;
+    for (let cam of [camera].concat(playerCameras)) {
+        if (!cam) continue;
+        cam.shakeAmount = 0;
+        cam.shakeDuration = 0;
+    }
+}
+
+/**
+ * Camera during a replay: follow a car, all cars, or fly freely
+ */
+function updateReplayCamera() {
+    if (!camera || !replayPlayer) return;
+
+    if (replayPlayer.freeCamera) {
+        // WASD pans the free camera (arrow keys are used for scrubbing)
+        let panSpeed = 12 / camera.zoom;
+        if (keyIsDown(65)) camera.targetX -= panSpeed;
+        if (keyIsDown(68)) camera.targetX += panSpeed;
+        if (keyIsDown(87)) camera.targetY -= panSpeed;
+        if (keyIsDown(83)) camera.targetY += panSpeed;
+    } else if (cars[replayPlayer.followIndex] && replayPlayer.followIndex >= 0) {
+        camera.follow(cars[replayPlayer.followIndex].getRenderPose(getRenderAlpha()));
+    } else {
+        updateCameraFollow();
+    }
+}
+
+/**
+ * Playback info for the HUD
+ */
+function getReplayStatus() {
+    return {
+        step: replayPlayer.step,
+        length: replayPlayer.length,
+        stepMs: replayPlayer.replay.stepMs,
+        speed: replayPlayer.speed,
+        paused: replayPlayer.paused,
+        freeCamera: replayPlayer.freeCamera,
+        followIndex: replayPlayer.followIndex,
+        carCount: Math.min(cars.length, 9) // Cars the number keys can follow
+    };
+}
+
+/**
+ * Keyboard controls while watching a replay
+ */
+function handleReplayKey() {
+    let fiveSeconds = 5000 / PHYSICS_STEP_MS;
+
+    if (key === ' ' || key === 'p' || key === 'P') {
+        // Restart from the beginning if the replay has ended
+        if (replayPlayer.finished) seekReplay(0);
+        replayPlayer.togglePause();
+    } else if (keyCode === LEFT_ARROW) {
+        seekReplay(replayPlayer.step - fiveSeconds);
+    } else if (keyCode === RIGHT_ARROW) {
+        seekReplay(replayPlayer.step + fiveSeconds);
+    } else if (key === '[' || key === '-') {
+        replayPlayer.changeSpeed(-1);
+    } else if (key === ']' || key === '=') {
+        replayPlayer.changeSpeed(1);
+    } else if (key === 'c' || key === 'C') {
+        replayPlayer.freeCamera = !replayPlayer.freeCamera;
+    } else if (key === '0') {
+        replayPlayer.freeCamera = false;
+        replayPlayer.followIndex = -1; // All cars
+    } else if (key >= '1' && key <= '9' && cars[parseInt(key, 10) - 1]) {
+        replayPlayer.freeCamera = false;
+        replayPlayer.followIndex = parseInt(key, 10) - 1;
+    } else if (keyCode === ESCAPE) {
+        returnToMenu();
+    }
+}
+
+/**
+ * Seek by clicking the replay timeline
+ */
+function seekReplayToMouse() {
+    let bar = hud.getReplayBarRect();
+    let t = (mouseX - bar.x) / bar.w;
+    seekReplay(Math.max(0, Math.min(1, t)) * replayPlayer.length);
+}
+
+/**
+ * Whether a mouse event happened on the canvas (not on HTML over it)
+ * @param {Event} event - Mouse event from p5 (may be missing)
+ */
+function isCanvasEvent(event) {
+    return !event || !event.target || event.target.tagName === 'CANVAS';
+}
+
+/**
+ * True while a text field has the keyboard
+ */
+function isTypingInField() {
+    let focus = document.activeElement;
+    return !!focus && (focus.tagName === 'INPUT' || focus.tagName === 'TEXTAREA');
+}
+
+/**
+ * Mouse: click/drag the timeline to scrub, drag elsewhere to pan a free camera.
+ * In the editor the mouse places and moves items.
+ */
+function mousePressed(event) {
+    if (gameState === 'editor') {
+        if (isCanvasEvent(event)) trackEditor.mousePressed(mouseX, mouseY);
+        return;
+    }
+    if (gameState !== 'replay' || !replayPlayer || !hud) return;
+    let bar = hud.getReplayBarRect();
+    replayPlayer.scrubbing = mouseX >= bar.x && mouseX <= bar.x + bar.w &&
+        mouseY >= bar.y - 10 && mouseY <= bar.y + bar.h + 10;
+    if (replayPlayer.scrubbing) seekReplayToMouse();
+}
+
+function mouseDragged() {
+    if (gameState === 'editor') {
+        trackEditor.mouseDragged(mouseX, mouseY);
+        return;
+    }
+    if (gameState !== 'replay' || !replayPlayer) return;
+    if (replayPlayer.scrubbing) {
+        seekReplayToMouse();
+    } else if (replayPlayer.freeCamera && camera) {
+        camera.targetX -= (mouseX - pmouseX) / camera.zoom;
+        camera.targetY -= (mouseY - pmouseY) / camera.zoom;
+    }
+}
+
+function mouseReleased() {
+    if (gameState === 'editor') trackEditor.mouseReleased();
+    if (replayPlayer) replayPlayer.scrubbing = false;
+}
+
+function mouseWheel(event) {
+    if (gameState === 'editor' && isCanvasEvent(event)) {
+        trackEditor.mouseWheel(event.delta);
+        return false;
+    }
+    if (gameState !== 'replay' || !replayPlayer || !replayPlayer.freeCamera || !camera) return;
+    let factor = event.delta > 0 ? 0.9 : 1.1;
+    camera.setZoom(Math.max(0.2, Math.min(2, camera.targetZoom * factor)));
+    return false;
 }
 
 /**
@@ -825,10 +2324,91 @@ function returnToMenu() {
  */
 function showGameOver() {
     gameState = 'gameOver';
-    let player1Score = checkpointCounter[0] || 0;
-    let player2Score = checkpointCounter[1] || 0;
-    document.getElementById('player1-score').textContent = player1Score;
-    document.getElementById('player2-score').textContent = player2Score;
+    recordMatchResults();
+
+    // One line per local player with their checkpoint count
+    let results = document.getElementById('checkpoint-results');
+    results.innerHTML = '';
+    cars.forEach((car, i) => {
+        if (car.ai) return;
+        let row = document.createElement('div');
+        row.className = 'checkpoint-result';
+        let name = document.createElement('strong');
+        name.style.color = getCarColor(i);
+        name.textContent = getCarName(i) + ' (' + PLAYER_COLOR_NAMES[i % PLAYER_COLOR_NAMES.length] + '): ';
+        let score = document.createElement('span');
+        score.className = 'checkpoint-score';
+        score.textContent = checkpointCounter[i] || 0;
+        let unit = document.createElement('span');
+        unit.textContent = ' checkpoints';
+        row.appendChild(name);
+        row.appendChild(score);
+        row.appendChild(unit);
+        results.appendChild(row);
+    });
+
+    document.getElementById('checkpoint-results').style.display = 'block';
+    document.getElementById('race-results').style.display = 'none';
+    renderResultsLeaderboard();
+    document.getElementById('gameover-menu').style.display = 'flex';
+}
+
+/**
+ * Show the podium and finishing order of a lap race
+ */
+function showRaceResults() {
+    gameState = 'gameOver';
+    recordMatchResults();
+    let standings = raceRules.getStandings();
+    let winner = raceRules.getLapInfo(standings[0]);
+
+    // Podium: 2nd, 1st, 3rd from left to right
+    let podium = document.getElementById('podium');
+    podium.innerHTML = '';
+    for (let place of [2, 1, 3]) {
+        let carIndex = standings[place - 1];
+        if (carIndex === undefined) continue;
+        let step = document.createElement('div');
+        step.className = 'podium-step podium-' + place;
+        let name = document.createElement('div');
+        name.className = 'podium-name';
+        name.style.color = getCarColor(carIndex);
+        name.textContent = getCarName(carIndex);
+        let block = document.createElement('div');
+        block.className = 'podium-block';
+        block.textContent = place;
+        step.appendChild(name);
+        step.appendChild(block);
+        podium.appendChild(step);
+    }
+
+    // Full finishing order
+    let table = document.getElementById('race-results-table');
+    table.innerHTML = '';
+    let addRow = (cells, className, color) => {
+        let row = document.createElement('div');
+        row.className = className;
+        for (let value of cells) {
+            let cell = document.createElement('span');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        if (color) row.style.color = color;
+        table.appendChild(row);
+    };
+    addRow(['POS', 'DRIVER', 'TOTAL', 'BEST LAP', 'GAP'], 'race-results-row race-results-header');
+    standings.forEach((carIndex, i) => {
+        let info = raceRules.getLapInfo(carIndex);
+        let total = info.finished ? hud.formatTime(info.finishTime * 1000) : 'DNF';
+        let best = info.bestLap ? hud.formatTime(info.bestLap * 1000) : '--:--.---';
+        let gap = '-';
+        if (i > 0) gap = info.finished ? '+' + (info.finishTime - winner.finishTime).toFixed(3) + 's' : 'LAP ' + (info.lap + 1);
+        addRow([i + 1, getCarName(carIndex), total, best, gap], 'race-results-row', getCarColor(carIndex));
+    });
+
+    document.getElementById('checkpoint-results').style.display = 'none';
+    document.getElementById('race-results').style.display = 'block';
+    renderResultsLeaderboard();
     document.getElementById('gameover-menu').style.display = 'flex';
 }
 
@@ -836,20 +2416,72 @@ function showGameOver() {
  * Handle keyboard input
  */
 function keyPressed() {
+    // The Controls screen is waiting for a key to bind
+    if (handleBindingCapture(keyCode)) return false;
+
+    // Players pick their cars with their own steering keys
+    if (isCarSelectOpen()) {
+        if (handleCarSelectKey(keyCode)) return false;
+        return;
+    }
+
+    // Initials typed on the results screen (or values in the tuning panel) aren't shortcuts
+    if ((gameState === 'gameOver' || isTuningPanelOpen()) && isTypingInField()) return;
+
+    // Session Analysis sits over the menus; ESC closes it
+    if (isTelemetryScreenOpen()) {
+        if (keyCode === ESCAPE) closeTelemetryScreen();
+        return;
+    }
+
+    // Replay has its own playback controls
+    if (gameState === 'replay') {
+        if (replayPlayer) handleReplayKey();
+        return false;
+    }
+
+    // So does the editor (keys it doesn't use still reach text fields)
+    if (gameState === 'editor') {
+        if (trackEditor.keyPressed(keyCode, key)) return false;
+        return;
+    }
+
+    // Keys come from the user's bindings (see bindings.js)
+    let p1 = keyBindings.players[0];
+    let globalKeys = keyBindings.global;
+
+    // Watch the replay from the Game Over screen
+    if (keyCode === globalKeys.watchReplay && gameState === 'gameOver') {
+        watchReplay();
+        return;
+    }
+
+    // Or look at the telemetry
+    if (keyCode === globalKeys.analysis && gameState === 'gameOver') {
+        openSessionAnalysis('gameover-menu');
+        return;
+    }
+
+    // Handling tuning panel
+    if (keyCode === globalKeys.tuning && (gameState === 'playing' || gameState === 'paused')) {
+        toggleTuningPanel();
+        return;
+    }
+
     // Pause / Resume
-    if (key === 'p' || key === 'P') {
+    if (keyCode === globalKeys.pause) {
         if (gameState === 'playing') pauseGame();
         else if (gameState === 'paused') resumeGame();
     }
 
     // Restart/Respawn
-    if (key === 'r' || key === 'R') {
-        if (gameState === 'gameOver') {
-            restartGame();
-        } else if (gameState === 'playing' || gameState === 'paused') {
-            if (gameMode === 'two-player') respawnPlayer(0);
-            else restartGame();
-        }
+    if (keyCode === p1.respawn && gameState === 'gameOver') {
+        restartGame();
+    } else if (gameMode === 'two-player') {
+        // Each local player respawns with their own key
+        forEachLocalPlayerKey('respawn', i => queueCarAction(i, 'respawn'));
+    } else if (keyCode === p1.respawn && (gameState === 'playing' || gameState === 'paused')) {
+        restartGame();
     }
 
     // Return to menu
@@ -860,23 +2492,28 @@ function keyPressed() {
     }
 
     // Toggle particles
-    if (key === 'e' || key === 'E') {
+    if (keyCode === globalKeys.particles) {
         showParticles = !showParticles;
     }
 
-    // Unstuck nudge
-    if (key === 'f' || key === 'F') { // <-- Changed from 'u'
-        if (gameMode === 'two-player') {
-            unstuckNudge(0); // Nudge Player 1
-        } else {
-            unstuckNudge(0); // Nudge the only player
-        }
+    // Unstuck nudge (every local player, or the only player)
+    if (gameMode === 'two-player') {
+        forEachLocalPlayerKey('nudge', i => queueCarAction(i, 'nudge'));
+    } else if (keyCode === p1.nudge) {
+        queueCarAction(0, 'nudge');
     }
+}
 
-    // Right Ctrl for P2 unstuck nudge
-    if (keyCode === 17 && gameState === 'playing' && gameMode === 'two-player') {
-        unstuckNudge(1); // Nudge Player 2
-    }
+/**
+ * Run an action for every local player whose binding matches the pressed key
+ * @param {string} action - Binding to compare with keyCode, e.g. 'respawn'
+ * @param {function} callback - Called with the player's car index
+ */
+function forEachLocalPlayerKey(action, callback) {
+    cars.forEach((car, i) => {
+        let keys = keyBindings.players[i];
+        if (!car.ai && keys && keyCode === keys[action]) callback(i);
+    });
 }
 
 /**
@@ -884,11 +2521,10 @@ function keyPressed() {
  */
 function respawnPlayer(playerIndex) {
     if (!cars[playerIndex] || !track) return;
-    let startPositions = getStartPositions();
-    if (startPositions[playerIndex]) {
-        let car = cars[playerIndex];
-        resetToStart(car.body, playerIndex); // Use Person B's reset function
-    }
+    let car = cars[playerIndex];
+    resetToStart(car.body, playerIndex); // Use Person B's reset function
+    car.repair(); // Respawning gives a fresh car
+    car.state.gear = 'D';
 }
 
 /**
@@ -911,7 +2547,7 @@ function initializePools() {
     for (let i = 0; i < MAX_SKIDMARKS; i++) {
         skidMarkPool.push({
             x1: 0, y1: 0, x2: 0, y2: 0,
-            lifetime: 0, maxLifetime: 360,
+            lifetime: 0, maxLifetime: 6000, // ms
             color: '#ffffff',
             active: false
         });
@@ -922,7 +2558,7 @@ function initializePools() {
         particlePool.push({
             x: 0, y: 0,
             vx: 0, vy: 0,
-            lifetime: 0, maxLifetime: 30,
+            lifetime: 0, maxLifetime: 500, // ms
             color: '#ffffff',
             active: false
         });
@@ -950,8 +2586,8 @@ function borrowSkidMark(x1, y1, x2, y2, color) {
     mark.x2 = x2;
     mark.y2 = y2;
     mark.color = color;
-    mark.lifetime = 360;
-    mark.maxLifetime = 360;
+    mark.lifetime = 6000; // ms
+    mark.maxLifetime = 6000;
     mark.active = true;
 
     nextSkidMarkIndex = (nextSkidMarkIndex + 1) % MAX_SKIDMARKS;
@@ -960,6 +2596,7 @@ function borrowSkidMark(x1, y1, x2, y2, color) {
 /**
  * Borrows a particle from the pool and activates it
  * This function can be called from anywhere (drift, turrets, etc.)
+ * vx/vy are in pixels per physics step, lifetime in milliseconds.
  */
 function borrowParticle(x, y, vx, vy, lifetime, color) {
     let p = particlePool[nextParticleIndex];
@@ -983,7 +2620,8 @@ function borrowParticle(x, y, vx, vy, lifetime, color) {
  * ============================================
  */
 function onDriftStart(carIndex) {
-    if (camera && camera.shake) camera.shake(5, 5);
+    let isAI = cars[carIndex] && cars[carIndex].ai;
+    if (!isAI) shakeCamera(carIndex, 5, 80);
 }
 function onDriftEnd(carIndex, score, combo) {
     if (cars[carIndex] && cars[carIndex].state) {
@@ -997,20 +2635,30 @@ function onDriftEnd(carIndex, score, combo) {
  */
 
 function onLap(carIndex, lapTime) {
+    // AI lap times are kept by race rules (getLapInfo), not the player's HUD
+    if (cars[carIndex] && cars[carIndex].ai) return;
+
     lapInfo.lastTime = lapTime;
     if (!lapInfo.bestTime || lapTime < lapInfo.bestTime) {
         lapInfo.bestTime = lapTime;
     }
     lapInfo.currentLap++;
     lapInfo.currentTime = 0;
-    if (camera && camera.shake) camera.shake(8, 15);
+    if (ghost && carIndex === 0) ghost.finishLap(lapTime);
+    let telemetry = getLiveTelemetry();
+    if (telemetry) telemetry.noteLap(carIndex, lapTime);
+    if (gameState !== 'replay') updateTrackRecord(getTrackLayoutKey(), 'bestLap', lapTime);
+    shakeCamera(carIndex, 8, 250);
 }
 
 function onCheckpoint(carIndex, checkpointIndex) {
+    // AI opponents don't light up or score the player's checkpoints
+    if (cars[carIndex] && cars[carIndex].ai) return;
+
     try {
         // Person B - Bilal: Check if checkpoint is still in the green/active state
         // If checkpointActiveUntil is set, prevent re-collection until it returns to normal state
-        if (checkpointActiveUntil && checkpointActiveUntil[checkpointIndex] && millis() < checkpointActiveUntil[checkpointIndex]) {
+        if (checkpointActiveUntil && checkpointActiveUntil[checkpointIndex] && simTimeMs < checkpointActiveUntil[checkpointIndex]) {
             return; // Checkpoint is still green/active, cannot be collected yet
         }
         
@@ -1019,20 +2667,17 @@ function onCheckpoint(carIndex, checkpointIndex) {
         }
 
         let cooldownKey = `${carIndex}-${checkpointIndex}`;
-        if (checkpointCooldowns[cooldownKey] && checkpointCooldowns[cooldownKey] > millis() - 500) {
+        if (checkpointCooldowns[cooldownKey] && checkpointCooldowns[cooldownKey] > simTimeMs - 500) {
             return; // Already activated recently (additional safety check)
         }
-        checkpointCooldowns[cooldownKey] = millis();
+        checkpointCooldowns[cooldownKey] = simTimeMs;
 
-        if (carIndex === 0 && checkpointActivations.player1) {
-            checkpointActivations.player1[checkpointIndex] = true;
-        }
-        if (carIndex === 1 && checkpointActivations.player2) {
-            checkpointActivations.player2[checkpointIndex] = true;
+        if (checkpointActivations[carIndex]) {
+            checkpointActivations[carIndex][checkpointIndex] = true;
         }
 
         if (checkpointActiveUntil) {
-            checkpointActiveUntil[checkpointIndex] = millis() + 4000;
+            checkpointActiveUntil[checkpointIndex] = simTimeMs + 4000;
         }
 
         if (gameMode === 'two-player' && checkpointCounter) {
@@ -1041,12 +2686,12 @@ function onCheckpoint(carIndex, checkpointIndex) {
 
         if (gameMode === 'single' && carIndex === 0) {
             singlePlayerCheckpointCount++;
-            if (singlePlayerCheckpointCount > bestCheckpointScore) {
+            // A replay shows the count but never changes the saved high score
+            if (singlePlayerCheckpointCount > bestCheckpointScore && gameState !== 'replay') {
                 bestCheckpointScore = singlePlayerCheckpointCount;
-                saveBestCheckpointScore(bestCheckpointScore);
             }
-            if (singlePlayerCheckpointCount > lastSessionDisplayedScore) {
-                lastSessionDisplayedScore = singlePlayerCheckpointCount;
+            if (gameState !== 'replay') {
+                updateTrackRecord(getTrackLayoutKey(), 'bestCheckpoints', singlePlayerCheckpointCount);
             }
         }
 
@@ -1055,14 +2700,15 @@ function onCheckpoint(carIndex, checkpointIndex) {
             checkpointEffects.push({
                 x: width / 2,
                 y: height / 2,
-                timer: 60,
-                maxTimer: 60,
+                timer: 1000, // ms
+                maxTimer: 1000,
                 player: carIndex,
+                car: carIndex,
                 type: 'ring' // Add a type
             });
         }
 
-        if (camera && camera.shake) camera.shake(3, 5);
+        shakeCamera(carIndex, 3, 80);
         showCheckpointNotification(carIndex, checkpointIndex);
 
         // PERFORMANCE: Removed call to blocking showCheckpointAlert()
@@ -1072,14 +2718,78 @@ function onCheckpoint(carIndex, checkpointIndex) {
     }
 }
 
-function onWallHit(carIndex) {
-    if (camera && camera.shake) camera.shake(10, 8);
+function onWallHit(carIndex, impactSpeed) {
+    let isAI = cars[carIndex] && cars[carIndex].ai;
+    if (!isAI) shakeCamera(carIndex, 10, 130);
+    let telemetry = getLiveTelemetry();
+    if (telemetry) telemetry.noteWallHit(carIndex, impactSpeed);
     if (cars[carIndex] && cars[carIndex].state) {
-        cars[carIndex].state.driftCombo = 1;
+        cars[carIndex].takeImpact(impactSpeed || 0);
+
+        // Hitting a wall loses the drift in progress and the combo
+        cars[carIndex].breakDriftCombo();
         cars[carIndex].state.driftScore = Math.max(0, cars[carIndex].state.driftScore - 50);
     }
 }
 
+/**
+ * A turret's spray pushed a car (see updateTurrets_ in track.js)
+ * @param {object} body - The car's physics body
+ * @param {number} turretIndex - Turret doing the pushing
+ * @param {number} force - Size of the force applied this step
+ */
+function onTurretPush(body, turretIndex, force) {
+    let telemetry = getLiveTelemetry();
+    if (telemetry) telemetry.noteTurretPush(cars.findIndex(c => c.body === body), force);
+}
+
+function onCarHit(carIndexA, carIndexB, impactSpeed) {
+    let damage = 0;
+    for (let i of [carIndexA, carIndexB]) {
+        if (cars[i]) damage += cars[i].takeImpact(impactSpeed);
+    }
+    if (damage <= 0) return;
+    for (let i of [carIndexA, carIndexB]) {
+        if (cars[i] && !cars[i].ai) shakeCamera(i, 8, 110);
+    }
+}
+
+function onFinish(carIndex, position, totalTime) {
+    let car = cars[carIndex];
+    if (!car) return;
+    car.startCooldown();
+
+    // The rest of the field gets RACE_FINISH_TIMEOUT_MS to finish
+    if (position === 1) raceEndAtMs = simTimeMs + RACE_FINISH_TIMEOUT_MS;
+
+    if (car.ai) return;
+    let places = ['1ST', '2ND', '3RD'];
+    checkpointEffects.push({
+        message: `FINISHED ${places[position - 1] || position + 'TH'} - ${hud.formatTime(totalTime * 1000)}`,
+        player: carIndex + 1,
+        car: carIndex,
+        timer: 3000, // ms
+        maxTimer: 3000,
+        x: width / 2,
+        y: height / 3 + 50,
+        type: 'notification'
+    });
+    shakeCamera(carIndex, 8, 250);
+}
+
+function onPad(carIndex, type, entered) {
+    let car = cars[carIndex];
+    if (!car) return;
+    if (!entered) {
+        car.exitSurface(type);
+        return;
+    }
+    car.enterSurface(type);
+    if (car.ai) return;
+    if (type === 'boost') shakeCamera(carIndex, 6, 120);
+    if (type === 'oil') shakeCamera(carIndex, 4, 200);
+}
+
 /* ============================================
  * HELPER FUNCTIONS (CLEANUP)
  * ============================================
@@ -1128,18 +2838,19 @@ function unstuckNudge(playerIndex) {
     });
     Matter.Body.translate(car.body, { x: ox * 2, y: oy * 2 });
 
-    if (camera && camera.shake) camera.shake(2, 3);
+    shakeCamera(playerIndex, 2, 50);
 }
 
 /*
  * Update checkpoint activation visual effects
+ * @param {number} dtMs - Elapsed simulated time in milliseconds
  */
-function updateCheckpointEffects() {
+function updateCheckpointEffects(dtMs) {
     if (checkpointEffects.length === 0) return;
 
     // Filter out effects that are done
     checkpointEffects = checkpointEffects.filter(effect => {
-        effect.timer--;
+        effect.timer -= dtMs;
         return effect.timer > 0;
     });
 }
@@ -1153,6 +2864,15 @@ function drawCheckpointEffects() {
         let effect = checkpointEffects[i];
         let alpha = effect.timer / effect.maxTimer;
 
+        // Split-screen: show the effect in its player's view
+        let ex = effect.x;
+        let ey = effect.y;
+        let vp = getCarViewport(effect.car);
+        if (vp) {
+            ex = vp.x + effect.x * vp.w / width;
+            ey = vp.y + effect.y * vp.h / height;
+        }
+
         if (effect.type === 'notification') {
             // Draw notification text
             textAlign(CENTER, CENTER);
@@ -1162,11 +2882,11 @@ function drawCheckpointEffects() {
             fill(0, 0, 0, alpha * 150);
             noStroke();
             rectMode(CENTER);
-            rect(effect.x, effect.y, 300, 40, 10);
+            rect(ex, ey, 300, 40, 10);
 
             // Text
             fill(0, 255, 0, alpha * 255);
-            text(effect.message, effect.x, effect.y);
+            text(effect.message, ex, ey);
 
         } else if (effect.type === 'ring') {
             // Draw expanding ring
@@ -1176,7 +2896,7 @@ function drawCheckpointEffects() {
             noFill();
 
             push();
-            translate(effect.x, effect.y);
+            translate(ex, ey);
             scale(scaleValue);
             circle(0, 0, 70);
             pop();
@@ -1187,7 +2907,7 @@ function drawCheckpointEffects() {
                 textSize(16);
                 fill(0, 255, 0, alpha * 255);
                 noStroke();
-                text('CHECKPOINT!', effect.x, effect.y - 50);
+                text('CHECKPOINT!', ex, ey - 50);
             }
         }
     }
@@ -1201,8 +2921,9 @@ function showCheckpointNotification(carIndex) {
     checkpointEffects.push({
         message: `CHECKPOINT ACTIVATED!`,
         player: carIndex + 1,
-        timer: 120, // 2 seconds
-        maxTimer: 120,
+        car: carIndex,
+        timer: 2000, // ms
+        maxTimer: 2000,
         x: width / 2,
         y: height / 3,
         type: 'notification'
@@ -1214,6 +2935,10 @@ function showCheckpointNotification(carIndex) {
  */
 function drawCheckpointStatus() {
     if (!checkpointActivations) return;
+    if (isSplitScreen()) {
+        drawSplitCheckpointStatus();
+        return;
+    }
 
     push();
     let x = width - 200;
@@ -1229,8 +2954,8 @@ function drawCheckpointStatus() {
     fill(255);
     let yOffset = y + 40;
     if (gameMode === 'single') {
-        if (checkpointActivations.player1) {
-            activatedCount = checkpointActivations.player1.filter(Boolean).length;
+        if (checkpointActivations[0]) {
+            activatedCount = checkpointActivations[0].filter(Boolean).length;
         }
         textSize(18);
         fill(155);
@@ -1252,8 +2977,8 @@ function drawCheckpointStatus() {
     }
     /*
     for (let i = 0; i < cpCount; i++) {
-        let p1Active = checkpointActivations.player1 && checkpointActivations.player1[i];
-        let p2Active = checkpointActivations.player2 && checkpointActivations.player2[i];
+        let p1Active = checkpointActivations[0] && checkpointActivations[0][i];
+        let p2Active = checkpointActivations[1] && checkpointActivations[1][i];
         let isActivated = p1Active || p2Active;
         let c = isActivated ? (p1Active ? NEON_COLORS.cyan : NEON_COLORS.magenta) : '#666';
         if (p1Active && p2Active) c = NEON_COLORS.green;
@@ -1262,28 +2987,88 @@ function drawCheckpointStatus() {
         text(`CP${i + 1}: ${isActivated ? '✓' : '○'}`, x, y + 20 + (i * 15));
     }
     */
-    let ctrlYOffset = (gameMode === 'single') ? height - 150 : height - 180;
+    // Legend shows the user's current bindings (see bindings.js)
+    let p1Keys = keyBindings.players[0];
+    let p2Keys = keyBindings.players[1];
+    let driveKeys = keys => [keys.up, keys.left, keys.down, keys.right].map(getKeyName).join('/');
+
+    let ctrlYOffset = (gameMode === 'single') ? height - 188 : height - 216;
     let ctrlX = 30;
     fill(NEON_COLORS.cyan);
     textSize(18);
     text("Controls:", ctrlX - 3, ctrlYOffset);
     fill(155);
-    text("E - Toggle Effects", ctrlX, ctrlYOffset += 20);
+    if (gameMode === 'single') {
+        text(`${driveKeys(p1Keys)} - Drive`, ctrlX, ctrlYOffset += 20);
+        text(`${getKeyName(p1Keys.handbrake)} - Handbrake`, ctrlX, ctrlYOffset += 18);
+    } else {
+        text(`${driveKeys(p1Keys)} + ${getKeyName(p1Keys.handbrake)} - Drive P1`, ctrlX, ctrlYOffset += 20);
+        text(`${driveKeys(p2Keys)} + ${getKeyName(p2Keys.handbrake)} - Drive P2`, ctrlX, ctrlYOffset += 18);
+    }
+    text(`${getKeyName(keyBindings.global.particles)} - Toggle Effects`, ctrlX, ctrlYOffset += 20);
     text("ESC - Pause", ctrlX, ctrlYOffset += 20);
 
     if (gameMode === 'single') {
-        text("F - Unstuck Nudge", ctrlX, ctrlYOffset += 18);
+        text(`${getKeyName(p1Keys.nudge)} - Unstuck Nudge`, ctrlX, ctrlYOffset += 18);
         fill(155);
         text(`Checkpoints: ${singlePlayerCheckpointCount}`, x, yOffset += 36);
-        if (lastSessionDisplayedScore > 0) {
-            fill(NEON_COLORS.cyan); // Kept this style to differentiate "Last Score"
-            text(`Last Score: ${lastSessionDisplayedScore}`, x, yOffset += 18);
+        if (bestCheckpointScore > 0) {
+            fill(NEON_COLORS.cyan); // Kept this style to differentiate "Track Best"
+            text(`Track Best: ${bestCheckpointScore}`, x, yOffset += 18);
         }
+        drawOpponentStatus(x, yOffset + 30);
     } else {
-        text("F - Unstuck Nudge P1", ctrlX, ctrlYOffset += 18);
-        text("Ctrl - Unstuck Nudge P2", ctrlX, ctrlYOffset += 18);
+        text(`${getKeyName(p1Keys.nudge)} - Unstuck Nudge P1`, ctrlX, ctrlYOffset += 18);
+        text(`${getKeyName(p2Keys.nudge)} - Unstuck Nudge P2`, ctrlX, ctrlYOffset += 18);
+    }
+
+    pop();
+}
+
+/**
+ * Split-screen: each player's checkpoint count in the bottom right of their view
+ * (there is no room for the controls legend; see the Controls screen)
+ */
+function drawSplitCheckpointStatus() {
+    push();
+    textAlign(RIGHT, BOTTOM);
+    noStroke();
+    for (let view of views) {
+        if (view.carIndex < 0) continue;
+        let vp = view.camera.getViewport();
+        let x = vp.x + vp.w - hud.padding;
+        let y = vp.y + vp.h - hud.padding;
+        textSize(36);
+        fill(getCarColor(view.carIndex));
+        text(`${checkpointCounter[view.carIndex] || 0}`, x, y);
+        textSize(18);
+        fill(155);
+        text('CHECKPOINTS', x, y - 40);
     }
+    pop();
+}
+
+/**
+ * List AI opponents with their lap count and best lap
+ * @param {number} x - Left edge
+ * @param {number} y - Top of the list
+ */
+function drawOpponentStatus(x, y) {
+    if (!raceRules || !cars.some(c => c.ai)) return;
 
+    push();
+    textAlign(LEFT, TOP);
+    textSize(14);
+    fill(155);
+    text('OPPONENTS (' + AI_DIFFICULTY[matchSettings.aiDifficulty].label.toUpperCase() + ')', x, y);
+    for (let i = 0; i < cars.length; i++) {
+        if (!cars[i].ai) continue;
+        let info = raceRules.getLapInfo(i);
+        let best = info.bestLap ? hud.formatTime(info.bestLap * 1000) : '--:--.---';
+        let lap = info.finished ? 'FINISHED' : `LAP ${info.lap + 1}`;
+        fill(getCarColor(i));
+        text(`${info.raceLaps ? 'P' + info.position + '  ' : ''}${lap}  BEST ${best}`, x, y += 18);
+    }
     pop();
 }
 
@@ -1293,9 +3078,9 @@ function drawCheckpointStatus() {
 function manageMusic() {
     let targetMusic = null;
 
-    if (gameState === 'menu') targetMusic = menuMusic;
+    if (gameState === 'menu' || gameState === 'editor') targetMusic = menuMusic;
     else if (gameState === 'paused') targetMusic = pauseMusic;
-    else if (gameState === 'playing') {
+    else if (gameState === 'playing' || gameState === 'replay') {
         if (gameMode === 'single') targetMusic = singlePlayerMusic;
         else if (gameMode === 'two-player') targetMusic = twoPlayerMusic;
     }
@@ -1313,27 +3098,49 @@ function manageMusic() {
 }
 
 /* ============================================
- * SINGLE-PLAYER CHECKPOINT TRACKING SYSTEM
+ * LEADERBOARD RESULTS
  * ============================================
  */
 
-function loadBestCheckpointScore() {
-    try {
-        let stored = localStorage.getItem('bestCheckpointScore');
-        if (stored !== null) {
-            let loadedScore = parseInt(stored, 10) || 0;
-            bestCheckpointScore = loadedScore;
-            lastSessionDisplayedScore = loadedScore;
-        }
-    } catch (error) {
-        console.warn('Could not load bestCheckpointScore from localStorage:', error);
-    }
+/**
+ * Put the local players' results from this match on the track's leaderboards
+ * (leaderboards.js). Runs once per match: when it ends, or when it is left
+ * early for a restart, a replay or the menu. Only a finished match has a winner.
+ */
+function recordMatchResults() {
+    if (matchResultsRecorded || !raceRules || !['playing', 'paused', 'gameOver'].includes(gameState)) return;
+    matchResultsRecorded = true;
+
+    let players = [];
+    cars.forEach((car, i) => {
+        if (!car.ai) players.push(i);
+    });
+    let winner = gameState === 'gameOver' && players.length >= 2 ? getMatchWinner(players) : -1;
+    let results = players.map(i => ({
+        playerIndex: i,
+        car: getCarChoiceLabel(matchSettings.carChoices[i]),
+        bestLap: raceRules.getLapInfo(i).bestLap,
+        checkpoints: gameMode === 'single' ? singlePlayerCheckpointCount : checkpointCounter[i],
+        driftTime: (cars[i].state.totalDriftTime || 0) / 1000,
+        won: i === winner
+    }));
+    let mode = matchSettings.raceLaps > 0 ? 'race' : gameMode === 'single' ? 'single' : 'multiplayer';
+    submitLeaderboardResults(getTrackLayoutKey(), getLeaderboardTrackName(), mode, results);
 }
 
-function saveBestCheckpointScore(score) {
-    try {
-        localStorage.setItem('bestCheckpointScore', score.toString());
-    } catch (error) {
-        console.warn('Could not save bestCheckpointScore to localStorage:', error);
+/**
+ * Local player who won a finished match: the race winner, or the one with
+ * the most checkpoints when time ran out
+ * @param {Array} players - Car indices of the local players
+ * @returns {number} Car index, or -1 for a draw (or an AI win)
+ */
+function getMatchWinner(players) {
+    if (matchSettings.raceLaps > 0) {
+        let first = raceRules.getStandings()[0];
+        return players.includes(first) && raceRules.getLapInfo(first).finished ? first : -1;
     }
+    let counts = players.map(i => checkpointCounter[i] || 0);
+    let best = Math.max(...counts);
+    if (best === 0 || counts.filter(c => c === best).length > 1) return -1;
+    return players[counts.indexOf(best)];
 }
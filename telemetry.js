@@ -0,0 +1,547 @@
+/**
+ * Telemetry for Neon Drift Racing
+ * Records what each local player's car does every physics step, and draws
+ * the Session Analysis screen (graphs, speed heatmaps, lap comparison)
+ *
+ * A session is plain data, so it exports as-is to JSON:
+ *   { version, date, track, layoutKey, mode, stepMs, arena, fields, truncated,
+ *     cars: [{ index, name, color, physics, params, changes, samples, laps }] }
+ * physics is the car's PHYSICS_MODELS key, params its handling values
+ * (Car.getHandling()) when the session started and changes lists the tuning panel's edits as {t, values}. Each sample is
+ * an array of numbers in TELEMETRY_FIELDS order, and each lap is
+ * {lap, start, end, time}: samples start..end-1 and the lap time in seconds.
+ */
+
+// One sample per car per physics step. speed is in px per step (the HUD shows
+// it x3.6 as km/h), slip is the signed angle (rad) between heading and travel,
+// wallHit the impact speed of a wall hit this step and turretPush the force
+// turrets applied this step.
+const TELEMETRY_FIELDS = ['t', 'x', 'y', 'distance', 'speed', 'slip', 'throttle', 'brake', 'steer',
+    'handbrake', 'drifting', 'wallHit', 'turretPush'];
+const TELEMETRY_COLUMN = {};
+TELEMETRY_FIELDS.forEach((field, i) => { TELEMETRY_COLUMN[field] = i; });
+
+// Longest session kept, in physics steps per car (10 minutes at 60 steps/s)
+const TELEMETRY_MAX_STEPS = 36000;
+
+// Colors of the two laps being compared
+const TELEMETRY_LAP_COLORS = ['#00ffff', '#ff00ff'];
+
+class TelemetryRecorder {
+    /**
+     * @param {object} info - {track, layoutKey, mode, stepMs, arena, cars}, where
+     *   cars lists the cars to record as {index, name, color, car}
+     */
+    constructor(info) {
+        this.session = {
+            version: 1,
+            date: new Date().toISOString(),
+            track: info.track,
+            layoutKey: info.layoutKey,
+            mode: info.mode,
+            stepMs: info.stepMs,
+            arena: info.arena,          // getArenaData(), for the heatmaps
+            fields: TELEMETRY_FIELDS.slice(),
+            truncated: false,           // Hit TELEMETRY_MAX_STEPS and stopped
+            cars: info.cars.map(c => ({
+                index: c.index,
+                name: c.name,
+                color: c.color,
+                physics: c.car.physicsModel,
+                params: c.car.getHandling(),
+                changes: [],
+                samples: [],
+                laps: []
+            }))
+        };
+        // Live cars and what happened to each since its last sample
+        this.cars = info.cars.map(c => c.car);
+        this.pending = info.cars.map(() => ({ wallHit: 0, turretPush: 0, lapTime: null }));
+        this.distance = info.cars.map(() => 0);
+    }
+
+    /**
+     * Find a recorded car by its index in the race
+     * @returns {number} Position in session.cars, or -1 if it isn't recorded
+     */
+    slot(carIndex) {
+        return this.session.cars.findIndex(c => c.index === carIndex);
+    }
+
+    noteWallHit(carIndex, impactSpeed) {
+        let i = this.slot(carIndex);
+        if (i >= 0) this.pending[i].wallHit = Math.max(this.pending[i].wallHit, impactSpeed || 0);
+    }
+
+    noteTurretPush(carIndex, force) {
+        let i = this.slot(carIndex);
+        if (i >= 0) this.pending[i].turretPush += force;
+    }
+
+    /**
+     * Handling was changed from the tuning panel
+     * @param {object} values - The changed values only
+     * @param {number} timeMs - Simulated time of the change
+     */
+    noteHandling(carIndex, values, timeMs) {
+        let i = this.slot(carIndex);
+        if (i >= 0) this.session.cars[i].changes.push({ t: Math.round(timeMs), values: Object.assign({}, values) });
+    }
+
+    /**
+     * A lap was completed; it ends with the next sample
+     * @param {number} lapTime - Lap time in seconds
+     */
+    noteLap(carIndex, lapTime) {
+        let i = this.slot(carIndex);
+        if (i >= 0) this.pending[i].lapTime = lapTime;
+    }
+
+    /**
+     * Sample every recorded car after a physics step
+     * @param {array} inputs - One input object per car, as used this step
+     * @param {number} timeMs - Simulated time of the step
+     */
+    recordStep(inputs, timeMs) {
+        if (this.session.truncated) return;
+        this.session.cars.forEach((entry, i) => {
+            let car = this.cars[i];
+            if (!car || !car.body) return;
+            if (entry.samples.length >= TELEMETRY_MAX_STEPS) {
+                this.session.truncated = true;
+                return;
+            }
+
+            // A respawn or nudge teleports the car; that jump isn't driven distance
+            let pos = car.position;
+            let last = entry.samples[entry.samples.length - 1];
+            if (last) {
+                let step = Math.hypot(pos.x - last[TELEMETRY_COLUMN.x], pos.y - last[TELEMETRY_COLUMN.y]);
+                if (step <= car.maxSpeed * 1.5) this.distance[i] += step;
+            }
+
+            let v = car.velocity;
+            let speed = Math.hypot(v.x, v.y);
+            let slip = speed > 0.5 ? wrapPi(Math.atan2(v.y, v.x) - car.angle) : 0;
+            let input = inputs[entry.index] || NEUTRAL_INPUT;
+            let pending = this.pending[i];
+            entry.samples.push([
+                Math.round(timeMs),
+                roundTelemetry_(pos.x, 1), roundTelemetry_(pos.y, 1), roundTelemetry_(this.distance[i], 1),
+                roundTelemetry_(speed, 3), roundTelemetry_(slip, 4),
+                roundTelemetry_(input.throttle, 3), roundTelemetry_(input.brake, 3), roundTelemetry_(input.steer, 3),
+                input.handbrake ? 1 : 0,
+                car.state.drifting ? 1 : 0,
+                roundTelemetry_(pending.wallHit, 2), roundTelemetry_(pending.turretPush, 4)
+            ]);
+
+            if (pending.lapTime !== null) {
+                let start = entry.laps.length > 0 ? entry.laps[entry.laps.length - 1].end : 0;
+                entry.laps.push({ lap: entry.laps.length + 1, start: start, end: entry.samples.length, time: pending.lapTime });
+            }
+            this.pending[i] = { wallHit: 0, turretPush: 0, lapTime: null };
+        });
+    }
+
+    /**
+     * @returns {object} The session recorded so far
+     */
+    getSession() {
+        return this.session;
+    }
+}
+
+function roundTelemetry_(value, digits) {
+    let f = Math.pow(10, digits);
+    return Math.round((value || 0) * f) / f;
+}
+
+/* ============================================
+ * ANALYSIS
+ * ============================================
+ */
+
+/**
+ * Every lap in a session that can be picked for comparison, plus each car's
+ * whole session
+ * @returns {Array} [{id, label, car, start, end, time}], car being a session.cars entry
+ */
+function getTelemetrySegments(session) {
+    let segments = [];
+    session.cars.forEach((car, c) => {
+        if (car.samples.length < 2) return;
+        for (let lap of car.laps) {
+            if (lap.end - lap.start < 2) continue;
+            segments.push({
+                id: c + ':' + lap.lap,
+                label: car.name + ' · Lap ' + lap.lap + ' · ' + hud.formatTime(lap.time * 1000),
+                car: car, start: lap.start, end: lap.end, time: lap.time
+            });
+        }
+        let duration = (car.samples[car.samples.length - 1][TELEMETRY_COLUMN.t] - car.samples[0][TELEMETRY_COLUMN.t]) / 1000;
+        segments.push({
+            id: c + ':all',
+            label: car.name + ' · Whole session · ' + hud.formatTime(duration * 1000),
+            car: car, start: 0, end: car.samples.length, time: duration
+        });
+    });
+    return segments;
+}
+
+/**
+ * Figures for one segment
+ * @returns {object} {time, distance, topSpeed, avgSpeed, driftShare, maxSlip,
+ *   throttleShare, brakeShare, wallHits, turretPushes} (speeds in px per step)
+ */
+function getTelemetryStats(segment) {
+    let samples = segment.car.samples.slice(segment.start, segment.end);
+    let col = TELEMETRY_COLUMN;
+    let stats = { time: segment.time, distance: 0, topSpeed: 0, avgSpeed: 0, driftShare: 0, maxSlip: 0,
+        throttleShare: 0, brakeShare: 0, wallHits: 0, turretPushes: 0 };
+    let pushing = false;
+    for (let s of samples) {
+        stats.topSpeed = Math.max(stats.topSpeed, s[col.speed]);
+        stats.avgSpeed += s[col.speed] / samples.length;
+        stats.driftShare += s[col.drifting] / samples.length;
+        stats.maxSlip = Math.max(stats.maxSlip, Math.abs(s[col.slip]));
+        if (s[col.throttle] >= 0.99) stats.throttleShare += 1 / samples.length;
+        if (s[col.brake] > 0) stats.brakeShare += 1 / samples.length;
+        if (s[col.wallHit] > 0) stats.wallHits++;
+        // A spray pushes for many steps in a row; count each spray once
+        if (s[col.turretPush] > 0 && !pushing) stats.turretPushes++;
+        pushing = s[col.turretPush] > 0;
+    }
+    stats.distance = samples[samples.length - 1][col.distance] - samples[0][col.distance];
+    return stats;
+}
+
+/**
+ * Plot one field of each segment against distance from the segment's start
+ * @param {HTMLCanvasElement} canvas - Graph canvas
+ * @param {Array} segments - From getTelemetrySegments(), drawn in TELEMETRY_LAP_COLORS
+ * @param {object} options - {field, min, max, scale, unit}; min/max are in
+ *   displayed units (value x scale) and grow to fit the data
+ */
+function drawTelemetryGraph(canvas, segments, options) {
+    let ctx = canvas.getContext('2d');
+    let w = canvas.width;
+    let h = canvas.height;
+    let pad = { left: 48, right: 10, top: 10, bottom: 20 };
+    let col = TELEMETRY_COLUMN;
+    let scale = options.scale || 1;
+
+    let min = options.min;
+    let max = options.max;
+    let length = 1;
+    for (let seg of segments) {
+        let samples = seg.car.samples;
+        length = Math.max(length, samples[seg.end - 1][col.distance] - samples[seg.start][col.distance]);
+        for (let i = seg.start; i < seg.end; i++) {
+            let value = samples[i][col[options.field]] * scale;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    }
+    let x = d => pad.left + d / length * (w - pad.left - pad.right);
+    let y = v => h - pad.bottom - (v - min) / (max - min || 1) * (h - pad.top - pad.bottom);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(0, 255, 255, 0.04)';
+    ctx.fillRect(pad.left, pad.top, w - pad.left - pad.right, h - pad.top - pad.bottom);
+
+    // Axes: min / zero / max on the left, distance along the bottom
+    ctx.font = '11px Courier New';
+    ctx.fillStyle = '#999999';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    let ticks = [min, max];
+    if (min < 0 && max > 0) ticks.push(0);
+    for (let v of ticks) {
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y(v));
+        ctx.lineTo(w - pad.right, y(v));
+        ctx.stroke();
+        ctx.fillText(v.toFixed(Math.abs(max - min) < 10 ? 1 : 0) + (options.unit || ''), pad.left - 4, y(v));
+    }
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('0', pad.left, h);
+    ctx.textAlign = 'right';
+    ctx.fillText(Math.round(length) + ' px', w - pad.right, h);
+
+    segments.forEach((seg, s) => {
+        let samples = seg.car.samples;
+        let start = samples[seg.start][col.distance];
+        ctx.strokeStyle = TELEMETRY_LAP_COLORS[s];
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = seg.start; i < seg.end; i++) {
+            let px = x(samples[i][col.distance] - start);
+            let py = y(samples[i][col[options.field]] * scale);
+            if (i === seg.start) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+    });
+}
+
+/**
+ * Draw a segment's path over the arena, colored from blue (slow) to red (fast),
+ * with wall hits (white) and turret pushes (light blue) marked
+ * @param {HTMLCanvasElement} canvas - Heatmap canvas
+ * @param {object} arena - Session arena (getArenaData())
+ * @param {object} segment - From getTelemetrySegments(), or null for just the arena
+ * @param {number} topSpeed - Speed drawn fully red
+ */
+function drawTelemetryHeatmap(canvas, arena, segment, topSpeed) {
+    let view = drawTrackThumbnail(canvas, arena);
+    if (!segment) return;
+    let ctx = canvas.getContext('2d');
+    let col = TELEMETRY_COLUMN;
+    let samples = segment.car.samples;
+
+    ctx.save();
+    ctx.translate(view.x, view.y);
+    ctx.scale(view.scale, view.scale);
+    ctx.lineWidth = 3 / view.scale;
+    ctx.lineCap = 'round';
+    for (let i = segment.start + 1; i < segment.end; i++) {
+        let a = samples[i - 1];
+        let b = samples[i];
+        // Skip teleports (respawn, nudge)
+        if (b[col.distance] === a[col.distance] && (a[col.x] !== b[col.x] || a[col.y] !== b[col.y])) continue;
+        let t = Math.min(1, b[col.speed] / (topSpeed || 1));
+        ctx.strokeStyle = 'hsl(' + Math.round(240 * (1 - t)) + ', 100%, 55%)';
+        ctx.beginPath();
+        ctx.moveTo(a[col.x], a[col.y]);
+        ctx.lineTo(b[col.x], b[col.y]);
+        ctx.stroke();
+    }
+    for (let i = segment.start; i < segment.end; i++) {
+        let s = samples[i];
+        if (s[col.wallHit] > 0) ctx.fillStyle = '#ffffff';
+        else if (s[col.turretPush] > 0 && !(i > segment.start && samples[i - 1][col.turretPush] > 0)) ctx.fillStyle = '#add8e6';
+        else continue;
+        ctx.beginPath();
+        ctx.arc(s[col.x], s[col.y], 5 / view.scale, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+}
+
+/* ============================================
+ * EXPORT
+ * ============================================
+ */
+
+/**
+ * A session as CSV, one row per sample with the car and lap it belongs to
+ * (lap is empty after the last completed lap)
+ */
+function telemetryToCSV(session) {
+    let rows = [['car', 'lap'].concat(TELEMETRY_FIELDS).join(',')];
+    for (let car of session.cars) {
+        let name = '"' + String(car.name).replace(/"/g, '""') + '"';
+        car.samples.forEach((sample, i) => {
+            let lap = car.laps.find(l => i >= l.start && i < l.end);
+            rows.push([name, lap ? lap.lap : ''].concat(sample).join(','));
+        });
+    }
+    return rows.join('\n') + '\n';
+}
+
+/**
+ * Save text as a file
+ * @returns {boolean} False if the browser refused
+ */
+function downloadTelemetryFile(text, fileName, type) {
+    try {
+        let url = URL.createObjectURL(new Blob([text], { type: type }));
+        let link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+        return true;
+    } catch (error) {
+        console.warn('Could not download telemetry:', error);
+        return false;
+    }
+}
+
+/* ============================================
+ * SESSION ANALYSIS SCREEN
+ * ============================================
+ */
+
+// Session shown on the screen and the overlay to go back to when it closes
+let telemetryScreen = { session: null, returnTo: null, segments: [] };
+
+/**
+ * Show the analysis of a session
+ * @param {object} session - TelemetryRecorder.getSession()
+ * @param {string} returnTo - Id of the overlay hidden while the screen is open
+ */
+function openTelemetryScreen(session, returnTo) {
+    if (!session) return;
+    telemetryScreen = { session: session, returnTo: returnTo, segments: getTelemetrySegments(session) };
+    if (returnTo) document.getElementById(returnTo).style.display = 'none';
+    document.getElementById('telemetry-overlay').style.display = 'flex';
+    setTelemetryMessage(telemetryScreen.segments.length === 0 ? 'Nothing recorded yet - drive a little first' : '');
+
+    let summary = [session.track, session.date.slice(0, 10)];
+    for (let car of session.cars) {
+        let p = car.params;
+        let handling = car.physics === 'tire' ?
+            'tire grip ' + p.tireGrip + ', rear ' + p.rearGrip + ', steer ' + p.steerLock :
+            'turn ' + p.turnSpeed + ', drift ' + p.driftFactor;
+        summary.push(car.name + ': ' + PHYSICS_MODELS[car.physics] + ', accel ' + p.acceleration +
+            ', ' + handling + ', max ' + p.maxSpeed +
+            (car.changes && car.changes.length > 0 ? ' (' + car.changes.length + ' live changes)' : ''));
+    }
+    if (session.truncated) summary.push('Recording stopped after ' + Math.round(TELEMETRY_MAX_STEPS * session.stepMs / 60000) + ' minutes');
+    document.getElementById('telemetry-summary').textContent = summary.join('  ·  ');
+
+    // A: the best lap (or the first car's whole session); B: the next best lap
+    let laps = telemetryScreen.segments.filter(s => !s.id.endsWith(':all')).sort((a, b) => a.time - b.time);
+    fillTelemetrySelect('telemetry-lap-a', laps[0] || telemetryScreen.segments[0], false);
+    fillTelemetrySelect('telemetry-lap-b', laps[1] || null, true);
+    renderTelemetryScreen();
+}
+
+function fillTelemetrySelect(id, selected, allowNone) {
+    let select = document.getElementById(id);
+    select.innerHTML = '';
+    let options = (allowNone ? [{ id: '', label: 'None' }] : []).concat(telemetryScreen.segments);
+    for (let seg of options) {
+        let option = document.createElement('option');
+        option.value = seg.id;
+        option.textContent = seg.label;
+        select.appendChild(option);
+    }
+    select.value = selected ? selected.id : '';
+}
+
+/**
+ * Redraw the stats, graphs and heatmaps for the picked laps
+ */
+function renderTelemetryScreen() {
+    let session = telemetryScreen.session;
+    let find = id => telemetryScreen.segments.find(s => s.id === id) || null;
+    let picked = [find(document.getElementById('telemetry-lap-a').value),
+        find(document.getElementById('telemetry-lap-b').value)];
+    let segments = picked.filter(s => s);
+
+    renderTelemetryStats(picked);
+
+    drawTelemetryGraph(document.getElementById('telemetry-speed'), segments,
+        { field: 'speed', scale: 3.6, min: 0, max: 0, unit: '' });
+    drawTelemetryGraph(document.getElementById('telemetry-slip'), segments,
+        { field: 'slip', scale: 180 / Math.PI, min: -10, max: 10, unit: '°' });
+    drawTelemetryGraph(document.getElementById('telemetry-steer'), segments,
+        { field: 'steer', min: -1, max: 1 });
+    drawTelemetryGraph(document.getElementById('telemetry-throttle'), segments,
+        { field: 'throttle', min: 0, max: 1 });
+
+    // Both heatmaps share one speed scale so their colors compare
+    let topSpeed = Math.max(...segments.map(s => getTelemetryStats(s).topSpeed), 1);
+    picked.forEach((seg, i) => {
+        drawTelemetryHeatmap(document.getElementById(i === 0 ? 'telemetry-heatmap-a' : 'telemetry-heatmap-b'),
+            session.arena, seg, topSpeed);
+    });
+}
+
+/**
+ * The side-by-side table of figures for laps A and B
+ */
+function renderTelemetryStats(picked) {
+    let table = document.getElementById('telemetry-stats');
+    table.innerHTML = '';
+    let stats = picked.map(seg => seg ? getTelemetryStats(seg) : null);
+    let percent = v => Math.round(v * 100) + '%';
+    let rows = [
+        ['Time', 'time', v => hud.formatTime(v * 1000), v => v.toFixed(3) + 's'],
+        ['Distance', 'distance', v => Math.round(v) + ' px'],
+        ['Top speed', 'topSpeed', v => Math.round(v * 3.6) + ' km/h'],
+        ['Average speed', 'avgSpeed', v => Math.round(v * 3.6) + ' km/h'],
+        ['Drifting', 'driftShare', percent],
+        ['Max slip angle', 'maxSlip', v => Math.round(v * 180 / Math.PI) + '°'],
+        ['Full throttle', 'throttleShare', percent],
+        ['Braking', 'brakeShare', percent],
+        ['Wall hits', 'wallHits', v => String(v)],
+        ['Turret pushes', 'turretPushes', v => String(v)]
+    ];
+
+    let addRow = (cells, header) => {
+        let row = document.createElement('div');
+        row.className = 'telemetry-stats-row' + (header ? ' telemetry-stats-header' : '');
+        cells.forEach((value, i) => {
+            let cell = document.createElement('span');
+            cell.textContent = value;
+            if (i === 1 || i === 2) cell.style.color = TELEMETRY_LAP_COLORS[i - 1];
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    };
+    addRow(['', 'A', 'B', 'B − A'], true);
+    for (let [label, key, format, formatDiff] of rows) {
+        let a = stats[0] ? stats[0][key] : null;
+        let b = stats[1] ? stats[1][key] : null;
+        let diff = '';
+        if (a !== null && b !== null) {
+            let show = formatDiff || format;
+            diff = show(Math.abs(b - a));
+            // No sign on a difference too small to show
+            if (diff !== show(0)) diff = (b > a ? '+' : '−') + diff;
+        }
+        addRow([label, a !== null ? format(a) : '-', b !== null ? format(b) : '-', diff]);
+    }
+}
+
+function setTelemetryMessage(message, isError) {
+    let el = document.getElementById('telemetry-message');
+    if (!el) return;
+    el.textContent = message || '';
+    el.className = isError ? 'controls-message error' : 'controls-message';
+}
+
+/**
+ * File name for an export: track and date
+ */
+function getTelemetryFileName(session, extension) {
+    let name = String(session.track || 'session').replace(/[^a-z0-9_-]+/gi, '-').toLowerCase();
+    return 'telemetry-' + name + '-' + session.date.slice(0, 19).replace(/[:T]/g, '-') + '.' + extension;
+}
+
+function exportTelemetryJSON() {
+    let session = telemetryScreen.session;
+    if (!downloadTelemetryFile(JSON.stringify(session), getTelemetryFileName(session, 'json'), 'application/json')) {
+        setTelemetryMessage('Download failed', true);
+    }
+}
+
+function exportTelemetryCSV() {
+    let session = telemetryScreen.session;
+    if (!downloadTelemetryFile(telemetryToCSV(session), getTelemetryFileName(session, 'csv'), 'text/csv')) {
+        setTelemetryMessage('Download failed', true);
+    }
+}
+
+function isTelemetryScreenOpen() {
+    return document.getElementById('telemetry-overlay').style.display === 'flex';
+}
+
+function closeTelemetryScreen() {
+    document.getElementById('telemetry-overlay').style.display = 'none';
+    if (telemetryScreen.returnTo) document.getElementById(telemetryScreen.returnTo).style.display = 'flex';
+}
+
+function bindTelemetryScreen() {
+    document.getElementById('telemetry-lap-a').addEventListener('change', renderTelemetryScreen);
+    document.getElementById('telemetry-lap-b').addEventListener('change', renderTelemetryScreen);
+    document.getElementById('btn-telemetry-json').addEventListener('click', exportTelemetryJSON);
+    document.getElementById('btn-telemetry-csv').addEventListener('click', exportTelemetryCSV);
+    document.getElementById('btn-telemetry-close').addEventListener('click', closeTelemetryScreen);
+}
@@ -14,17 +14,22 @@
  *   7) Start-line cooldown system
  *   8) Curved barriers (obstacles)
  *   9) Penalty timer API
- *   10)
- *   11) Optional JSON arena loader
- *   12) Turret system (water pressure obstacles)
+ *   10) Surface zones (ice, mud, boost pads, oil slicks)
+ *   11) JSON arena loader (versioned arena files, made with the track editor in editor.js)
+ *   12) Turret system (water pressure obstacles: bursts, jets, cannons and vacuums)
+ *   13) Pit zones (repair damage)
+ *   14) Moving obstacles (rotating bars, sliding gates, pendulums, crates)
+ *   Seeded RNG: buildTrack(Matter, world, seed) gives the same layout for the same seed
  * 
  * Integration Notes:
  *   - Uses p5.js + Matter.js for physics
  *   - Expected callbacks from sketch.js:
- *       onCheckpoint(carIndex, checkpointIndex)
+ *       onCheckpoint(carIndex, checkpointIndex, split) // split: null unless strictOrder
  *       onLap(carIndex, lapTimeSeconds)
- *       onWallHit(carIndex)
- *       onPad(carIndex, type) // optional
+ *       onWallHit(carIndex, impactSpeed)
+ *       onCarHit(carIndexA, carIndexB, impactSpeed) // optional
+ *       onPad(carIndex, type, entered) // optional, on entering and leaving a surface zone
+ *       onFinish(carIndex, position, totalTimeSeconds) // optional, with the raceLaps option
  */
 
 /* ============================================
@@ -32,6 +37,7 @@
  * ============================================
  */
 var WORLD_BOUNDS = { W: 3000, H: 2000 };
+var DEFAULT_WORLD_BOUNDS = Object.assign({}, WORLD_BOUNDS);
 
 /* ============================================
  * 5) START POSITIONS + RESET HELPER
@@ -41,15 +47,38 @@ var START_POSITIONS = [
     { x: 400, y: 500, angle: 0 },   // Player 1 spawn
     { x: 1600, y: 500, angle: 0 }    // Player 2 spawn
 ];
+var DEFAULT_START_POSITIONS = START_POSITIONS.slice();
 
 // Get a copy of start positions array
 function getStartPositions() {
     return START_POSITIONS.slice();
 }
 
+// Gap between the rows of cars lined up behind the spawns
+var START_ROW_SPACING = 70;
+
+// Start position for any car index. Extra cars (e.g. AI) line up in rows
+// behind the listed spawns.
+function getStartPosition(index) {
+    return startPositionFrom_(START_POSITIONS, index);
+}
+
+// Start position of a car from a list of spawns: a row back for each time
+// the list runs out, opposite the way the spawn faces
+function startPositionFrom_(spawns, index) {
+    var base = spawns[index % spawns.length];
+    var row = Math.floor(index / spawns.length);
+    var angle = base.angle || 0;
+    return {
+        x: base.x - Math.cos(angle) * row * START_ROW_SPACING,
+        y: base.y - Math.sin(angle) * row * START_ROW_SPACING,
+        angle: base.angle
+    };
+}
+
 // Reset a car body to its designated start position
 function resetToStart(carBody, index) {
-    var sp = START_POSITIONS[index % START_POSITIONS.length];
+    var sp = getStartPosition(index);
     Matter.Body.setPosition(carBody, { x: sp.x, y: sp.y });
     Matter.Body.setAngle(carBody, sp.angle);
     Matter.Body.setVelocity(carBody, { x: 0, y: 0 });
@@ -69,6 +98,19 @@ var CHECKPOINTS = [
     { x: 400, y: 1000, r: 35 },   // CP4 - Middle-left
     { x: 1100, y: 1600, r: 35 }   // CP5 - Bottom-left
 ];
+var DEFAULT_CHECKPOINTS = CHECKPOINTS.slice();
+
+// Lap start/finish sensor (center, size)
+var START_LINE = { x: 600, y: 400, w: 220, h: 10 };
+var DEFAULT_START_LINE = Object.assign({}, START_LINE);
+
+// Ordered-checkpoint mode: a car is going the wrong way when it travels more
+// than `angle` (rad) away from its next checkpoint for holdMs
+var WRONG_WAY = {
+    minSpeed: 2,
+    angle: 1.9,
+    holdMs: 800
+};
 
 /* ============================================
  * RANDOMIZATION SYSTEM
@@ -86,14 +128,150 @@ var RANDOMIZATION = {
     maxAttempts: 2000              // Safety limit for placement loops
 };
 
+/* ============================================
+ * SEEDED RANDOM NUMBER GENERATOR
+ * ============================================
+ */
+var TRACK_SEED = 0;              // Seed used for the current layout
+var ARENA_DATA = null;           // Arena from loadArenaFromJSON(), null for a seeded layout
+var lastTrack_ = null;           // Track object of the latest build, torn down by the next one
+var trackRandom_ = Math.random;  // Replaced by setTrackSeed()
+
+// mulberry32: small 32-bit PRNG, the same seed always gives the same sequence
+function createSeededRandom_(seed) {
+    var s = seed >>> 0;
+    return function () {
+        s = (s + 0x6D2B79F5) >>> 0;
+        var t = s;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Turn a seed (number or string, e.g. from the URL) into an unsigned 32-bit integer.
+// Returns null if the value cannot be used as a seed.
+function normalizeSeed(seed) {
+    if (seed === undefined || seed === null) return null;
+    var str = String(seed).trim();
+    if (str === "") return null;
+    if (/^\d+$/.test(str)) return Number(str) >>> 0;
+
+    // Hash words like "monday-race" too
+    return hashString_(str);
+}
+
+// FNV-1a 32-bit string hash
+function hashString_(str) {
+    var h = 0x811C9DC5;
+    for (var i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Pick a fresh random seed for a new layout
+function generateTrackSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Reseed the track generator. Returns the normalized seed.
+function setTrackSeed(seed) {
+    var s = normalizeSeed(seed);
+    TRACK_SEED = (s === null) ? generateTrackSeed() : s;
+    trackRandom_ = createSeededRandom_(TRACK_SEED);
+    return TRACK_SEED;
+}
+
+function getTrackSeed() {
+    return TRACK_SEED;
+}
+
+// Key for the current arena: seed plus a fingerprint of every obstacle,
+// checkpoint, turret and surface zone, so data saved for one layout never leaks onto another.
+// Loaded arenas can also move the walls, pits, start line and spawns and tune
+// the turrets, so those count too.
+function getTrackLayoutKey() {
+    return layoutKey_(ARENA_DATA ? null : TRACK_SEED, {
+        bounds: WORLD_BOUNDS,
+        walls: CHICANES,
+        barriers: CURVED_BARRIERS,
+        checkpoints: CHECKPOINTS,
+        turrets: TURRETS,
+        surfaces: SURFACE_ZONES,
+        pits: PIT_ZONES,
+        startLine: START_LINE,
+        spawns: START_POSITIONS,
+        movers: MOVERS
+    });
+}
+
+// The key getTrackLayoutKey() will give once this arena is loaded, without
+// loading it (e.g. to look up saved records). Null if the data isn't a valid arena.
+function getArenaLayoutKey(data) {
+    var arena = validateArenaData(data).arena;
+    return arena ? layoutKey_(null, arena) : null;
+}
+
+// seed is null for a loaded arena; layout has the arena file's fields
+function layoutKey_(seed, layout) {
+    var parts = [layout.bounds.W, layout.bounds.H];
+    var i;
+    if (seed === null) {
+        for (i = 0; i < layout.walls.length; i++) {
+            var w = layout.walls[i];
+            parts.push(Math.round(w.x), Math.round(w.y), Math.round(w.w), Math.round(w.h), w.a.toFixed(2));
+        }
+        for (i = 0; i < layout.pits.length; i++) {
+            var pit = layout.pits[i];
+            parts.push(Math.round(pit.x), Math.round(pit.y), Math.round(pit.w), Math.round(pit.h));
+        }
+        for (i = 0; i < layout.turrets.length; i++) {
+            var tur = layout.turrets[i];
+            parts.push(tur.angle.toFixed(2), Math.round(tur.range), Math.round(tur.triggerRadius), Math.round(tur.sprayRadius));
+        }
+        var line = layout.startLine;
+        parts.push(Math.round(line.x), Math.round(line.y), Math.round(line.w), Math.round(line.h));
+        for (i = 0; i < layout.spawns.length; i++) {
+            var sp = layout.spawns[i];
+            parts.push(Math.round(sp.x), Math.round(sp.y), sp.angle.toFixed(2));
+        }
+        for (i = 0; i < (layout.movers || []).length; i++) {
+            var m = layout.movers[i];
+            for (var field in ARENA_ENTRY_FIELDS_.movers[m.type]) {
+                parts.push(field === "type" ? m.type : m[field].toFixed(2));
+            }
+        }
+    }
+    for (i = 0; i < layout.barriers.length; i++) {
+        var o = layout.barriers[i];
+        parts.push(Math.round(o.x), Math.round(o.y), Math.round(o.w), Math.round(o.h), o.a.toFixed(2));
+    }
+    for (i = 0; i < layout.checkpoints.length; i++) {
+        var cp = layout.checkpoints[i];
+        parts.push(Math.round(cp.x), Math.round(cp.y), cp.r);
+    }
+    for (i = 0; i < layout.turrets.length; i++) {
+        parts.push(Math.round(layout.turrets[i].x), Math.round(layout.turrets[i].y));
+        // A burst turret adds nothing to the key, other types add their name
+        if (layout.turrets[i].type !== "burst") parts.push(layout.turrets[i].type);
+    }
+    for (i = 0; i < layout.surfaces.length; i++) {
+        var z = layout.surfaces[i];
+        parts.push(z.type, Math.round(z.x), Math.round(z.y), Math.round(z.w), Math.round(z.h), z.a.toFixed(2));
+    }
+    return (seed === null ? "arena" : seed) + "-" + hashString_(parts.join(",")).toString(36);
+}
+
 /* ============================================
  * COLLISION HELPER FUNCTIONS
  * ============================================
  */
 
-// Generate random number in range [a, b]
+// Generate random number in range [a, b] (seeded, see setTrackSeed)
 function randRange(a, b) {
-    return a + Math.random() * (b - a);
+    return a + trackRandom_() * (b - a);
 }
 
 // Check if two circles overlap
@@ -175,6 +353,10 @@ function randomizeTrackLayout_() {
     var H = WORLD_BOUNDS.H;
     var M = RANDOMIZATION.margin;
 
+    // Start from the defaults so a failed placement never keeps the previous layout
+    CURVED_BARRIERS = DEFAULT_CURVED_BARRIERS.slice();
+    CHECKPOINTS = DEFAULT_CHECKPOINTS.slice();
+
     // Step 1: Randomize obstacles
     var obs = [];
     var attempts = 0;
@@ -192,6 +374,14 @@ function randomizeTrackLayout_() {
                 break;
             }
         }
+        // Keep the pit lane clear
+        for (var pz = 0; pz < PIT_ZONES.length && okO; pz++) {
+            var pit = PIT_ZONES[pz];
+            if (rectsOverlap(ox, oy, ow, oh, oa, pit.x, pit.y, pit.w, pit.h, 0) ||
+                rectsOverlap(pit.x, pit.y, pit.w, pit.h, 0, ox, oy, ow, oh, oa)) {
+                okO = false;
+            }
+        }
         if (okO) obs.push({ x: ox, y: oy, w: ow, h: oh, a: oa });
     }
     if (obs.length === RANDOMIZATION.obstacleCount) CURVED_BARRIERS = obs;
@@ -243,6 +433,158 @@ var CURVED_BARRIERS = [
     { x: 1800, y: 1500, w: 120, h: 20, a: -0.25 }, // Bottom-center area
     { x: 2200, y: 1600, w: 140, h: 24, a: 0.35 }  // Bottom-right area
 ];
+var DEFAULT_CURVED_BARRIERS = CURVED_BARRIERS.slice();
+
+// Fixed chicanes in the middle of the arena (same shape as CURVED_BARRIERS)
+var CHICANES = [
+    { x: 1400, y: 900, w: 260, h: 30, a: Math.PI / 12 },
+    { x: 1650, y: 1100, w: 260, h: 30, a: -Math.PI / 12 }
+];
+var DEFAULT_CHICANES = CHICANES.slice();
+
+/* ============================================
+ * 13) PIT ZONES
+ * ============================================
+ */
+// Areas (center x/y, axis aligned) where slow cars get their damage repaired
+var PIT_ZONES = [
+    { x: 260, y: 210, w: 260, h: 150 }
+];
+var DEFAULT_PIT_ZONES = PIT_ZONES.slice();
+
+// Index of the pit zone containing a point, or -1
+function getPitZoneIndex(x, y) {
+    for (var i = 0; i < PIT_ZONES.length; i++) {
+        var pit = PIT_ZONES[i];
+        if (Math.abs(x - pit.x) <= pit.w / 2 && Math.abs(y - pit.y) <= pit.h / 2) return i;
+    }
+    return -1;
+}
+
+/* ============================================
+ * 14) MOVING OBSTACLES
+ * ============================================
+ */
+// Moving obstacles of a loaded arena ({type, x, y, ...}, see ARENA_ENTRY_FIELDS_.movers).
+// Seeded layouts have none.
+var MOVERS = [];
+
+// What each type of moving obstacle does:
+//   bar      - a w x h bar spinning about its center at speed rad/s (negative
+//              turns the other way)
+//   gate     - a w x h gate, shut at (x, y). It slides travel px along its
+//              length (angle a), stays open for openMs and slides back, each
+//              slide taking moveMs, then stays shut for closedMs
+//   pendulum - a ball of radius r on a chain of length px from the pivot (x, y),
+//              swinging swing rad either side of angle a once every period ms
+//   crate    - a light w x h box that cars push around
+// offsetMs shifts a gate's or pendulum's cycle, so several can move out of step.
+var MOVER_TYPES = {
+    bar: { label: "Rotating Bar", color: "#ff00ff" },
+    gate: { label: "Sliding Gate", color: "#ffff00" },
+    pendulum: { label: "Pendulum", color: "#ff8800" },
+    crate: { label: "Crate", color: "#00ff88" }
+};
+var MOVER_CONFIG = {
+    crateDensity: 0.004,   // A 40x40 crate weighs about a seventh of a car
+    crateFrictionAir: 0.08 // Shoved crates soon slide to a stop
+};
+
+/* ============================================
+ * 10) SURFACE ZONES
+ * ============================================
+ */
+// Sensor areas (center x/y, size, angle) that change how cars handle.
+// The effects themselves are in car_mech.js (SURFACE_EFFECTS).
+var SURFACE_TYPES = ["ice", "mud", "boost", "oil"];
+
+var SURFACE_ZONES = [
+    { type: "ice", x: 1500, y: 1300, w: 280, h: 160, a: 0.2 },
+    { type: "mud", x: 700, y: 1150, w: 220, h: 140, a: -0.15 },
+    { type: "boost", x: 1300, y: 600, w: 120, h: 50, a: 0 },
+    { type: "boost", x: 2650, y: 1350, w: 120, h: 50, a: -Math.PI / 2 },
+    { type: "oil", x: 2600, y: 500, w: 110, h: 110, a: 0 }
+];
+var DEFAULT_SURFACE_ZONES = SURFACE_ZONES.slice();
+
+var SURFACE_RANDOMIZATION = {
+    counts: { ice: 2, mud: 2, boost: 3, oil: 2 },
+    sizes: {                               // Base size, varied by +/- sizeJitter
+        ice: { w: 280, h: 160 },
+        mud: { w: 220, h: 140 },
+        boost: { w: 120, h: 50 },
+        oil: { w: 110, h: 110 }
+    },
+    sizeJitter: 0.2,
+    spawnClearance: 150,                   // Keep start positions clear
+    maxAttempts: 1000
+};
+
+/* ============================================
+ * SURFACE ZONE RANDOMIZER
+ * ============================================
+ */
+// Runs after the obstacles, checkpoints and turrets are placed (and after they
+// have used the seeded RNG, so adding zones didn't change existing layouts).
+function randomizeSurfaceZones_() {
+    SURFACE_ZONES = DEFAULT_SURFACE_ZONES.slice();
+    if (!RANDOMIZATION.enable) return;
+
+    var W = WORLD_BOUNDS.W;
+    var H = WORLD_BOUNDS.H;
+    var M = RANDOMIZATION.margin;
+    var cfg = SURFACE_RANDOMIZATION;
+    var blockers = CURVED_BARRIERS.concat(CHICANES, PIT_ZONES.map(function (pit) {
+        return { x: pit.x, y: pit.y, w: pit.w, h: pit.h, a: 0 };
+    }));
+    var zones = [];
+
+    for (var t = 0; t < SURFACE_TYPES.length; t++) {
+        var type = SURFACE_TYPES[t];
+        var size = cfg.sizes[type];
+        var placed = 0;
+        var attempts = 0;
+        while (placed < cfg.counts[type] && attempts < cfg.maxAttempts) {
+            attempts++;
+            var zw = size.w * randRange(1 - cfg.sizeJitter, 1 + cfg.sizeJitter);
+            var zh = size.h * randRange(1 - cfg.sizeJitter, 1 + cfg.sizeJitter);
+            var zx = randRange(M + zw / 2, W - M - zw / 2);
+            var zy = randRange(M + zh / 2, H - M - zh / 2);
+            // Boost pads point any way; the other surfaces only tilt a little
+            var za = type === "boost"
+                ? randRange(-Math.PI, Math.PI)
+                : randRange(-RANDOMIZATION.obstacleAngleMax, RANDOMIZATION.obstacleAngleMax);
+            var ok = true;
+
+            var others = blockers.concat(zones);
+            for (var j = 0; j < others.length && ok; j++) {
+                var o = others[j];
+                if (rectsOverlap(zx, zy, zw, zh, za, o.x, o.y, o.w, o.h, o.a) ||
+                    rectsOverlap(o.x, o.y, o.w, o.h, o.a, zx, zy, zw, zh, za)) {
+                    ok = false;
+                }
+            }
+            for (var c = 0; c < CHECKPOINTS.length && ok; c++) {
+                var cp = CHECKPOINTS[c];
+                if (circleRectOverlap(cp.x, cp.y, cp.r * 1.5, zx, zy, zw, zh, za)) ok = false;
+            }
+            for (var tu = 0; tu < TURRETS.length && ok; tu++) {
+                if (circleRectOverlap(TURRETS[tu].x, TURRETS[tu].y, 40, zx, zy, zw, zh, za)) ok = false;
+            }
+            for (var s = 0; s < START_POSITIONS.length && ok; s++) {
+                var sp = START_POSITIONS[s];
+                if (circleRectOverlap(sp.x, sp.y, cfg.spawnClearance, zx, zy, zw, zh, za)) ok = false;
+            }
+
+            if (ok) {
+                zones.push({ type: type, x: zx, y: zy, w: zw, h: zh, a: za });
+                placed++;
+            }
+        }
+    }
+    // A crowded arena just gets fewer zones
+    SURFACE_ZONES = zones;
+}
 
 /* ============================================
  * 12) TURRET SYSTEM
@@ -254,10 +596,37 @@ var TURRET_CONFIG = {
     forceRadius: 1100,
     sprayRadius: 120,
     minSpacing: 750,
-    margin: 80
+    margin: 80,
+    // TURRET_TYPES of a seeded layout's turrets, handed out in turn (an arena
+    // file gives each turret its own)
+    types: ["jet", "burst", "cannon", "vacuum"]
 };
 var TURRETS = []; // Populated by randomizeTurrets_()
 
+// What each turret type does once a car is inside its trigger radius. A turret
+// glows for telegraph ms, fires for duration ms, then rests for cooldown ms.
+//   burst  - pushes every car in range away (the original turret); only a car
+//            coming into the trigger radius sets it off (onEnter)
+//   jet    - turns towards the nearest car and sprays a cone of water at it
+//   cannon - turns towards the nearest car and fires a slow ball that cars bounce off
+//   vacuum - pulls every car in range in towards it
+// force is the push at the turret (falling off with distance, to 35% at the
+// edge of its range); turnRate the most it turns per step (rad); cone the
+// jet's width (rad); shot* the cannon ball's speed (px/step), radius, density
+// and life (ms).
+var TURRET_TYPES = {
+    burst: { label: "Burst", color: "#00aaff", telegraph: 0, duration: 1000, cooldown: 0, force: 0.08, onEnter: true },
+    jet: {
+        label: "Water Jet", color: "#00ffcc", telegraph: 500, duration: 900, cooldown: 1800, force: 0.1,
+        turnRate: 0.04, cone: 0.5
+    },
+    cannon: {
+        label: "Cannon", color: "#ff9900", telegraph: 700, duration: 0, cooldown: 2200, turnRate: 0.03,
+        shotSpeed: 5, shotRadius: 14, shotDensity: 0.02, shotLifeMs: 5000
+    },
+    vacuum: { label: "Vacuum", color: "#bb66ff", telegraph: 800, duration: 1500, cooldown: 3000, force: 0.04 }
+};
+
 /* ============================================
  * TURRET PLACEMENT RANDOMIZER
  * ============================================
@@ -269,6 +638,7 @@ function randomizeTurrets_() {
     var turrets = [];
     var attempts = 0;
     var maxAttempts = 1000;
+    TURRETS = [];
 
     while (turrets.length < TURRET_CONFIG.count && attempts < maxAttempts) {
         attempts++;
@@ -302,40 +672,66 @@ function randomizeTurrets_() {
             }
         }
 
-        // --- NEW FIX ---
         // Check spacing from car start positions (avoid spawning in a trigger)
-        if (ok) {
-            for (var s = 0; s < START_POSITIONS.length; s++) {
-                var sp = START_POSITIONS[s];
-                var dx = tx - sp.x;
-                var dy = ty - sp.y;
-                var dist = Math.hypot(dx, dy);
-                // Keep turrets further than their trigger radius from spawn points
-                if (dist < (TURRET_CONFIG.triggerRadius + 50)) { // Add 50px buffer
-                    ok = false;
-                    break;
-                }
-            }
-        }
-        // --- END NEW FIX ---
+        if (ok && isTurretNearSpawn(tx, ty, START_POSITIONS)) ok = false;
 
         if (ok) {
-            turrets.push({
-                x: tx, y: ty, angle: 0,
-                range: TURRET_CONFIG.forceRadius,
-                triggerRadius: TURRET_CONFIG.triggerRadius,
-                sprayRadius: TURRET_CONFIG.sprayRadius
-            });
+            var types = TURRET_CONFIG.types;
+            turrets.push(createTurret_(tx, ty, types[turrets.length % types.length]));
         }
     }
     if (turrets.length >= TURRET_CONFIG.count) TURRETS = turrets;
 }
 
+// True if a turret at (tx, ty) would be within its trigger radius (plus a
+// 50px buffer) of any spawn point, so cars would get sprayed as they start
+function isTurretNearSpawn(tx, ty, spawns) {
+    for (var s = 0; s < spawns.length; s++) {
+        var sp = spawns[s];
+        if (Math.hypot(tx - sp.x, ty - sp.y) < TURRET_CONFIG.triggerRadius + 50) return true;
+    }
+    return false;
+}
+
+// Full turret entry (as in TURRETS) for a turret placed at (x, y). type is a
+// TURRET_TYPES key (default: "burst").
+function createTurret_(x, y, type) {
+    return {
+        x: x, y: y, type: type || "burst", angle: 0,
+        range: TURRET_CONFIG.forceRadius,
+        triggerRadius: TURRET_CONFIG.triggerRadius,
+        sprayRadius: TURRET_CONFIG.sprayRadius
+    };
+}
+
 /* ============================================
  * 1) ARENA CONSTRUCTION
  * ============================================
  */
-function buildTrack(MatterRef, world) {
+// seed (optional): number or string. Omit it to get a fresh random layout.
+function buildTrack(MatterRef, world, seed) {
+    // Seeded layouts always use the built-in bounds, walls, pits, start line and spawns
+    ARENA_DATA = null;
+    WORLD_BOUNDS = Object.assign({}, DEFAULT_WORLD_BOUNDS);
+    PIT_ZONES = DEFAULT_PIT_ZONES.slice();
+    CHICANES = DEFAULT_CHICANES.slice();
+    START_LINE = Object.assign({}, DEFAULT_START_LINE);
+    START_POSITIONS = DEFAULT_START_POSITIONS.slice();
+    MOVERS = [];
+
+    setTrackSeed(seed);
+    randomizeTrackLayout_();
+    randomizeTurrets_();
+    randomizeSurfaceZones_();
+
+    return createTrackBodies_(MatterRef, world);
+}
+
+// Create the Matter bodies for the current layout globals and add them to the
+// world, after removing the bodies of the previous build
+function createTrackBodies_(MatterRef, world) {
+    if (lastTrack_) removeTrack(MatterRef, world, lastTrack_);
+
     var Bodies = MatterRef.Bodies;
     var World = MatterRef.World;
     var W = WORLD_BOUNDS.W;
@@ -355,12 +751,12 @@ function buildTrack(MatterRef, world) {
     var leftWall = Bodies.rectangle(wallThickness / 2, H / 2, wallThickness, H, wallOptions);
     var rightWall = Bodies.rectangle(W - wallThickness / 2, H / 2, wallThickness, H, wallOptions);
 
-    // Chicanes
-    var chicaneA = Bodies.rectangle(1400, 900, 260, 30, { ...wallOptions, angle: Math.PI / 12 });
-    var chicaneB = Bodies.rectangle(1650, 1100, 260, 30, { ...wallOptions, angle: -Math.PI / 12 });
-
-    randomizeTrackLayout_();
-    randomizeTurrets_();
+    // Chicanes (the inner walls of a loaded arena)
+    var chicaneBodies = [];
+    for (var ch = 0; ch < CHICANES.length; ch++) {
+        var w = CHICANES[ch];
+        chicaneBodies.push(Bodies.rectangle(w.x, w.y, w.w, w.h, { ...wallOptions, angle: w.a }));
+    }
 
     // Create curved barrier bodies
     var curvedBodies = [];
@@ -370,7 +766,7 @@ function buildTrack(MatterRef, world) {
     }
 
     // Start line sensor
-    var startSensor = Bodies.rectangle(600, 400, 220, 10, {
+    var startSensor = Bodies.rectangle(START_LINE.x, START_LINE.y, START_LINE.w, START_LINE.h, {
         isStatic: true,
         isSensor: true,
         label: "START"
@@ -400,32 +796,62 @@ function buildTrack(MatterRef, world) {
         }));
     }
 
+    // Create surface zone sensors (label carries the type: "PAD_<type>_<index>")
+    var padBodies = [];
+    for (var si = 0; si < SURFACE_ZONES.length; si++) {
+        var zone = SURFACE_ZONES[si];
+        padBodies.push(Bodies.rectangle(zone.x, zone.y, zone.w, zone.h, {
+            isStatic: true,
+            isSensor: true,
+            label: "PAD_" + zone.type + "_" + si,
+            angle: zone.a
+        }));
+    }
+
+    // Moving obstacles (kinematic ones are walls too)
+    var moverBodies = [];
+    for (var mi = 0; mi < MOVERS.length; mi++) {
+        moverBodies.push(createMoverBody_(MatterRef, MOVERS[mi]));
+    }
+
     // Add all bodies to world
-    var addList = [
-        topWall, bottomWall, leftWall, rightWall,
-        chicaneA, chicaneB, startSensor
-    ].concat(curvedBodies, checkpointBodies, turretBodies);
+    var addList = [topWall, bottomWall, leftWall, rightWall].concat(
+        chicaneBodies, [startSensor], curvedBodies, checkpointBodies, turretBodies, padBodies, moverBodies);
 
     World.add(world, addList);
 
-    var turretState = createTurretState_(TURRETS.length);
+    var turretState = createTurretState_(TURRETS);
 
-    return {
+    lastTrack_ = {
+        seed: ARENA_DATA ? null : TRACK_SEED,
+        name: ARENA_DATA ? ARENA_DATA.name : null,
         bounds: { W: W, H: H },
-        walls: [topWall, bottomWall, leftWall, rightWall, chicaneA, chicaneB].concat(curvedBodies),
+        walls: [topWall, bottomWall, leftWall, rightWall].concat(chicaneBodies, curvedBodies),
         startSensor: startSensor,
         checkpoints: checkpointBodies,
         turrets: turretBodies,
         turretData: TURRETS,
-        turretState: turretState
+        turretState: turretState,
+        pads: padBodies,
+        padData: SURFACE_ZONES,
+        movers: moverBodies,
+        moverData: MOVERS
     };
+    return lastTrack_;
 }
 
 /* ============================================
  * 2) SENSORS AND RACE RULES (CHECKPOINT LOGIC MODIFIED)
  * ============================================
  */
-function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
+// options (optional):
+//   lapOnLastCheckpoint - complete a lap on the last new checkpoint instead of
+//                         at the START line (default: only with a single car)
+//   strictOrder         - only the next checkpoint in CHECKPOINTS order counts;
+//                         adds wrong-way detection and split times (default: false)
+//   raceLaps            - laps to finish the race; a finished car stops scoring
+//                         and gets a finishing position (default: 0, no finish)
+function attachRaceRules(MatterRef, engine, carBodies, callbacks, options) {
     var Events = MatterRef.Events;
 
     // --- Build the fast lookup map ---
@@ -439,6 +865,9 @@ function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
 
     // --- Per-car race state tracking ---
     var numCars = carBodies.length;
+    var lapOnLastCheckpoint = (options && options.lapOnLastCheckpoint !== undefined)
+        ? options.lapOnLastCheckpoint
+        : numCars === 1;
 
     // We now use a bitmask to track which checkpoints are hit.
     // e.g., if CP0 and CP2 are hit, mask = 101 (binary) = 5 (decimal)
@@ -449,22 +878,50 @@ function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
     var numCheckpoints = Math.max(1, CHECKPOINTS.length);
     var allCheckpointsMask = (1 << numCheckpoints) - 1;
 
+    var strictOrder = !!(options && options.strictOrder);
+    var raceLaps = (options && options.raceLaps > 0) ? options.raceLaps : 0;
+
     var startCooldownMs = new Array(numCars).fill(0);
     var penaltyUntil = new Array(numCars).fill(0);
     var lapState = createLapState_(numCars);
 
+    // Ordered mode only: time spent heading away from the next checkpoint,
+    // and the latest split {checkpoint, time, delta, at} per car
+    var wrongWayMs = new Array(numCars).fill(0);
+    var lastSplit = new Array(numCars).fill(null);
+
+    // Race finish: car indices in finishing order, and seconds from the
+    // start of the race to each car's finish (null while still racing)
+    var raceStartMs = raceNow_();
+    var finishOrder = [];
+    var finishTime = new Array(numCars).fill(null);
+
     // --- Listen for collision events ---
     Events.on(engine, "collisionStart", function (evt) {
         var pairs = evt.pairs;
-        var now = performance.now();
+        var now = raceNow_();
+        // A compound car touching something with several parts at once is one hit
+        var handled = {};
 
         for (var p = 0; p < pairs.length; p++) {
             var pair = pairs[p];
-            var a = pair.bodyA;
-            var b = pair.bodyB;
+            var a = pair.bodyA.parent;
+            var b = pair.bodyB.parent;
             var carIndex = -1;
             var otherBody = null;
 
+            // Car-vs-car contact
+            if (carIdToIndex[a.id] !== undefined && carIdToIndex[b.id] !== undefined) {
+                if (finishTime[carIdToIndex[a.id]] !== null || finishTime[carIdToIndex[b.id]] !== null) continue;
+                var carsKey = Math.min(a.id, b.id) + ":" + Math.max(a.id, b.id);
+                if (handled[carsKey]) continue;
+                handled[carsKey] = true;
+                if (callbacks && typeof callbacks.onCarHit === "function") {
+                    callbacks.onCarHit(carIdToIndex[a.id], carIdToIndex[b.id], getImpactSpeed_(pair));
+                }
+                continue;
+            }
+
             if (carIdToIndex[a.id] !== undefined) {
                 carIndex = carIdToIndex[a.id];
                 otherBody = b;
@@ -475,11 +932,29 @@ function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
                 continue; // Not a car collision
             }
 
+            // Finished cars are out of the race
+            if (finishTime[carIndex] !== null) continue;
+
             var otherLabel = otherBody.label;
 
+            // Surface zones count every part inside them, so the car is on the
+            // surface until its last part leaves
+            if (otherLabel && otherLabel.startsWith("PAD_")) {
+                notifyPad(carIndex, otherLabel, true);
+                continue;
+            }
+
+            if (handled[a.id + ":" + b.id]) continue;
+            handled[a.id + ":" + b.id] = true;
+
             if (otherLabel && otherLabel.startsWith("CHECK_")) {
                 var hitIndex = parseInt(otherLabel.split("_")[1], 10);
 
+                // Ordered mode ignores every checkpoint but the next one
+                if (strictOrder && hitIndex !== getNextCheckpoint_(checkpointMask[carIndex], numCheckpoints)) {
+                    continue;
+                }
+
                 // Set the bit for this checkpoint.
                 // e.g., if mask is 0001 (CP0) and we hit CP2 (bit 2),
                 // 1 << 2 = 0100.
@@ -489,16 +964,23 @@ function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
                 var newHit = (checkpointMask[carIndex] & (1 << hitIndex)) === 0;
                 checkpointMask[carIndex] |= (1 << hitIndex);
 
-                // Call the callback every time, regardless of order.
+                // Split time against the same checkpoint on the best lap
+                var split = null;
+                if (strictOrder) {
+                    split = recordSplit_(lapState, carIndex, hitIndex);
+                    lastSplit[carIndex] = split;
+                }
+
+                // Call the callback for every counted checkpoint.
                 if (callbacks && typeof callbacks.onCheckpoint === "function") {
-                    callbacks.onCheckpoint(carIndex, hitIndex);
+                    callbacks.onCheckpoint(carIndex, hitIndex, split);
                 }
 
                 var allPassed = (checkpointMask[carIndex] === allCheckpointsMask);
 
-                // Check if this is single player (numCars === 1), if all CPs are
-                // now passed, and if this was the *last* new checkpoint hit.
-                if (numCars === 1 && allPassed && newHit) {
+                // Check if laps end on the last checkpoint (single player), if all
+                // CPs are now passed, and if this was the *last* new checkpoint hit.
+                if (lapOnLastCheckpoint && allPassed && newHit) {
                     var lapTimeSec = completeLap_(lapState, carIndex);
 
                     // Reset the checkpoint mask for the next lap
@@ -510,6 +992,7 @@ function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
                     if (callbacks && typeof callbacks.onLap === "function") {
                         callbacks.onLap(carIndex, lapTimeSec);
                     }
+                    checkFinish(carIndex, now);
                 }
 
                 continue; // Collision handled
@@ -534,19 +1017,93 @@ function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
                         if (callbacks && typeof callbacks.onLap === "function") {
                             callbacks.onLap(carIndex, lapTimeSec);
                         }
+                        checkFinish(carIndex, now);
                     }
                     break;
 
                 case "WALL":
                     penaltyUntil[carIndex] = now + 1000;
                     if (callbacks && typeof callbacks.onWallHit === "function") {
-                        callbacks.onWallHit(carIndex);
+                        callbacks.onWallHit(carIndex, getImpactSpeed_(pair));
                     }
                     break;
             }
         }
     });
 
+    // --- Surface zones also report when a car leaves them ---
+    Events.on(engine, "collisionEnd", function (evt) {
+        var pairs = evt.pairs;
+        for (var p = 0; p < pairs.length; p++) {
+            var a = pairs[p].bodyA.parent;
+            var b = pairs[p].bodyB.parent;
+            if (carIdToIndex[a.id] !== undefined && b.label && b.label.startsWith("PAD_")) {
+                notifyPad(carIdToIndex[a.id], b.label, false);
+            } else if (carIdToIndex[b.id] !== undefined && a.label && a.label.startsWith("PAD_")) {
+                notifyPad(carIdToIndex[b.id], a.label, false);
+            }
+        }
+    });
+
+    // --- Ordered mode: wrong-way detection after every physics step ---
+    if (strictOrder) {
+        Events.on(engine, "afterUpdate", function () {
+            var dt = engine.timing.lastDelta || 0;
+            for (var c = 0; c < numCars; c++) {
+                var body = carBodies[c];
+                if (!body) continue;
+                var v = body.velocity;
+                var speed = Math.hypot(v.x, v.y);
+                if (speed < WRONG_WAY.minSpeed) {
+                    wrongWayMs[c] = 0;
+                    continue;
+                }
+                var target = getNextTarget_(checkpointMask[c], numCheckpoints);
+                var toTarget = Math.atan2(target.y - body.position.y, target.x - body.position.x);
+                var diff = toTarget - Math.atan2(v.y, v.x);
+                var off = Math.abs(Math.atan2(Math.sin(diff), Math.cos(diff)));
+                wrongWayMs[c] = off > WRONG_WAY.angle ? wrongWayMs[c] + dt : 0;
+            }
+        });
+    }
+
+    // --- Race finish ---
+    function checkFinish(carIndex, now) {
+        if (!raceLaps || lapState.lapCount[carIndex] < raceLaps) return;
+        finishTime[carIndex] = (now - raceStartMs) / 1000;
+        finishOrder.push(carIndex);
+        if (callbacks && typeof callbacks.onFinish === "function") {
+            callbacks.onFinish(carIndex, finishOrder.length, finishTime[carIndex]);
+        }
+    }
+
+    // Car indices from first to last: finished cars in finishing order, then
+    // the rest by laps, checkpoints passed this lap and distance to the next one
+    function getStandings() {
+        var progress = [];
+        for (var c = 0; c < numCars; c++) {
+            if (finishTime[c] !== null) continue;
+            var body = carBodies[c];
+            var target = getNextTarget_(checkpointMask[c], numCheckpoints);
+            progress.push({
+                index: c,
+                lap: lapState.lapCount[c],
+                passed: countBits_(checkpointMask[c]),
+                distance: body ? Math.hypot(target.x - body.position.x, target.y - body.position.y) : Infinity
+            });
+        }
+        progress.sort(function (p1, p2) {
+            return (p2.lap - p1.lap) || (p2.passed - p1.passed) || (p1.distance - p2.distance) || (p1.index - p2.index);
+        });
+        return finishOrder.concat(progress.map(function (p) { return p.index; }));
+    }
+
+    function notifyPad(carIndex, padLabel, entered) {
+        if (callbacks && typeof callbacks.onPad === "function") {
+            callbacks.onPad(carIndex, padLabel.split("_")[1], entered);
+        }
+    }
+
     // --- Public API ---
     return {
         getLapInfo: function (index) {
@@ -560,10 +1117,36 @@ function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
                 // draw which checkpoints are active.
                 checkpointMask: checkpointMask[index],
 
-                isPenalized: (performance.now() < penaltyUntil[index])
+                // Next checkpoint to drive to (-1: all passed, head for the START line).
+                // In free order this is just the lowest one not passed yet.
+                nextCheckpoint: getNextCheckpoint_(checkpointMask[index], numCheckpoints),
+                strictOrder: strictOrder,
+                wrongWay: wrongWayMs[index] >= WRONG_WAY.holdMs,
+
+                // Ordered mode: seconds into the lap at each checkpoint passed
+                // this lap, the same for the best lap, and the latest split
+                splits: lapState.splits[index].slice(),
+                bestSplits: lapState.bestSplits[index] ? lapState.bestSplits[index].slice() : null,
+                lastSplit: lastSplit[index],
+
+                isPenalized: (raceNow_() < penaltyUntil[index]),
+
+                // Race format (raceLaps option): live position (1 = leading),
+                // and the total race time once finished
+                raceLaps: raceLaps,
+                position: getStandings().indexOf(index) + 1,
+                finished: finishTime[index] !== null,
+                finishTime: finishTime[index]
             };
         },
 
+        getStandings: getStandings,
+
+        // True once every car has finished (always false without raceLaps)
+        isRaceOver: function () {
+            return raceLaps > 0 && finishOrder.length === numCars;
+        },
+
         resetRace: function (index) {
             if (index === undefined) index = 0;
 
@@ -571,47 +1154,115 @@ function attachRaceRules(MatterRef, engine, carBodies, callbacks) {
 
             startCooldownMs[index] = 0;
             penaltyUntil[index] = 0;
+            wrongWayMs[index] = 0;
+            lastSplit[index] = null;
+            if (finishTime[index] !== null) {
+                finishTime[index] = null;
+                finishOrder.splice(finishOrder.indexOf(index), 1);
+            }
             resetLapState_(lapState, index);
         },
 
         isPenalized: function (index) {
             if (index === undefined) index = 0;
-            return performance.now() < penaltyUntil[index];
+            return raceNow_() < penaltyUntil[index];
         }
     };
 }
 
+// Closing speed of a collision pair along the contact normal.
+// collisionStart fires before Matter resolves the contact, so these are the
+// velocities going into the impact (a scrape along a wall gives a low value).
+// Only a compound body's parent moves with a velocity; its parts don't.
+function getImpactSpeed_(pair) {
+    var a = pair.bodyA.parent;
+    var b = pair.bodyB.parent;
+    var n = pair.collision && pair.collision.normal;
+    var dvx = a.velocity.x - b.velocity.x;
+    var dvy = a.velocity.y - b.velocity.y;
+    if (!n) return Math.hypot(dvx, dvy);
+    return Math.abs(dvx * n.x + dvy * n.y);
+}
+
+// Lowest checkpoint index not in the mask, or -1 when all are passed
+function getNextCheckpoint_(mask, numCheckpoints) {
+    for (var i = 0; i < numCheckpoints; i++) {
+        if ((mask & (1 << i)) === 0) return i;
+    }
+    return -1;
+}
+
+// Number of checkpoints passed in a mask
+function countBits_(mask) {
+    var count = 0;
+    for (; mask; mask &= mask - 1) count++;
+    return count;
+}
+
+// Position of the next checkpoint, or of the START line once all are passed
+function getNextTarget_(mask, numCheckpoints) {
+    var next = getNextCheckpoint_(mask, numCheckpoints);
+    return next >= 0 && CHECKPOINTS[next] ? CHECKPOINTS[next] : START_LINE;
+}
+
 /* ============================================
  * 3) LAP TIMING
  * ============================================
  */
 function createLapState_(carsCount) {
-    var now = performance.now();
-    return {
+    var now = raceNow_();
+    var lapState = {
         lapCount: new Array(carsCount).fill(0),
         lastLap: new Array(carsCount).fill(0),
         bestLap: new Array(carsCount).fill(0),
-        lapStartMs: new Array(carsCount).fill(now)
+        lapStartMs: new Array(carsCount).fill(now),
+        splits: [],     // Per car: seconds into the lap at each checkpoint
+        bestSplits: []  // Per car: splits of the best lap, or null
     };
+    for (var i = 0; i < carsCount; i++) {
+        lapState.splits.push([]);
+        lapState.bestSplits.push(null);
+    }
+    return lapState;
 }
 
 function completeLap_(lapState, index) {
-    var now = performance.now();
+    var now = raceNow_();
     var lapTimeSec = (now - lapState.lapStartMs[index]) / 1000;
     lapState.lapStartMs[index] = now;
     lapState.lapCount[index] += 1;
     lapState.lastLap[index] = lapTimeSec;
     if (lapState.bestLap[index] === 0 || lapTimeSec < lapState.bestLap[index]) {
         lapState.bestLap[index] = lapTimeSec;
+        lapState.bestSplits[index] = lapState.splits[index];
     }
+    lapState.splits[index] = [];
     return lapTimeSec;
 }
 
+// Store the time into the lap at a checkpoint.
+// Returns {checkpoint, time, delta, at}; delta (seconds, negative = ahead)
+// is null until there is a best lap to compare with.
+function recordSplit_(lapState, index, checkpointIndex) {
+    var now = raceNow_();
+    var time = (now - lapState.lapStartMs[index]) / 1000;
+    var best = lapState.bestSplits[index];
+    lapState.splits[index][checkpointIndex] = time;
+    return {
+        checkpoint: checkpointIndex,
+        time: time,
+        delta: (best && best[checkpointIndex] !== undefined) ? time - best[checkpointIndex] : null,
+        at: now
+    };
+}
+
 function resetLapState_(lapState, index) {
     lapState.lapCount[index] = 0;
     lapState.lastLap[index] = 0;
     lapState.bestLap[index] = 0;
-    lapState.lapStartMs[index] = performance.now();
+    lapState.lapStartMs[index] = raceNow_();
+    lapState.splits[index] = [];
+    lapState.bestSplits[index] = null;
 }
 
 /* ============================================
@@ -622,33 +1273,163 @@ function getWorldBounds() {
     return { W: WORLD_BOUNDS.W, H: WORLD_BOUNDS.H };
 }
 
+// Every Matter body that belongs to a track object returned by buildTrack()
+function getTrackBodies(track) {
+    if (!track) return [];
+    return [].concat(
+        track.walls || [],
+        track.startSensor ? [track.startSensor] : [],
+        track.checkpoints || [],
+        track.turrets || [],
+        track.pads || [],
+        track.movers || []
+    );
+}
+
+// Remove a track's bodies from the world (before building a different layout)
+function removeTrack(MatterRef, world, track) {
+    if (track.turretState) removeTurretShots_(track.turretState);
+    var bodies = getTrackBodies(track);
+    for (var i = 0; i < bodies.length; i++) {
+        MatterRef.World.remove(world, bodies[i]);
+    }
+}
+
+// Clear per-race track state (turret sprays and cannon balls, moving obstacles)
+// so a new race starts identically. The moving obstacles get new bodies, so
+// call this before the track's bodies go into the race's world.
+function resetTrackState(track) {
+    if (!track || !track.turretData) return;
+    if (track.turretState) removeTurretShots_(track.turretState);
+    track.turretState = createTurretState_(track.turretData);
+    resetMovers_(track);
+}
+
+// Plain copy of the generated layout, e.g. for storing alongside a replay
+function getTrackLayout() {
+    function copyAll(list) {
+        return list.map(function (item) { return Object.assign({}, item); });
+    }
+    return {
+        seed: ARENA_DATA ? null : TRACK_SEED,
+        key: getTrackLayoutKey(),
+        checkpoints: copyAll(CHECKPOINTS),
+        barriers: copyAll(CURVED_BARRIERS),
+        turrets: copyAll(TURRETS),
+        surfaces: copyAll(SURFACE_ZONES),
+        // A loaded arena can't be rebuilt from a seed, so keep all of it
+        arena: ARENA_DATA ? getArenaData() : null
+    };
+}
+
+// The current layout in loadArenaFromJSON() format (e.g. to open a seeded
+// layout in the track editor)
+function getArenaData() {
+    function rect(o) {
+        return { x: o.x, y: o.y, w: o.w, h: o.h, a: o.a || 0 };
+    }
+    // Turret settings are only written out when they differ from TURRET_CONFIG
+    function turret(t) {
+        var out = { x: t.x, y: t.y };
+        var defaults = createTurret_(t.x, t.y);
+        ["type", "angle", "range", "triggerRadius", "sprayRadius"].forEach(function (field) {
+            if (t[field] !== defaults[field]) out[field] = t[field];
+        });
+        return out;
+    }
+    return {
+        version: ARENA_FORMAT_VERSION,
+        name: ARENA_DATA ? ARENA_DATA.name : "Seed " + TRACK_SEED,
+        bounds: { W: WORLD_BOUNDS.W, H: WORLD_BOUNDS.H },
+        walls: CHICANES.map(rect),
+        barriers: CURVED_BARRIERS.map(rect),
+        checkpoints: CHECKPOINTS.map(function (cp) { return { x: cp.x, y: cp.y, r: cp.r }; }),
+        turrets: TURRETS.map(turret),
+        surfaces: SURFACE_ZONES.map(function (z) {
+            return { type: z.type, x: z.x, y: z.y, w: z.w, h: z.h, a: z.a || 0 };
+        }),
+        pits: PIT_ZONES.map(function (pit) { return { x: pit.x, y: pit.y, w: pit.w, h: pit.h }; }),
+        startLine: { x: START_LINE.x, y: START_LINE.y, w: START_LINE.w, h: START_LINE.h },
+        spawns: START_POSITIONS.map(function (sp) { return { x: sp.x, y: sp.y, angle: sp.angle || 0 }; }),
+        movers: MOVERS.map(function (m) { return Object.assign({}, m); })
+    };
+}
+
+/* ============================================
+ * RACE CLOCK
+ * ============================================
+ * Lap times, penalties and turret sprays read this clock. sketch.js points it
+ * at simulated time so a replayed race behaves exactly like the original.
+ */
+var raceClock_ = function () { return performance.now(); };
+
+function setRaceClock(clockFn) {
+    raceClock_ = (typeof clockFn === "function") ? clockFn : function () { return performance.now(); };
+}
+
+function raceNow_() {
+    return raceClock_();
+}
+
 /* ============================================
  * 12b) TURRET STATE & UPDATE SYSTEM (PERFORMANCE OPTIMIZED)
  * ============================================
  */
-function createTurretState_(turretCount) {
+function createTurretState_(turretData) {
     // This state no longer needs to track its own particles,
     // as that is handled by the global pool in sketch.js.
+    var turretCount = turretData.length;
     return {
         activeSprays: new Array(turretCount).fill(false),
         sprayEndTime: new Array(turretCount).fill(0),
         carsInTrigger: new Array(turretCount).fill(false),
-        glowIntensity: new Array(turretCount).fill(0)
+        glowIntensity: new Array(turretCount).fill(0),
+        // "idle", "telegraph" (glowing before it fires), "firing" or "cooldown"
+        phase: new Array(turretCount).fill("idle"),
+        phaseEndTime: new Array(turretCount).fill(0),
+        // Where each turret points; turning ones follow the nearest car
+        aim: turretData.map(function (tur) { return tur.angle || 0; }),
+        // Cannon balls in flight [{body, turret, expires}], and the world they are in
+        shots: [],
+        world: null
     };
 }
 
+// TURRET_TYPES entry of a turret
+function getTurretType_(tur) {
+    return TURRET_TYPES[tur.type] || TURRET_TYPES.burst;
+}
+
+// Take every cannon ball out of the world
+function removeTurretShots_(turretState) {
+    for (var s = 0; s < turretState.shots.length; s++) {
+        Matter.Composite.remove(turretState.world, turretState.shots[s].body);
+    }
+    turretState.shots = [];
+}
+
 /* ============================================
  * TURRET UPDATE LOGIC (PERFORMANCE OPTIMIZED)
  * ============================================
  */
-function updateTurrets_(turretState, turretData, turretBodies, carBodies, MatterRef, borrowParticle) {
-    var now = performance.now();
+// onPush (optional) is called as onPush(carBody, turretIndex, force) for every
+// push a spray gives a car. world is the one cannons add their balls to.
+function updateTurrets_(turretState, turretData, turretBodies, carBodies, MatterRef, borrowParticle, onPush, world) {
+    var now = raceNow_();
+
+    // Spent cannon balls leave the arena
+    turretState.shots = turretState.shots.filter(function (shot) {
+        if (now < shot.expires) return true;
+        MatterRef.Composite.remove(turretState.world, shot.body);
+        return false;
+    });
 
     for (var i = 0; i < turretData.length; i++) {
         var tur = turretData[i];
         var turBody = turretBodies[i];
         if (!tur || !turBody) continue;
 
+        var type = getTurretType_(tur);
         var turX = turBody.position.x;
         var turY = turBody.position.y;
         var triggerRadius = tur.triggerRadius || TURRET_CONFIG.triggerRadius;
@@ -656,6 +1437,7 @@ function updateTurrets_(turretState, turretData, turretBodies, carBodies, Matter
         var hasCarInTrigger = false;
 
         var carsInForceRange = []; // Collect cars to apply force to
+        var nearest = null;
 
         // --- Single Combined Loop ---
         // Check ALL cars against this ONE turret
@@ -674,73 +1456,91 @@ function updateTurrets_(turretState, turretData, turretBodies, carBodies, Matter
             }
             if (dist <= forceRadius && dist > 0) {
                 carsInForceRange.push({ car: car, dx: dx, dy: dy, dist: dist });
+                if (!nearest || dist < nearest.dist) nearest = carsInForceRange[carsInForceRange.length - 1];
             }
         }
 
         var wasInTrigger = turretState.carsInTrigger[i];
         turretState.carsInTrigger[i] = hasCarInTrigger;
 
-        // Start spray when car first enters
-        if (hasCarInTrigger && !wasInTrigger && !turretState.activeSprays[i]) {
-            turretState.activeSprays[i] = true;
-            turretState.sprayEndTime[i] = now + 1000;
-            turretState.glowIntensity[i] = 1.0;
-
-            if (typeof borrowParticle === 'function') {
-                for (var p = 0; p < 5; p++) {
-                    var randomAngle = Math.random() * Math.PI * 2;
-                    var speed = 2 + Math.random() * 3;
-                    var sprayRadius = tur.sprayRadius || TURRET_CONFIG.sprayRadius;
-
-                    // We calculate a velocity (vx, vy) for the particle pool,
-                    // which expects velocity instead of target (tx, ty).
-                    borrowParticle(
-                        turX, // x
-                        turY, // y
-                        Math.cos(randomAngle) * speed, // vx
-                        Math.sin(randomAngle) * speed, // vy
-                        40,    // lifetime
-                        '#ADD8E6' // particle color (light blue for water)
-                    );
-                }
+        // Turning turrets follow the nearest car in range
+        if (type.turnRate && nearest) {
+            var aim = turretState.aim[i];
+            var turn = wrapTurretAngle_(Math.atan2(nearest.dy, nearest.dx) - aim);
+            turretState.aim[i] = wrapTurretAngle_(aim + Math.max(-type.turnRate, Math.min(type.turnRate, turn)));
+        }
+
+        if (turretState.phase[i] === "cooldown" && now >= turretState.phaseEndTime[i]) {
+            turretState.phase[i] = "idle";
+        }
+
+        // A car in the trigger radius wakes an idle turret (a burst only goes
+        // off for a car that just came in)
+        if (turretState.phase[i] === "idle" && hasCarInTrigger && !(type.onEnter && wasInTrigger)) {
+            turretState.phase[i] = "telegraph";
+            turretState.phaseEndTime[i] = now + type.telegraph;
+        }
+
+        // Glow brighter until it fires
+        if (turretState.phase[i] === "telegraph") {
+            if (now >= turretState.phaseEndTime[i]) {
+                turretState.phase[i] = "firing";
+                fireTurret_(turretState, i, type, turX, turY, now, MatterRef, world, borrowParticle);
             } else {
-                console.warn("updateTurrets: 'borrowParticle' function not provided.");
+                turretState.glowIntensity[i] = 1 - (turretState.phaseEndTime[i] - now) / type.telegraph;
             }
         }
 
         // If spraying, apply forces
-        if (turretState.activeSprays[i] && now < turretState.sprayEndTime[i]) {
+        if (turretState.phase[i] === "firing" && now < turretState.sprayEndTime[i]) {
 
             // Apply forces to all cars found in range
             for (var c = 0; c < carsInForceRange.length; c++) {
                 var hit = carsInForceRange[c];
                 var car = hit.car;
 
+                // Direction from the turret to the car
                 var dirX = hit.dx / hit.dist;
                 var dirY = hit.dy / hit.dist;
 
-                // Reverse direction to push car AWAY
-                var pushDirX = -dirX;
-                var pushDirY = -dirY;
+                // Bursts push the car AWAY, vacuums pull it in and jets push
+                // it along the jet, if it is inside the jet's cone
+                var pushDirX = dirX;
+                var pushDirY = dirY;
+                if (type === TURRET_TYPES.vacuum) {
+                    pushDirX = -dirX;
+                    pushDirY = -dirY;
+                } else if (type === TURRET_TYPES.jet) {
+                    var aimAngle = turretState.aim[i];
+                    if (Math.abs(wrapTurretAngle_(Math.atan2(hit.dy, hit.dx) - aimAngle)) > type.cone / 2) continue;
+                    pushDirX = Math.cos(aimAngle);
+                    pushDirY = Math.sin(aimAngle);
+                } else if (type === TURRET_TYPES.cannon) {
+                    break; // Its ball does the pushing
+                }
 
                 var forceScale = Math.max(0.35, 1.0 - (hit.dist / forceRadius));
-                var pushForce = 0.08 * forceScale;
+                var pushForce = type.force * forceScale;
 
                 Matter.Body.applyForce(car, car.position, {
                     x: pushDirX * pushForce,
                     y: pushDirY * pushForce
                 });
+                if (typeof onPush === 'function') onPush(car, i, pushForce);
             }
+            sprayTurretParticles_(tur, turretState.aim[i], turX, turY, borrowParticle);
 
             // Update glow fade during spray
-            var sprayProgress = (now - (turretState.sprayEndTime[i] - 1000)) / 1000;
+            var sprayProgress = (now - (turretState.sprayEndTime[i] - type.duration)) / type.duration;
             turretState.glowIntensity[i] = Math.max(0, 1.0 - sprayProgress * 0.5);
 
-        } else if (turretState.activeSprays[i] && now >= turretState.sprayEndTime[i]) {
+        } else if (turretState.phase[i] === "firing" && now >= turretState.sprayEndTime[i]) {
             // Spray ended
             turretState.activeSprays[i] = false;
             turretState.glowIntensity[i] = 0;
-        } else if (!hasCarInTrigger) {
+            turretState.phase[i] = "cooldown";
+            turretState.phaseEndTime[i] = now + type.cooldown;
+        } else if (!hasCarInTrigger && turretState.phase[i] !== "telegraph") {
             // No cars, fade glow
             turretState.glowIntensity[i] = Math.max(0, turretState.glowIntensity[i] - 0.05);
         }
@@ -749,9 +1549,159 @@ function updateTurrets_(turretState, turretData, turretBodies, carBodies, Matter
     return turretState;
 }
 
+// Start a turret firing: a spray for duration ms, or a cannon ball
+function fireTurret_(turretState, i, type, turX, turY, now, MatterRef, world, borrowParticle) {
+    turretState.activeSprays[i] = true;
+    turretState.sprayEndTime[i] = now + type.duration;
+    turretState.glowIntensity[i] = 1.0;
+
+    if (type === TURRET_TYPES.cannon && world) {
+        // Out of the 40x40 turret body at any angle
+        var aim = turretState.aim[i];
+        var offset = 20 * Math.SQRT2 + type.shotRadius + 2;
+        var ball = MatterRef.Bodies.circle(turX + Math.cos(aim) * offset, turY + Math.sin(aim) * offset, type.shotRadius, {
+            density: type.shotDensity,
+            frictionAir: 0,
+            friction: 0,
+            restitution: 0.9,
+            label: "TURRET_SHOT"
+        });
+        MatterRef.Body.setVelocity(ball, { x: Math.cos(aim) * type.shotSpeed, y: Math.sin(aim) * type.shotSpeed });
+        MatterRef.Composite.add(world, ball);
+        turretState.world = world;
+        turretState.shots.push({ body: ball, turret: i, expires: now + type.shotLifeMs });
+    }
+
+    if (typeof borrowParticle === 'function') {
+        for (var p = 0; p < 5; p++) {
+            var randomAngle = Math.random() * Math.PI * 2;
+            var speed = 2 + Math.random() * 3;
+
+            // We calculate a velocity (vx, vy) for the particle pool,
+            // which expects velocity instead of target (tx, ty).
+            borrowParticle(
+                turX, // x
+                turY, // y
+                Math.cos(randomAngle) * speed, // vx
+                Math.sin(randomAngle) * speed, // vy
+                650,   // lifetime (ms)
+                type === TURRET_TYPES.cannon ? type.color : '#ADD8E6' // particle color (light blue for water)
+            );
+        }
+    } else {
+        console.warn("updateTurrets: 'borrowParticle' function not provided.");
+    }
+}
+
+// Water (or air, for a vacuum) streaming out of a firing turret, one particle a step
+function sprayTurretParticles_(tur, aim, turX, turY, borrowParticle) {
+    if (typeof borrowParticle !== 'function') return;
+    var type = getTurretType_(tur);
+    if (type === TURRET_TYPES.jet) {
+        var angle = aim + (Math.random() - 0.5) * type.cone;
+        var speed = 8 + Math.random() * 4;
+        borrowParticle(turX, turY, Math.cos(angle) * speed, Math.sin(angle) * speed, 600, '#ADD8E6');
+    } else if (type === TURRET_TYPES.vacuum) {
+        var from = Math.random() * Math.PI * 2;
+        var r = (tur.sprayRadius || TURRET_CONFIG.sprayRadius) * 2;
+        borrowParticle(turX + Math.cos(from) * r, turY + Math.sin(from) * r,
+            -Math.cos(from) * 4, -Math.sin(from) * 4, r / 4 * 1000 / 60, type.color);
+    }
+}
+
+// Angle in (-PI, PI]
+function wrapTurretAngle_(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
 // Public wrapper to update turrets (called from sketch.js)
-function updateTurrets(turretState, turretData, turretBodies, carBodies, MatterRef, borrowParticle) {
-    return updateTurrets_(turretState, turretData, turretBodies, carBodies, MatterRef, borrowParticle);
+function updateTurrets(turretState, turretData, turretBodies, carBodies, MatterRef, borrowParticle, onPush, world) {
+    return updateTurrets_(turretState, turretData, turretBodies, carBodies, MatterRef, borrowParticle, onPush, world);
+}
+
+/* ============================================
+ * 14b) MOVING OBSTACLE UPDATE
+ * ============================================
+ * Bars, gates and pendulums are static bodies that are moved to where the race
+ * clock says they are, so a replay sees them in the same place every step.
+ * Being static they don't budge when hit, and being "WALL"s the race rules
+ * report hits on them like any other wall. Crates are ordinary dynamic bodies.
+ */
+
+// Where a mover is at race time t (ms): {x, y, a}. A pendulum's x/y is its
+// ball and a the chain's angle; a crate's is where it starts.
+function getMoverPose(m, t) {
+    if (m.type === "bar") {
+        return { x: m.x, y: m.y, a: m.a + m.speed * t / 1000 };
+    }
+    if (m.type === "gate") {
+        var cycle = m.closedMs + m.moveMs + m.openMs + m.moveMs;
+        var u = ((t + m.offsetMs) % cycle + cycle) % cycle;
+        var open;
+        if (u < m.closedMs) open = 0;
+        else if (u < m.closedMs + m.moveMs) open = (u - m.closedMs) / m.moveMs;
+        else if (u < m.closedMs + m.moveMs + m.openMs) open = 1;
+        else open = 1 - (u - m.closedMs - m.moveMs - m.openMs) / m.moveMs;
+        open = (1 - Math.cos(open * Math.PI)) / 2; // Ease in and out
+        return { x: m.x + Math.cos(m.a) * m.travel * open, y: m.y + Math.sin(m.a) * m.travel * open, a: m.a };
+    }
+    if (m.type === "pendulum") {
+        var angle = m.a + m.swing * Math.sin(2 * Math.PI * (t + m.offsetMs) / m.period);
+        return { x: m.x + Math.cos(angle) * m.length, y: m.y + Math.sin(angle) * m.length, a: angle };
+    }
+    return { x: m.x, y: m.y, a: m.a };
+}
+
+// Circle around everywhere a mover can reach: {x, y, r}
+function getMoverReach_(m) {
+    var half = Math.hypot(m.w || 0, m.h || 0) / 2;
+    if (m.type === "gate") {
+        return { x: m.x + Math.cos(m.a) * m.travel / 2, y: m.y + Math.sin(m.a) * m.travel / 2, r: m.travel / 2 + half };
+    }
+    if (m.type === "pendulum") return { x: m.x, y: m.y, r: m.length + m.r };
+    return { x: m.x, y: m.y, r: half };
+}
+
+// Matter body of a mover, at its race start pose
+function createMoverBody_(MatterRef, m) {
+    var pose = getMoverPose(m, 0);
+    var wallOptions = { isStatic: true, restitution: 0, friction: 0, label: "WALL" };
+    if (m.type === "crate") {
+        return MatterRef.Bodies.rectangle(m.x, m.y, m.w, m.h, {
+            angle: m.a,
+            density: MOVER_CONFIG.crateDensity,
+            frictionAir: MOVER_CONFIG.crateFrictionAir,
+            friction: 0.1,
+            restitution: 0.2,
+            label: "CRATE"
+        });
+    }
+    // A pendulum's ball doesn't spin (that would add to how it hits cars)
+    if (m.type === "pendulum") return MatterRef.Bodies.circle(pose.x, pose.y, m.r, wallOptions);
+    return MatterRef.Bodies.rectangle(pose.x, pose.y, m.w, m.h, Object.assign({}, wallOptions, { angle: pose.a }));
+}
+
+// Fresh bodies for every mover, where it starts. Moving the old ones back
+// isn't enough: each turn leaves rounding errors in a body's vertices, and a
+// replay would drift from the race it recorded.
+function resetMovers_(track) {
+    if (!track.moverData) return;
+    track.movers = track.moverData.map(function (m) { return createMoverBody_(Matter, m); });
+}
+
+// Move bars, gates and pendulums to where they are at the current race time.
+// sketch.js calls this every physics step before Engine.update(), so cars meet
+// them there; their velocity is set from the move, so they shove cars they hit.
+function updateMovers(track, MatterRef) {
+    if (!track || !track.movers) return;
+    var now = raceNow_();
+    for (var i = 0; i < track.movers.length; i++) {
+        var m = track.moverData[i];
+        if (m.type === "crate") continue;
+        var pose = getMoverPose(m, now);
+        MatterRef.Body.setPosition(track.movers[i], { x: pose.x, y: pose.y }, true);
+        if (m.type !== "pendulum") MatterRef.Body.setAngle(track.movers[i], pose.a, true);
+    }
 }
 
 /* ============================================
@@ -764,7 +1714,7 @@ function drawStartAndCheckpointDebug() {
     stroke(255, 255, 0);
     strokeWeight(2);
     rectMode(CENTER);
-    rect(600, 400, 220, 10);
+    rect(START_LINE.x, START_LINE.y, START_LINE.w, START_LINE.h);
     stroke(0, 200, 255);
     for (var i = 0; i < CHECKPOINTS.length; i++) {
         circle(CHECKPOINTS[i].x, CHECKPOINTS[i].y, CHECKPOINTS[i].r * 2);
@@ -773,41 +1723,412 @@ function drawStartAndCheckpointDebug() {
 }
 
 /* ============================================
- * 11) OPTIONAL JSON ARENA LOADER
+ * 11) JSON ARENA LOADER
  * ============================================
  */
-function loadArenaFromJSON(data, MatterRef, world) {
-    var Bodies = MatterRef.Bodies;
-    var World = MatterRef.World;
-    var addList = [];
-
-    if (data.walls && data.walls.length) {
-        for (var i = 0; i < data.walls.length; i++) {
-            var w = data.walls[i];
-            addList.push(Bodies.rectangle(w.x, w.y, w.w, w.h, {
-                isStatic: true,
-                restitution: 0,
-                friction: 0,
-                label: "WALL",
-                angle: w.a || 0
-            }));
+// Arena file format, version ARENA_FORMAT_VERSION. Positions are centers in
+// world pixels, angles in radians. Everything except version and name has the
+// same shape as the layout globals it replaces:
+//   version     - format version; files from before versioning (no field) read as 1
+//   name        - shown instead of the seed (default: "Custom Arena")
+//   bounds      - {W, H} arena size, inside the outer walls (default: DEFAULT_WORLD_BOUNDS)
+//   walls       - [{x, y, w, h, a}] inner walls, in place of the chicanes (default: none)
+//   barriers    - [{x, y, w, h, a}] obstacles, in place of CURVED_BARRIERS (default: none)
+//   checkpoints - [{x, y, r}] in lap order (default: DEFAULT_CHECKPOINTS)
+//   turrets     - [{x, y, type, angle, range, triggerRadius, sprayRadius}], only x and
+//                 y required; type is a TURRET_TYPES key (default "burst"), angle
+//                 where it aims at rest, the rest default to TURRET_CONFIG (default: none)
+//   surfaces    - [{type, x, y, w, h, a}], type one of SURFACE_TYPES (default: none)
+//   pits        - [{x, y, w, h}] axis aligned pit zones (default: DEFAULT_PIT_ZONES)
+//   startLine   - {x, y, w, h} lap start/finish sensor (default: DEFAULT_START_LINE)
+//   spawns      - [{x, y, angle}] start positions (default: DEFAULT_START_POSITIONS)
+//   movers      - [{type, x, y, ...}] moving obstacles, type a MOVER_TYPES key; the
+//                 other fields depend on the type (ARENA_ENTRY_FIELDS_.movers) (default: none)
+// Version 2 added turret types, version 3 moving obstacles.
+var ARENA_FORMAT_VERSION = 3;
+
+// Field rules for validateArenaData(): required, or a default value; numbers
+// must be finite and, with min/max, within range
+var ARENA_ENTRY_FIELDS_ = {
+    rect: {
+        x: { required: true }, y: { required: true },
+        w: { required: true, min: 1 }, h: { required: true, min: 1 },
+        a: { value: 0 }
+    },
+    checkpoint: { x: { required: true }, y: { required: true }, r: { value: 35, min: 5 } },
+    turret: {
+        x: { required: true }, y: { required: true },
+        type: { value: "burst", oneOf: Object.keys(TURRET_TYPES) },
+        angle: { value: 0 },
+        range: { value: TURRET_CONFIG.forceRadius, min: 0 },
+        triggerRadius: { value: TURRET_CONFIG.triggerRadius, min: 0 },
+        sprayRadius: { value: TURRET_CONFIG.sprayRadius, min: 0 }
+    },
+    surface: {
+        type: { required: true, oneOf: SURFACE_TYPES },
+        x: { required: true }, y: { required: true },
+        w: { required: true, min: 1 }, h: { required: true, min: 1 },
+        a: { value: 0 }
+    },
+    pit: {
+        x: { required: true }, y: { required: true },
+        w: { required: true, min: 1 }, h: { required: true, min: 1 }
+    },
+    startLine: {
+        x: { required: true }, y: { required: true },
+        w: { required: true, min: 1 }, h: { required: true, min: 1 }
+    },
+    spawn: { x: { required: true }, y: { required: true }, angle: { value: 0 } },
+    // One set of fields per MOVER_TYPES type
+    movers: {
+        bar: {
+            type: { required: true, oneOf: Object.keys(MOVER_TYPES) },
+            x: { required: true }, y: { required: true },
+            w: { required: true, min: 1 }, h: { required: true, min: 1 },
+            a: { value: 0 },
+            speed: { value: 1 }
+        },
+        gate: {
+            type: { required: true, oneOf: Object.keys(MOVER_TYPES) },
+            x: { required: true }, y: { required: true },
+            w: { required: true, min: 1 }, h: { required: true, min: 1 },
+            a: { value: 0 },
+            travel: { value: 200, min: 0 },
+            moveMs: { value: 800, min: 1 },
+            openMs: { value: 2000, min: 0 },
+            closedMs: { value: 2000, min: 0 },
+            offsetMs: { value: 0 }
+        },
+        pendulum: {
+            type: { required: true, oneOf: Object.keys(MOVER_TYPES) },
+            x: { required: true }, y: { required: true },
+            length: { value: 250, min: 1 },
+            r: { value: 30, min: 5 },
+            a: { value: Math.PI / 2 },
+            swing: { value: 1, min: 0, max: Math.PI },
+            period: { value: 3000, min: 100 },
+            offsetMs: { value: 0 }
+        },
+        crate: {
+            type: { required: true, oneOf: Object.keys(MOVER_TYPES) },
+            x: { required: true }, y: { required: true },
+            w: { value: 40, min: 5 }, h: { value: 40, min: 5 },
+            a: { value: 0 }
         }
+    },
+    bounds: { W: { required: true, min: 500, max: 20000 }, H: { required: true, min: 500, max: 20000 } }
+};
+var ARENA_KEYS_ = ["version", "name", "bounds", "walls", "barriers", "checkpoints", "turrets",
+    "surfaces", "pits", "startLine", "spawns", "movers"];
+
+// Check arena data (parsed JSON) against the file format. Returns
+// {arena, errors}: arena is a complete copy with every default filled in
+// (null if there are errors), errors a list of messages naming the field,
+// e.g. 'walls[2].w must be at least 1'. Only the data's shape is checked;
+// checkArenaLayout() looks at where things are.
+function validateArenaData(data) {
+    var errors = [];
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { arena: null, errors: ["An arena must be a JSON object"] };
     }
 
-    if (data.checkpoints && data.checkpoints.length) {
-        CHECKPOINTS = [];
-        for (var c = 0; c < data.checkpoints.length; c++) {
-            var cp = data.checkpoints[c];
-            CHECKPOINTS.push({ x: cp.x, y: cp.y, r: cp.r });
-            addList.push(Bodies.circle(cp.x, cp.y, cp.r, {
-                isStatic: true,
-                isSensor: true,
-                label: "CHECK_" + c
-            }));
+    var version = data.version === undefined ? 1 : data.version;
+    if (typeof version !== "number" || Math.floor(version) !== version || version < 1) {
+        errors.push('"version" must be a whole number (this game writes version ' + ARENA_FORMAT_VERSION + ")");
+    } else if (version > ARENA_FORMAT_VERSION) {
+        // Newer files may mean things this build can't read, so don't guess
+        errors.push("This arena uses format version " + version + ", but this game only reads up to version " +
+            ARENA_FORMAT_VERSION);
+    }
+    for (var key in data) {
+        if (ARENA_KEYS_.indexOf(key) < 0) errors.push('Unknown field "' + key + '"');
+    }
+    if (data.name !== undefined && typeof data.name !== "string") errors.push('"name" must be text');
+
+    function entry(item, fields, where) {
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+            errors.push(where + " must be an object");
+            return null;
+        }
+        var out = {};
+        for (var field in fields) {
+            var rule = fields[field];
+            var value = item[field];
+            var name = where + "." + field;
+            if (value === undefined) {
+                if (rule.required) errors.push(name + " is missing");
+                else out[field] = rule.value;
+            } else if (rule.oneOf) {
+                if (rule.oneOf.indexOf(value) < 0) errors.push(name + " must be one of: " + rule.oneOf.join(", "));
+                else out[field] = value;
+            } else if (typeof value !== "number" || !isFinite(value)) {
+                errors.push(name + " must be a number");
+            } else if (rule.min !== undefined && value < rule.min) {
+                errors.push(name + " must be at least " + rule.min);
+            } else if (rule.max !== undefined && value > rule.max) {
+                errors.push(name + " must be at most " + rule.max);
+            } else {
+                out[field] = value;
+            }
+        }
+        for (var extra in item) {
+            if (!fields.hasOwnProperty(extra)) errors.push(where + ' has an unknown field "' + extra + '"');
+        }
+        return out;
+    }
+    // fields may also be a function(item, where) that checks one entry itself
+    function list(key, fields, fallback) {
+        var value = data[key];
+        if (value === undefined) value = fallback || [];
+        else if (!Array.isArray(value)) {
+            errors.push('"' + key + '" must be a list');
+            return [];
         }
+        var check = typeof fields === "function" ? fields : function (item, where) { return entry(item, fields, where); };
+        return value.map(function (item, i) { return check(item, key + "[" + i + "]"); });
     }
+    // Each mover type has its own fields
+    function mover(item, where) {
+        var fields = item && F.movers[item.type];
+        if (item && typeof item === "object" && !fields) {
+            errors.push(where + ".type must be one of: " + Object.keys(MOVER_TYPES).join(", "));
+            return null;
+        }
+        return entry(item, fields, where);
+    }
+
+    var F = ARENA_ENTRY_FIELDS_;
+    var arena = {
+        version: ARENA_FORMAT_VERSION,
+        name: (typeof data.name === "string" && data.name.trim()) ? data.name.trim().slice(0, 40) : "Custom Arena",
+        bounds: entry(data.bounds === undefined ? DEFAULT_WORLD_BOUNDS : data.bounds, F.bounds, "bounds"),
+        walls: list("walls", F.rect),
+        barriers: list("barriers", F.rect),
+        checkpoints: list("checkpoints", F.checkpoint, DEFAULT_CHECKPOINTS),
+        turrets: list("turrets", F.turret),
+        surfaces: list("surfaces", F.surface),
+        pits: list("pits", F.pit, DEFAULT_PIT_ZONES),
+        startLine: entry(data.startLine === undefined ? DEFAULT_START_LINE : data.startLine, F.startLine, "startLine"),
+        spawns: list("spawns", F.spawn, DEFAULT_START_POSITIONS),
+        movers: list("movers", mover)
+    };
+
+    // The race rules need these whatever the layout looks like
+    if (Array.isArray(data.checkpoints) && data.checkpoints.length === 0) {
+        errors.push('"checkpoints" needs at least one checkpoint');
+    }
+    if (arena.checkpoints.length > MAX_ARENA_CHECKPOINTS) {
+        errors.push('"checkpoints" can have at most ' + MAX_ARENA_CHECKPOINTS + " checkpoints");
+    }
+    if (Array.isArray(data.spawns) && data.spawns.length === 0) {
+        errors.push('"spawns" needs at least one spawn point');
+    }
+
+    return { arena: errors.length ? null : arena, errors: errors };
+}
 
-    if (addList.length) World.add(world, addList);
+// Build a hand-made arena (see ARENA_FORMAT_VERSION for the format) instead of
+// a seeded layout, in place of the previous track. data is the parsed file or
+// its JSON text. Returns the same track object as buildTrack(); throws an
+// Error listing every problem if the data isn't a valid arena, leaving the
+// current track as it was.
+function loadArenaFromJSON(data, MatterRef, world) {
+    if (typeof data === "string") {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new Error("Arena file is not valid JSON (" + e.message + ")");
+        }
+    }
+    var result = validateArenaData(data);
+    if (result.errors.length > 0) throw new Error("Invalid arena: " + result.errors.join("; "));
+    var arena = result.arena;
+
+    WORLD_BOUNDS = arena.bounds;
+    CHICANES = arena.walls;
+    CURVED_BARRIERS = arena.barriers;
+    CHECKPOINTS = arena.checkpoints;
+    TURRETS = arena.turrets;
+    SURFACE_ZONES = arena.surfaces;
+    PIT_ZONES = arena.pits;
+    START_LINE = arena.startLine;
+    START_POSITIONS = arena.spawns;
+    MOVERS = arena.movers;
+
+    ARENA_DATA = { name: arena.name };
+    return createTrackBodies_(MatterRef, world);
 }
 
+// Checkpoint progress is a bitmask, so an arena can't have more than this
+var MAX_ARENA_CHECKPOINTS = 31;
+
+// Most cars a match starts (four local players, or one player and three AI);
+// the ones past an arena's spawns are checked where they line up
+var MAX_ARENA_CARS = 4;
+
+// Layout problems of arena data (ARENA_FORMAT_VERSION format), using the same
+// overlap tests and turret spacing as the randomizer. Returns a list of
+// {level: "error"|"warning", message, kind, index}; kind is the data field
+// ("walls", "checkpoints", ...) and index the entry (-1 for the whole list).
+// Errors make the arena unplayable, warnings are just worth a look.
+function checkArenaLayout(data) {
+    var problems = [];
+    var bounds = data.bounds || WORLD_BOUNDS;
+    var W = bounds.W;
+    var H = bounds.H;
+    var wallThickness = 40;
+    var carRadius = 30; // Covers a 50x30 car at any angle
+    var walls = (data.walls || []).concat(data.barriers || []);
+    var checkpoints = data.checkpoints || [];
+    var turrets = data.turrets || [];
+    var spawns = data.spawns || [];
+    var movers = data.movers || [];
+
+    function add(level, message, kind, index) {
+        problems.push({ level: level, message: message, kind: kind, index: index });
+    }
+    function inside(x, y) {
+        return x > wallThickness && x < W - wallThickness && y > wallThickness && y < H - wallThickness;
+    }
+    // Which wall a rectangle or circle runs into, as {kind, index}, or null
+    function blockingWall(test) {
+        var wallCount = (data.walls || []).length;
+        for (var i = 0; i < walls.length; i++) {
+            if (test(walls[i])) {
+                return i < wallCount ? { kind: "walls", index: i } : { kind: "barriers", index: i - wallCount };
+            }
+        }
+        return null;
+    }
+    function rectHitsWall(x, y, w, h, a) {
+        return blockingWall(function (o) {
+            return rectsOverlap(x, y, w, h, a, o.x, o.y, o.w, o.h, o.a) &&
+                rectsOverlap(o.x, o.y, o.w, o.h, o.a, x, y, w, h, a);
+        });
+    }
+    function circleHitsWall(x, y, r) {
+        return blockingWall(function (o) {
+            return circleRectOverlap(x, y, r, o.x, o.y, o.w, o.h, o.a);
+        });
+    }
+    function describe(hit) {
+        return (hit.kind === "walls" ? "wall " : "barrier ") + (hit.index + 1);
+    }
+
+    if (checkpoints.length === 0) add("error", "Add at least one checkpoint", "checkpoints", -1);
+    if (checkpoints.length > MAX_ARENA_CHECKPOINTS) {
+        add("error", "Too many checkpoints (max " + MAX_ARENA_CHECKPOINTS + ")", "checkpoints", -1);
+    }
+    if (spawns.length === 0) add("error", "Add at least one spawn point", "spawns", -1);
+
+    ["walls", "barriers"].forEach(function (kind) {
+        (data[kind] || []).forEach(function (w, i) {
+            if (!inside(w.x, w.y)) add("error", (kind === "walls" ? "Wall " : "Barrier ") + (i + 1) + " is outside the arena", kind, i);
+        });
+    });
+
+    (data.surfaces || []).forEach(function (z, i) {
+        if (!inside(z.x, z.y)) add("error", "Surface " + (i + 1) + " (" + z.type + ") is outside the arena", "surfaces", i);
+    });
+    (data.pits || []).forEach(function (pit, i) {
+        if (!inside(pit.x, pit.y)) add("error", "Pit " + (i + 1) + " is outside the arena", "pits", i);
+    });
+
+    checkpoints.forEach(function (cp, i) {
+        var name = "Checkpoint " + (i + 1);
+        if (!inside(cp.x, cp.y)) {
+            add("error", name + " is outside the arena", "checkpoints", i);
+            return;
+        }
+        var hit = circleHitsWall(cp.x, cp.y, cp.r);
+        if (hit) add("warning", name + " overlaps " + describe(hit), "checkpoints", i);
+        for (var j = 0; j < i; j++) {
+            var other = checkpoints[j];
+            if (circlesOverlap(cp.x, cp.y, cp.r, other.x, other.y, other.r)) {
+                add("warning", name + " overlaps checkpoint " + (j + 1), "checkpoints", i);
+            }
+        }
+    });
+
+    turrets.forEach(function (t, i) {
+        var name = "Turret " + (i + 1);
+        if (!inside(t.x, t.y)) {
+            add("error", name + " is outside the arena", "turrets", i);
+            return;
+        }
+        var hit = rectHitsWall(t.x, t.y, 40, 40, 0);
+        if (hit) add("warning", name + " overlaps " + describe(hit), "turrets", i);
+        if (isTurretNearSpawn(t.x, t.y, spawns)) {
+            add("warning", name + " will spray cars at the start (keep it " +
+                (TURRET_CONFIG.triggerRadius + 50) + "px from spawns)", "turrets", i);
+        }
+    });
+
+    movers.forEach(function (m, i) {
+        if (!inside(m.x, m.y)) {
+            add("error", MOVER_TYPES[m.type].label + " " + (i + 1) + " is outside the arena", "movers", i);
+        }
+    });
 
+    spawns.forEach(function (sp, i) {
+        var name = "Spawn " + (i + 1);
+        if (!inside(sp.x, sp.y)) {
+            add("error", name + " is outside the arena", "spawns", i);
+            return;
+        }
+        var hit = circleHitsWall(sp.x, sp.y, carRadius);
+        if (hit) add("error", name + " is inside " + describe(hit), "spawns", i);
+        for (var t = 0; t < turrets.length; t++) {
+            if (circleRectOverlap(sp.x, sp.y, carRadius, turrets[t].x, turrets[t].y, 40, 40, 0)) {
+                add("error", name + " is inside turret " + (t + 1), "spawns", i);
+            }
+        }
+        for (var j = 0; j < i; j++) {
+            if (circlesOverlap(sp.x, sp.y, carRadius, spawns[j].x, spawns[j].y, carRadius)) {
+                add("error", name + " overlaps spawn " + (j + 1), "spawns", i);
+            }
+        }
+        for (var m = 0; m < movers.length; m++) {
+            var reach = getMoverReach_(movers[m]);
+            if (circlesOverlap(sp.x, sp.y, carRadius, reach.x, reach.y, reach.r)) {
+                add("warning", name + " is in the way of " + MOVER_TYPES[movers[m].type].label.toLowerCase() +
+                    " " + (m + 1), "spawns", i);
+            }
+        }
+    });
+
+    // Cars past the listed spawns line up behind them (getStartPosition())
+    for (var c = spawns.length; c < MAX_ARENA_CARS && spawns.length > 0; c++) {
+        var pos = startPositionFrom_(spawns, c);
+        var base = c % spawns.length;
+        var carName = "Car " + (c + 1) + " (behind spawn " + (base + 1) + ")";
+        if (!inside(pos.x, pos.y)) {
+            add("warning", carName + " starts outside the arena", "spawns", base);
+            continue;
+        }
+        var carHit = circleHitsWall(pos.x, pos.y, carRadius);
+        if (carHit) add("warning", carName + " starts inside " + describe(carHit), "spawns", base);
+        for (var ct = 0; ct < turrets.length; ct++) {
+            if (circleRectOverlap(pos.x, pos.y, carRadius, turrets[ct].x, turrets[ct].y, 40, 40, 0)) {
+                add("warning", carName + " starts inside turret " + (ct + 1), "spawns", base);
+            }
+        }
+        for (var cs = 0; cs < spawns.length; cs++) {
+            if (circlesOverlap(pos.x, pos.y, carRadius, spawns[cs].x, spawns[cs].y, carRadius)) {
+                add("warning", carName + " starts on spawn " + (cs + 1), "spawns", base);
+            }
+        }
+    }
+
+    var line = data.startLine;
+    if (line) {
+        if (!inside(line.x, line.y)) {
+            add("error", "The start line is outside the arena", "startLine", 0);
+        } else {
+            var lineHit = rectHitsWall(line.x, line.y, line.w, line.h, 0);
+            if (lineHit) add("warning", "The start line is blocked by " + describe(lineHit), "startLine", 0);
+        }
+    }
+
+    return problems;
+}
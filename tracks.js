@@ -0,0 +1,632 @@
+/**
+ * Track Library for Neon Drift Racing
+ * Bundled hand-designed arenas, per-track records saved to localStorage,
+ * and the Track Select screen in the start menu
+ *
+ * Library arenas are plain arena data (see ARENA_FORMAT_VERSION in track.js),
+ * built with loadArenaFromJSON(). Records are stored by layout key
+ * (getTrackLayoutKey()), so a track whose geometry changes starts fresh.
+ */
+
+const TRACK_RECORDS_STORAGE_KEY = 'trackRecords';
+const TRACK_SELECTION_STORAGE_KEY = 'selectedTrack';
+
+// Records kept for layouts that aren't in the library (random seeds, custom
+// arenas); the oldest go first
+const TRACK_RECORDS_LIMIT = 50;
+
+// Bundled arenas, in the order they are listed. No wall stands between one
+// checkpoint and the next, since AI drivers head straight for the next one.
+const TRACK_LIBRARY = [
+    {
+        id: 'neon-oval',
+        description: 'Two long straights around a central wall. Flat out, with a boost on each.',
+        arena: {
+            version: 1,
+            name: 'Neon Oval',
+            bounds: { W: 3000, H: 2000 },
+            walls: [
+                { x: 1500, y: 1000, w: 1600, h: 40, a: 0 },
+                { x: 190, y: 190, w: 420, h: 40, a: -Math.PI / 4 },
+                { x: 2810, y: 190, w: 420, h: 40, a: Math.PI / 4 },
+                { x: 190, y: 1810, w: 420, h: 40, a: Math.PI / 4 },
+                { x: 2810, y: 1810, w: 420, h: 40, a: -Math.PI / 4 }
+            ],
+            barriers: [],
+            checkpoints: [
+                { x: 2550, y: 600, r: 40 },
+                { x: 2550, y: 1400, r: 40 },
+                { x: 1500, y: 1500, r: 40 },
+                { x: 450, y: 1400, r: 40 },
+                { x: 450, y: 600, r: 40 }
+            ],
+            turrets: [
+                { x: 1000, y: 1880 },
+                { x: 2000, y: 1880 }
+            ],
+            surfaces: [
+                { type: 'boost', x: 1900, y: 500, w: 120, h: 50, a: 0 },
+                { type: 'boost', x: 1100, y: 1500, w: 120, h: 50, a: Math.PI },
+                { type: 'oil', x: 2750, y: 1000, w: 110, h: 110, a: 0 },
+                { type: 'ice', x: 250, y: 1000, w: 280, h: 160, a: 0 }
+            ],
+            pits: [
+                { x: 1500, y: 130, w: 300, h: 120 }
+            ],
+            startLine: { x: 1000, y: 510, w: 12, h: 900 },
+            spawns: [
+                { x: 1200, y: 380, angle: 0 },
+                { x: 1200, y: 640, angle: 0 },
+                { x: 1350, y: 380, angle: 0 },
+                { x: 1350, y: 640, angle: 0 }
+            ]
+        }
+    },
+    {
+        id: 'figure-eight',
+        description: 'Two loops around solid blocks, crossing in the middle. Watch for traffic.',
+        arena: {
+            version: 1,
+            name: 'Figure Eight',
+            bounds: { W: 3000, H: 2000 },
+            walls: [
+                { x: 850, y: 1000, w: 500, h: 400, a: 0 },
+                { x: 2150, y: 1000, w: 500, h: 400, a: 0 }
+            ],
+            barriers: [],
+            checkpoints: [
+                { x: 1500, y: 1150, r: 45 },
+                { x: 2150, y: 350, r: 45 },
+                { x: 2750, y: 1000, r: 45 },
+                { x: 2150, y: 1650, r: 45 },
+                { x: 1500, y: 850, r: 45 },
+                { x: 850, y: 350, r: 45 },
+                { x: 300, y: 1000, r: 45 }
+            ],
+            turrets: [
+                { x: 1500, y: 250 },
+                { x: 2750, y: 1800 }
+            ],
+            surfaces: [
+                { type: 'mud', x: 2650, y: 450, w: 220, h: 140, a: 0.6 },
+                { type: 'oil', x: 350, y: 450, w: 110, h: 110, a: 0 },
+                { type: 'boost', x: 1800, y: 1650, w: 120, h: 50, a: Math.PI }
+            ],
+            pits: [
+                { x: 150, y: 1850, w: 200, h: 150 }
+            ],
+            startLine: { x: 850, y: 1640, w: 12, h: 600 },
+            spawns: [
+                { x: 1000, y: 1500, angle: 0 },
+                { x: 1000, y: 1780, angle: 0 },
+                { x: 1150, y: 1500, angle: 0 },
+                { x: 1150, y: 1780, angle: 0 }
+            ]
+        }
+    },
+    {
+        id: 'serpentine',
+        description: 'A snake through three long walls, then a quick dash home along the top.',
+        arena: {
+            version: 1,
+            name: 'Serpentine',
+            bounds: { W: 3000, H: 2000 },
+            walls: [
+                { x: 1500, y: 400, w: 2400, h: 40, a: 0 },
+                { x: 900, y: 950, w: 40, h: 1060, a: 0 },
+                { x: 1500, y: 1420, w: 40, h: 1080, a: 0 },
+                { x: 2100, y: 950, w: 40, h: 1060, a: 0 }
+            ],
+            barriers: [],
+            checkpoints: [
+                { x: 150, y: 230, r: 45 },
+                { x: 400, y: 1700, r: 45 },
+                { x: 1200, y: 1750, r: 45 },
+                { x: 1200, y: 650, r: 45 },
+                { x: 1800, y: 650, r: 45 },
+                { x: 1800, y: 1750, r: 45 },
+                { x: 2530, y: 1700, r: 45 },
+                { x: 2830, y: 600, r: 45 },
+                { x: 2830, y: 210, r: 45 }
+            ],
+            turrets: [
+                { x: 1000, y: 1150 },
+                { x: 2530, y: 1100 }
+            ],
+            surfaces: [
+                { type: 'mud', x: 300, y: 1100, w: 220, h: 140, a: 0.3 },
+                { type: 'ice', x: 1800, y: 1200, w: 280, h: 160, a: 0 },
+                { type: 'boost', x: 1200, y: 210, w: 120, h: 50, a: Math.PI },
+                { type: 'boost', x: 1500, y: 650, w: 120, h: 50, a: 0 }
+            ],
+            pits: [
+                { x: 2850, y: 1850, w: 200, h: 150 }
+            ],
+            startLine: { x: 2400, y: 210, w: 12, h: 330 },
+            spawns: [
+                { x: 2200, y: 150, angle: Math.PI },
+                { x: 2200, y: 290, angle: Math.PI },
+                { x: 2000, y: 150, angle: Math.PI },
+                { x: 2000, y: 290, angle: Math.PI }
+            ]
+        }
+    },
+    {
+        id: 'frost-box',
+        description: 'A tight little circuit with an icy back straight and a chicane. Precision over power.',
+        arena: {
+            version: 1,
+            name: 'Frost Box',
+            bounds: { W: 2200, H: 1400 },
+            walls: [
+                { x: 1100, y: 700, w: 1000, h: 400, a: 0 }
+            ],
+            barriers: [
+                { x: 1500, y: 1040, w: 140, h: 24, a: 0.5 },
+                { x: 800, y: 1240, w: 140, h: 24, a: -0.5 }
+            ],
+            checkpoints: [
+                { x: 1850, y: 350, r: 40 },
+                { x: 1900, y: 1050, r: 40 },
+                { x: 1100, y: 1150, r: 40 },
+                { x: 300, y: 1000, r: 40 },
+                { x: 300, y: 450, r: 40 }
+            ],
+            turrets: [
+                { x: 1900, y: 1250 }
+            ],
+            surfaces: [
+                { type: 'ice', x: 300, y: 700, w: 300, h: 420, a: 0 },
+                { type: 'boost', x: 1400, y: 270, w: 120, h: 50, a: 0 },
+                { type: 'oil', x: 2000, y: 700, w: 110, h: 110, a: 0 }
+            ],
+            pits: [
+                { x: 2040, y: 130, w: 160, h: 120 }
+            ],
+            startLine: { x: 800, y: 270, w: 12, h: 420 },
+            spawns: [
+                { x: 950, y: 190, angle: 0 },
+                { x: 950, y: 350, angle: 0 },
+                { x: 1100, y: 190, angle: 0 },
+                { x: 1100, y: 350, angle: 0 }
+            ]
+        }
+    },
+    {
+        id: 'machine-shop',
+        description: 'A loop around the works: a spinning bar, swinging pendulums, a gate that swaps lanes and a yard of crates.',
+        arena: {
+            version: 3,
+            name: 'Machine Shop',
+            bounds: { W: 3000, H: 2000 },
+            walls: [
+                { x: 1500, y: 1000, w: 1400, h: 300, a: 0 }
+            ],
+            barriers: [],
+            checkpoints: [
+                { x: 2550, y: 500, r: 45 },
+                { x: 2550, y: 1500, r: 45 },
+                { x: 1500, y: 1560, r: 45 },
+                { x: 450, y: 1500, r: 45 },
+                { x: 450, y: 500, r: 45 }
+            ],
+            turrets: [],
+            surfaces: [
+                { type: 'boost', x: 2000, y: 250, w: 120, h: 50, a: 0 },
+                { type: 'oil', x: 1000, y: 1750, w: 110, h: 110, a: 0 }
+            ],
+            pits: [
+                { x: 1500, y: 1880, w: 300, h: 120 }
+            ],
+            startLine: { x: 800, y: 445, w: 12, h: 780 },
+            spawns: [
+                { x: 950, y: 300, angle: 0 },
+                { x: 950, y: 600, angle: 0 },
+                { x: 1100, y: 300, angle: 0 },
+                { x: 1100, y: 600, angle: 0 }
+            ],
+            movers: [
+                { type: 'bar', x: 1550, y: 450, w: 500, h: 30, a: 0, speed: 0.8 },
+                { type: 'pendulum', x: 2950, y: 820, length: 420, r: 45, a: Math.PI, swing: 0.8, period: 2600, offsetMs: 0 },
+                { type: 'pendulum', x: 2950, y: 1180, length: 420, r: 45, a: Math.PI, swing: 0.8, period: 2600, offsetMs: 1300 },
+                {
+                    type: 'gate', x: 2100, y: 1750, w: 400, h: 30, a: -Math.PI / 2,
+                    travel: 400, moveMs: 900, openMs: 2500, closedMs: 2500, offsetMs: 0
+                },
+                { type: 'crate', x: 380, y: 950, w: 40, h: 40, a: 0 },
+                { type: 'crate', x: 440, y: 980, w: 40, h: 40, a: 0.3 },
+                { type: 'crate', x: 500, y: 940, w: 40, h: 40, a: 0 },
+                { type: 'crate', x: 410, y: 1050, w: 40, h: 40, a: -0.2 },
+                { type: 'crate', x: 480, y: 1040, w: 40, h: 40, a: 0 },
+                { type: 'crate', x: 560, y: 1010, w: 40, h: 40, a: 0.5 }
+            ]
+        }
+    }
+];
+
+// Best results per layout key: { [key]: {bestLap, bestCheckpoints} }
+let trackRecords = {};
+
+// Track used for matches: id is a TRACK_LIBRARY id, 'random' or 'seed'. Once
+// built (selectTrack() in sketch.js), seed is its seed (null for a library
+// track), layout its getTrackLayout() and arena its getArenaData().
+let trackSelection = { id: 'random', seed: null, layout: null, arena: null };
+
+// Layout keys of the library tracks, worked out on first use
+let libraryTrackKeys = null;
+
+/**
+ * Library entry by id
+ * @returns {object|null} TRACK_LIBRARY entry
+ */
+function getLibraryTrack(id) {
+    return TRACK_LIBRARY.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Layout key a library track has once loaded
+ */
+function getLibraryTrackKey(entry) {
+    if (!libraryTrackKeys) {
+        libraryTrackKeys = {};
+        for (let t of TRACK_LIBRARY) libraryTrackKeys[t.id] = getArenaLayoutKey(t.arena);
+    }
+    return libraryTrackKeys[entry.id];
+}
+
+/**
+ * Library entry whose layout has this key
+ * @returns {object|null} TRACK_LIBRARY entry
+ */
+function getLibraryTrackByKey(key) {
+    return TRACK_LIBRARY.find(entry => getLibraryTrackKey(entry) === key) || null;
+}
+
+/* ============================================
+ * RECORDS
+ * ============================================
+ */
+
+function loadTrackRecords() {
+    try {
+        let stored = JSON.parse(localStorage.getItem(TRACK_RECORDS_STORAGE_KEY));
+        if (stored && typeof stored === 'object' && !Array.isArray(stored)) trackRecords = stored;
+    } catch (error) {
+        console.warn('Could not load track records from localStorage:', error);
+    }
+}
+
+function saveTrackRecords() {
+    try {
+        localStorage.setItem(TRACK_RECORDS_STORAGE_KEY, JSON.stringify(trackRecords));
+    } catch (error) {
+        console.warn('Could not save track records to localStorage:', error);
+    }
+}
+
+/**
+ * Saved records for a layout
+ * @param {string} key - Layout key (getTrackLayoutKey())
+ * @returns {object} {bestLap, bestCheckpoints}, each null if not set yet
+ */
+function getTrackRecord(key) {
+    let record = trackRecords[key] || {};
+    return {
+        bestLap: typeof record.bestLap === 'number' ? record.bestLap : null,
+        bestCheckpoints: typeof record.bestCheckpoints === 'number' ? record.bestCheckpoints : null
+    };
+}
+
+/**
+ * Save a result if it beats the layout's record
+ * @param {string} key - Layout key (getTrackLayoutKey())
+ * @param {string} field - 'bestLap' (seconds, lower wins) or 'bestCheckpoints' (higher wins)
+ * @param {number} value - The result
+ * @returns {boolean} True if it was a new record
+ */
+function updateTrackRecord(key, field, value) {
+    let current = getTrackRecord(key)[field];
+    let better = field === 'bestLap' ? value < current : value > current;
+    if (current !== null && !better) return false;
+
+    // Re-inserting moves the layout to the back of the pruning order
+    let record = Object.assign({}, trackRecords[key], { [field]: value });
+    delete trackRecords[key];
+    trackRecords[key] = record;
+
+    let others = Object.keys(trackRecords).filter(k => !getLibraryTrackByKey(k));
+    for (let i = 0; i < others.length - TRACK_RECORDS_LIMIT; i++) delete trackRecords[others[i]];
+
+    saveTrackRecords();
+    return true;
+}
+
+/* ============================================
+ * SELECTION
+ * ============================================
+ */
+
+function loadTrackSelection() {
+    try {
+        let stored = JSON.parse(localStorage.getItem(TRACK_SELECTION_STORAGE_KEY));
+        if (!stored) return;
+        if (getLibraryTrack(stored.id) || stored.id === 'random') {
+            trackSelection.id = stored.id;
+        } else if (stored.id === 'seed' && typeof stored.seed === 'number') {
+            trackSelection.id = 'seed';
+            trackSelection.seed = stored.seed;
+        }
+    } catch (error) {
+        console.warn('Could not load track selection from localStorage:', error);
+    }
+}
+
+function saveTrackSelection() {
+    try {
+        // A random pick gets a fresh layout next time
+        let seed = trackSelection.id === 'seed' ? trackSelection.seed : null;
+        localStorage.setItem(TRACK_SELECTION_STORAGE_KEY, JSON.stringify({ id: trackSelection.id, seed: seed }));
+    } catch (error) {
+        console.warn('Could not save track selection to localStorage:', error);
+    }
+}
+
+/**
+ * Display name of the selected track
+ */
+function getTrackSelectionName() {
+    let entry = getLibraryTrack(trackSelection.id);
+    if (entry) return entry.arena.name;
+    if (trackSelection.id === 'seed') return 'Seed ' + trackSelection.seed;
+    return 'Random';
+}
+
+/* ============================================
+ * THUMBNAILS
+ * ============================================
+ */
+
+/**
+ * Draw an arena's layout into a canvas, scaled to fit
+ * @param {HTMLCanvasElement} canvas - Thumbnail canvas
+ * @param {object} arena - Arena data (getArenaData() or a library arena)
+ * @returns {object} {x, y, scale}: where world (0, 0) lands and canvas pixels
+ *   per world unit, for drawing on top
+ */
+function drawTrackThumbnail(canvas, arena) {
+    let ctx = canvas.getContext('2d');
+    let W = arena.bounds.W;
+    let H = arena.bounds.H;
+    let scale = Math.min(canvas.width / W, canvas.height / H);
+    let px = 1 / scale; // One canvas pixel in world units, so small items stay visible
+    let view = { x: (canvas.width - W * scale) / 2, y: (canvas.height - H * scale) / 2, scale: scale };
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.translate(view.x, view.y);
+    ctx.scale(scale, scale);
+
+    let fillRect = (o, a) => {
+        ctx.save();
+        ctx.translate(o.x, o.y);
+        ctx.rotate(a || 0);
+        ctx.fillRect(-o.w / 2, -o.h / 2, Math.max(o.w, 2 * px), Math.max(o.h, 2 * px));
+        ctx.restore();
+    };
+    let dot = (x, y, r) => {
+        ctx.beginPath();
+        ctx.arc(x, y, Math.max(r, 2 * px), 0, Math.PI * 2);
+        ctx.fill();
+    };
+
+    ctx.fillStyle = 'rgba(0, 255, 255, 0.06)';
+    ctx.fillRect(0, 0, W, H);
+
+    ctx.globalAlpha = 0.6;
+    for (let z of arena.surfaces) {
+        ctx.fillStyle = SURFACE_COLORS[z.type] || NEON_COLORS.cyan;
+        fillRect(z, z.a);
+    }
+    ctx.fillStyle = NEON_COLORS.green;
+    for (let pit of arena.pits) fillRect(pit, 0);
+    ctx.globalAlpha = 1;
+
+    ctx.strokeStyle = NEON_COLORS.wall;
+    ctx.lineWidth = 40;
+    ctx.strokeRect(20, 20, W - 40, H - 40);
+    ctx.fillStyle = NEON_COLORS.wall;
+    for (let w of arena.walls) fillRect(w, w.a);
+    ctx.fillStyle = NEON_COLORS.orange;
+    for (let b of arena.barriers) fillRect(b, b.a);
+    ctx.fillStyle = '#00aaff';
+    for (let t of arena.turrets) dot(t.x, t.y, 20);
+    // Moving obstacles where they start
+    for (let m of arena.movers || []) {
+        let pose = getMoverPose(m, 0);
+        ctx.fillStyle = MOVER_TYPES[m.type].color;
+        if (m.type === 'pendulum') dot(pose.x, pose.y, m.r);
+        else fillRect({ x: pose.x, y: pose.y, w: m.w, h: m.h }, pose.a);
+    }
+
+    ctx.fillStyle = NEON_COLORS.yellow;
+    fillRect(arena.startLine, 0);
+    ctx.fillStyle = NEON_COLORS.cyan;
+    for (let cp of arena.checkpoints) dot(cp.x, cp.y, cp.r);
+    arena.spawns.forEach((sp, i) => {
+        ctx.fillStyle = PLAYER_COLORS[i % PLAYER_COLORS.length];
+        dot(sp.x, sp.y, 25);
+    });
+    ctx.restore();
+    return view;
+}
+
+/**
+ * Placeholder thumbnail for a layout that isn't built yet
+ * @param {HTMLCanvasElement} canvas - Thumbnail canvas
+ * @param {string} glyph - Character shown in the middle
+ */
+function drawThumbnailGlyph(canvas, glyph) {
+    let ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'rgba(0, 255, 255, 0.06)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = NEON_COLORS.cyan;
+    ctx.font = 'bold ' + Math.round(canvas.height * 0.5) + 'px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(glyph, canvas.width / 2, canvas.height / 2);
+}
+
+/* ============================================
+ * TRACK SELECT SCREEN
+ * ============================================
+ */
+
+/**
+ * Build the track cards inside #track-list
+ */
+function renderTrackSelectScreen() {
+    let list = document.getElementById('track-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    let addCard = (options) => {
+        let card = document.createElement('div');
+        card.className = 'track-card' + (options.selected ? ' selected' : '');
+
+        let thumb = document.createElement('canvas');
+        thumb.className = 'track-thumb';
+        thumb.width = 240;
+        thumb.height = 160;
+        if (options.arena) drawTrackThumbnail(thumb, options.arena);
+        else drawThumbnailGlyph(thumb, options.glyph);
+        card.appendChild(thumb);
+
+        let name = document.createElement('div');
+        name.className = 'track-name';
+        name.textContent = options.name;
+        card.appendChild(name);
+
+        let description = document.createElement('div');
+        description.className = 'track-desc';
+        description.textContent = options.description;
+        card.appendChild(description);
+
+        let records = document.createElement('div');
+        records.className = 'track-records';
+        let record = options.key ? getTrackRecord(options.key) : { bestLap: null, bestCheckpoints: null };
+        records.textContent = 'Best lap ' + (record.bestLap !== null ? hud.formatTime(record.bestLap * 1000) : '--:--.---') +
+            '  ·  Best checkpoints ' + (record.bestCheckpoints !== null ? record.bestCheckpoints : '-');
+        card.appendChild(records);
+
+        if (options.extra) card.appendChild(options.extra);
+        if (options.onChoose) card.addEventListener('click', options.onChoose);
+        list.appendChild(card);
+        return card;
+    };
+
+    for (let entry of TRACK_LIBRARY) {
+        addCard({
+            name: entry.arena.name,
+            description: entry.description,
+            arena: entry.arena,
+            key: getLibraryTrackKey(entry),
+            selected: trackSelection.id === entry.id,
+            onChoose: () => chooseTrack({ id: entry.id })
+        });
+    }
+
+    // Random layouts only have a picture (and records) once built
+    let isRandom = trackSelection.id === 'random';
+    addCard({
+        name: isRandom ? 'Random (seed ' + trackSelection.seed + ')' : 'Random',
+        description: 'A new randomized layout every time you pick this.',
+        arena: isRandom ? trackSelection.arena : null,
+        glyph: '?',
+        key: isRandom && trackSelection.layout ? trackSelection.layout.key : null,
+        selected: isRandom,
+        onChoose: () => chooseTrack({ id: 'random' })
+    });
+
+    let isSeed = trackSelection.id === 'seed';
+    let form = document.createElement('div');
+    form.className = 'track-seed-form';
+    let input = document.createElement('input');
+    input.id = 'track-seed-input';
+    input.type = 'text';
+    input.placeholder = 'Number or word';
+    input.value = isSeed ? trackSelection.seed : '';
+    let go = document.createElement('button');
+    go.className = 'editor-btn';
+    go.textContent = 'Go';
+    form.appendChild(input);
+    form.appendChild(go);
+
+    let chooseSeed = () => {
+        let seed = normalizeSeed(input.value);
+        if (seed === null) {
+            setTrackSelectMessage('Type a seed first', true);
+            return;
+        }
+        chooseTrack({ id: 'seed', seed: seed });
+    };
+    go.addEventListener('click', event => {
+        event.stopPropagation();
+        chooseSeed();
+    });
+    input.addEventListener('click', event => event.stopPropagation());
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') chooseSeed();
+    });
+
+    addCard({
+        name: isSeed ? 'Seed ' + trackSelection.seed : 'Random with Seed',
+        description: 'The same randomized layout for everyone using the seed.',
+        arena: isSeed ? trackSelection.arena : null,
+        glyph: '#',
+        key: isSeed && trackSelection.layout ? trackSelection.layout.key : null,
+        selected: isSeed,
+        extra: form
+    });
+}
+
+/**
+ * Show a message under the track cards
+ */
+function setTrackSelectMessage(message, isError) {
+    let el = document.getElementById('track-select-message');
+    if (!el) return;
+    el.textContent = message || '';
+    el.className = isError ? 'controls-message error' : 'controls-message';
+}
+
+/**
+ * Build and remember the chosen track, then refresh the screen
+ * @param {object} choice - {id} or {id: 'seed', seed}
+ */
+function chooseTrack(choice) {
+    selectTrack(choice);
+    saveTrackSelection();
+    setTrackSelectMessage(getTrackSelectionName() + ' selected');
+    renderTrackSelectScreen();
+}
+
+/**
+ * Show the selected track's name on the start menu button
+ */
+function updateTrackButtonLabel() {
+    let button = document.getElementById('btn-tracks');
+    if (button) button.textContent = 'Track: ' + getTrackSelectionName();
+}
+
+function openTrackSelectScreen() {
+    setTrackSelectMessage('');
+    renderTrackSelectScreen();
+    document.getElementById('start-menu').style.display = 'none';
+    document.getElementById('track-select-overlay').style.display = 'flex';
+}
+
+function closeTrackSelectScreen() {
+    document.getElementById('track-select-overlay').style.display = 'none';
+    document.getElementById('start-menu').style.display = 'flex';
+}
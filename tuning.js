@@ -0,0 +1,342 @@
+/**
+ * Handling Tuning for Neon Drift Racing
+ * A debug panel that edits any car's handling (CAR_HANDLING_DEFAULTS in
+ * car_mech.js) while it drives, and named handling presets saved to
+ * localStorage. Presets marked "On Car Select" can be picked there like the
+ * roster's cars (cars.js).
+ *
+ * Presets are stored as { version, presets: [{ name, model, values, inMenu }] },
+ * model being the CAR_MODELS id of the car they were tuned on and values
+ * holding every CAR_HANDLING_DEFAULTS key.
+ */
+
+const HANDLING_PRESETS_STORAGE_KEY = 'handlingPresets';
+const HANDLING_PRESETS_FORMAT_VERSION = 1;
+const HANDLING_PRESET_NAME_LENGTH = 24;
+
+// Values the panel edits, in order, with the range it accepts. physics marks
+// the ones only one of the PHYSICS_MODELS (car_mech.js) uses.
+const TUNING_PARAMS = [
+    { key: 'density', label: 'Density', min: 0.005, max: 0.2, step: 0.005 },
+    { key: 'frictionAir', label: 'Air Friction', min: 0, max: 0.5, step: 0.01 },
+    { key: 'restitution', label: 'Bounce', min: 0, max: 1, step: 0.05 },
+    { key: 'maxSpeed', label: 'Max Speed', min: 5, max: 80, step: 1 },
+    { key: 'acceleration', label: 'Acceleration', min: 0.01, max: 0.3, step: 0.01 },
+    { key: 'turnSpeed', label: 'Turn Speed', min: 0.01, max: 0.3, step: 0.01, physics: 'arcade' },
+    { key: 'maxCollisionSpeed', label: 'Full Damage Impact', min: 1, max: 40, step: 1 },
+    { key: 'driftFactor', label: 'Grip (drift factor)', min: 0, max: 1, step: 0.01, physics: 'arcade' },
+    { key: 'tireGrip', label: 'Tire Grip', min: 0.2, max: 3, step: 0.05, physics: 'tire' },
+    { key: 'rearGrip', label: 'Rear Grip Balance', min: 0.5, max: 1.5, step: 0.05, physics: 'tire' },
+    { key: 'steerLock', label: 'Steering Lock', min: 0.1, max: 1.2, step: 0.05, physics: 'tire' },
+    { key: 'weightTransfer', label: 'Brake Weight Transfer', min: 0, max: 0.45, step: 0.05, physics: 'tire' },
+    { key: 'brakeForce', label: 'Brake Force', min: 0, max: 2, step: 0.05, physics: 'tire' },
+    { key: 'powerOversteer', label: 'Power Oversteer', min: 0, max: 1, step: 0.05, physics: 'tire' },
+    { key: 'brakeFrictionAir', label: 'Brake Air Friction', min: 0, max: 0.5, step: 0.01, physics: 'arcade' },
+    { key: 'handbrakeDriftFactor', label: 'Handbrake Grip', min: 0, max: 1, step: 0.01, physics: 'arcade' },
+    { key: 'handbrakeTurnBoost', label: 'Handbrake Turn Boost', min: 1, max: 4, step: 0.1, physics: 'arcade' },
+    { key: 'handbrakeGrip', label: 'Handbrake Rear Grip', min: 0, max: 1, step: 0.05, physics: 'tire' },
+    { key: 'handbrakeDrag', label: 'Handbrake Drag', min: 0.9, max: 1, step: 0.005 },
+    { key: 'reverseMaxSpeed', label: 'Reverse Top Speed', min: 1, max: 8, step: 0.5 },
+    { key: 'reversePower', label: 'Reverse Power', min: 0.1, max: 1, step: 0.05 },
+    { key: 'coastSlipAngle', label: 'Coast Slip Angle', min: 0, max: 1.5, step: 0.05, physics: 'arcade' },
+    { key: 'driftMinAngle', label: 'Drift Min Angle', min: 0, max: 1.5, step: 0.05 },
+    { key: 'driftMaxAngle', label: 'Drift Max Angle', min: 0, max: 3.14, step: 0.05 },
+    { key: 'driftMinSpeed', label: 'Drift Min Speed', min: 0, max: 40, step: 0.5 }
+];
+
+let handlingPresets = [];
+
+// Car the panel is editing (index into cars)
+let tuningCarIndex = 0;
+
+/* ============================================
+ * PRESETS
+ * ============================================
+ */
+
+function loadHandlingPresets() {
+    try {
+        let stored = JSON.parse(localStorage.getItem(HANDLING_PRESETS_STORAGE_KEY));
+        if (stored && Array.isArray(stored.presets)) {
+            handlingPresets = stored.presets.map(readHandlingPreset_).filter(preset => preset);
+        }
+    } catch (error) {
+        console.warn('Could not load handling presets from localStorage:', error);
+    }
+}
+
+function saveHandlingPresets() {
+    try {
+        localStorage.setItem(HANDLING_PRESETS_STORAGE_KEY,
+            JSON.stringify({ version: HANDLING_PRESETS_FORMAT_VERSION, presets: handlingPresets }));
+    } catch (error) {
+        console.warn('Could not save handling presets to localStorage:', error);
+    }
+}
+
+/**
+ * Check a stored preset
+ * @returns {object|null} {name, model, values, inMenu}, or null if it can't be used
+ */
+function readHandlingPreset_(preset) {
+    let name = normalizePresetName(preset && preset.name);
+    if (!name || !preset.values || typeof preset.values !== 'object') return null;
+    // Presets from before the roster were tuned on the standard car
+    return { name: name, model: getCarModel(preset.model).id, values: normalizeHandling(preset.values), inMenu: !!preset.inMenu };
+}
+
+/**
+ * Trim a preset name; the roster's car names are taken
+ * @returns {string|null} Name, or null if it can't be used
+ */
+function normalizePresetName(text) {
+    let name = String(text || '').trim().slice(0, HANDLING_PRESET_NAME_LENGTH);
+    if (!name || CAR_MODELS.some(model => model.name.toLowerCase() === name.toLowerCase())) return null;
+    return name;
+}
+
+/**
+ * Every handling value, missing or broken ones from the defaults and edited
+ * ones kept inside the panel's range
+ * @returns {object} Every CAR_HANDLING_DEFAULTS key
+ */
+function normalizeHandling(values) {
+    let handling = Object.assign({}, CAR_HANDLING_DEFAULTS);
+    for (let key of Object.keys(handling)) {
+        let value = values ? values[key] : undefined;
+        if (typeof value !== 'number' || !isFinite(value)) continue;
+        let param = TUNING_PARAMS.find(p => p.key === key);
+        handling[key] = param ? Math.max(param.min, Math.min(param.max, value)) : value;
+    }
+    return handling;
+}
+
+/**
+ * @param {string} name - Preset name (case-insensitive)
+ * @returns {object|null} {name, model, values, inMenu}
+ */
+function getHandlingPreset(name) {
+    name = String(name || '').toLowerCase();
+    return handlingPresets.find(preset => preset.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Save handling under a name, replacing a preset with the same name
+ * @param {string} model - CAR_MODELS id of the car it was tuned on
+ * @returns {object|null} The preset, or null if the name can't be used
+ */
+function saveHandlingPreset(name, model, values) {
+    name = normalizePresetName(name);
+    if (!name) return null;
+    let preset = getHandlingPreset(name);
+    if (preset) {
+        preset.model = model;
+        preset.values = normalizeHandling(values);
+    } else {
+        preset = { name: name, model: model, values: normalizeHandling(values), inMenu: false };
+        handlingPresets.push(preset);
+    }
+    saveHandlingPresets();
+    return preset;
+}
+
+function deleteHandlingPreset(name) {
+    let preset = getHandlingPreset(name);
+    if (!preset) return;
+    handlingPresets.splice(handlingPresets.indexOf(preset), 1);
+    saveHandlingPresets();
+}
+
+/**
+ * Offer a preset on Car Select (or stop offering it)
+ */
+function setPresetInMenu(name, inMenu) {
+    let preset = getHandlingPreset(name);
+    if (!preset) return;
+    preset.inMenu = !!inMenu;
+    saveHandlingPresets();
+}
+
+/* ============================================
+ * TUNING PANEL
+ * ============================================
+ */
+
+function isTuningPanelOpen() {
+    let panel = document.getElementById('tuning-panel');
+    return !!panel && panel.style.display !== 'none';
+}
+
+function toggleTuningPanel() {
+    if (isTuningPanelOpen()) {
+        closeTuningPanel();
+        return;
+    }
+    setTuningMessage('');
+    document.getElementById('tuning-panel').style.display = 'block';
+    renderTuningPanel();
+}
+
+function closeTuningPanel() {
+    let panel = document.getElementById('tuning-panel');
+    if (panel) panel.style.display = 'none';
+}
+
+/**
+ * The race changed its cars (new race, restart). A replay can't be tuned,
+ * so the panel closes for one.
+ */
+function refreshTuningPanel() {
+    if (!isTuningPanelOpen()) return;
+    if (gameState === 'replay') closeTuningPanel();
+    else renderTuningPanel();
+}
+
+/**
+ * Show the edited car's current values, and the car and preset pickers
+ */
+function renderTuningPanel() {
+    let carSelect = document.getElementById('tuning-car');
+    if (tuningCarIndex >= cars.length) tuningCarIndex = 0;
+    carSelect.innerHTML = '';
+    cars.forEach((car, i) => {
+        let el = document.createElement('option');
+        el.value = String(i);
+        el.textContent = getCarName(i);
+        carSelect.appendChild(el);
+    });
+    carSelect.value = String(tuningCarIndex);
+
+    let car = cars[tuningCarIndex];
+    let handling = car ? car.getHandling() : CAR_HANDLING_DEFAULTS;
+    document.getElementById('tuning-model').textContent = car ? car.model.name + ' · ' + PHYSICS_MODELS[car.physicsModel] : '';
+    for (let param of TUNING_PARAMS) {
+        let input = document.getElementById('tuning-' + param.key);
+        if (input) input.value = String(handling[param.key]);
+        // Values the car's physics ignores stay editable for presets, but faded
+        let field = document.getElementById('tuning-field-' + param.key);
+        if (field) field.className = car && param.physics && param.physics !== car.physicsModel ? 'tuning-unused' : '';
+    }
+    renderTuningPresets();
+}
+
+/**
+ * Fill the preset picker, keeping the picked preset if it still exists
+ * @param {string} [name] - Preset to pick instead
+ */
+function renderTuningPresets(name) {
+    let select = document.getElementById('tuning-preset');
+    let current = getHandlingPreset(name || select.value);
+    select.innerHTML = '';
+    for (let preset of handlingPresets) {
+        let el = document.createElement('option');
+        el.value = preset.name;
+        el.textContent = preset.name;
+        select.appendChild(el);
+    }
+    select.value = current ? current.name : (handlingPresets[0] ? handlingPresets[0].name : '');
+
+    let picked = getHandlingPreset(select.value);
+    let inMenu = document.getElementById('tuning-preset-menu');
+    inMenu.checked = !!(picked && picked.inMenu);
+    inMenu.disabled = !picked;
+    document.getElementById('btn-tuning-load').disabled = !picked;
+    document.getElementById('btn-tuning-delete').disabled = !picked;
+}
+
+function setTuningMessage(message, isError) {
+    let el = document.getElementById('tuning-message');
+    if (!el) return;
+    el.textContent = message;
+    el.classList.toggle('error', !!isError);
+}
+
+/**
+ * One value was edited: apply it to the car now
+ */
+function applyTuningField(param, input) {
+    let value = parseFloat(input.value);
+    if (!isFinite(value)) {
+        setTuningMessage(param.label + ' needs a number', true);
+        renderTuningPanel();
+        return;
+    }
+    value = Math.max(param.min, Math.min(param.max, value));
+    changeCarHandling(tuningCarIndex, { [param.key]: value });
+    setTuningMessage('');
+    renderTuningPanel();
+}
+
+function saveTuningPreset() {
+    let car = cars[tuningCarIndex];
+    let nameInput = document.getElementById('tuning-preset-name');
+    if (!car) return;
+    let preset = saveHandlingPreset(nameInput.value, car.model.id, car.getHandling());
+    if (!preset) {
+        setTuningMessage('Pick a name that isn\'t blank or a car\'s name', true);
+        return;
+    }
+    nameInput.value = '';
+    setTuningMessage('Saved ' + preset.name);
+    renderTuningPresets(preset.name);
+}
+
+function loadTuningPreset() {
+    let preset = getHandlingPreset(document.getElementById('tuning-preset').value);
+    if (!preset) return;
+    changeCarHandling(tuningCarIndex, preset.values);
+    setTuningMessage('Loaded ' + preset.name + ' on ' + getCarName(tuningCarIndex));
+    renderTuningPanel();
+}
+
+function deleteTuningPreset() {
+    let preset = getHandlingPreset(document.getElementById('tuning-preset').value);
+    if (!preset) return;
+    deleteHandlingPreset(preset.name);
+    setTuningMessage('Deleted ' + preset.name);
+    renderTuningPresets();
+}
+
+/**
+ * Build the value fields and hook up the panel (once, from setupMenuSystem)
+ */
+function bindTuningPanel() {
+    let fields = document.getElementById('tuning-fields');
+    for (let param of TUNING_PARAMS) {
+        let label = document.createElement('label');
+        label.id = 'tuning-field-' + param.key;
+        label.textContent = param.label;
+        let input = document.createElement('input');
+        input.type = 'number';
+        input.id = 'tuning-' + param.key;
+        input.min = String(param.min);
+        input.max = String(param.max);
+        input.step = String(param.step);
+        input.addEventListener('change', () => applyTuningField(param, input));
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') input.blur();
+        });
+        label.appendChild(input);
+        fields.appendChild(label);
+    }
+
+    document.getElementById('tuning-car').addEventListener('change', e => {
+        tuningCarIndex = parseInt(e.target.value, 10) || 0;
+        renderTuningPanel();
+    });
+    document.getElementById('btn-tuning-reset').addEventListener('click', () => {
+        let car = cars[tuningCarIndex];
+        if (!car) return;
+        changeCarHandling(tuningCarIndex, getCarModelHandling(car.model));
+        setTuningMessage(getCarName(tuningCarIndex) + ' is back to ' + car.model.name + ' handling');
+        renderTuningPanel();
+    });
+    document.getElementById('btn-tuning-save').addEventListener('click', saveTuningPreset);
+    document.getElementById('btn-tuning-load').addEventListener('click', loadTuningPreset);
+    document.getElementById('btn-tuning-delete').addEventListener('click', deleteTuningPreset);
+    document.getElementById('btn-tuning-close').addEventListener('click', closeTuningPanel);
+    document.getElementById('tuning-preset').addEventListener('change', () => renderTuningPresets());
+    document.getElementById('tuning-preset-menu').addEventListener('change', e => {
+        setPresetInMenu(document.getElementById('tuning-preset').value, e.target.checked);
+    });
+}